@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  formatDiff,
+  planVersionFiles,
+  resolveVersionFiles,
+  resolveWorkspaceVersionFiles,
+} from "../lib/bump.js";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import { getVersionTags } from "../lib/git.js";
+import { getArgValue } from "../lib/utils.js";
+import { discoverWorkspaces } from "../lib/workspaces.js";
+import { computeVersion, computeWorkspaceVersions } from "./compute-version.js";
+
+// Each package has its own version: a single version or version file does not apply.
+function assertWorkspaceOptions(config, { version, releaseAs }) {
+  if (version !== undefined || releaseAs !== undefined) {
+    throw new Error("A forced version (version, --release-as) cannot apply to every package.");
+  }
+  if (config.bump.files.length) {
+    throw new Error(
+      "bump.files is not supported in workspace mode; only package.json files and npm " +
+        "lockfiles are bumped."
+    );
+  }
+}
+
+/** Write the planned version files (unless `dryRun`) and describe them. */
+function writeVersionFiles(cwd, planned, dryRun) {
+  return planned.map(entry => {
+    const changed = entry.after !== entry.before;
+    if (changed && !dryRun) fs.writeFileSync(path.join(cwd, entry.file), entry.after, "utf8");
+    if (changed) {
+      const to = [...new Set(entry.versions.map(found => found.expected))].join(", ");
+      console.log(`${dryRun ? "🧪 Would bump" : "✔ Bumped"} ${entry.file} to ${to}`);
+    }
+    return {
+      file: entry.file,
+      from: entry.versions.map(found => found.version),
+      changed,
+      diff: changed ? formatDiff(entry.file, entry.before, entry.after) : "",
+    };
+  });
+}
+
+// Same priority as the exit codes of rs-compute-version --workspaces.
+function workspaceReason(packages) {
+  return ["out-of-range", "no-bump-detected"].find(reason =>
+    packages.some(pkg => pkg.reason === reason)
+  ) ?? "no-commits";
+}
+
+/* ===========================
+ * Core API (Programmatic)
+ * =========================== */
+
+/**
+ * Write the release version into the version files of the project: `version` in package.json,
+ * the root package of package-lock.json / npm-shrinkwrap.json (like
+ * `npm version --no-git-tag-version`), and every `bump.files` entry (JSON path, regular
+ * expression or YAML key, e.g. src/version.ts, Chart.yaml, manifest.json).
+ *
+ * The version is `version` when given, otherwise the one computed by computeVersion().
+ *
+ * In workspace mode, every package released by computeWorkspaceVersions() gets its version in
+ * its package.json and in its entry of the root npm lockfiles; `bump.files`, `version` and
+ * `releaseAs` are rejected, as they describe a single version.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {boolean} [options.workspaces] - Force workspace mode on or off.
+ * @param {string} [options.version] - Version to write; skips computeVersion().
+ * @param {string} [options.preid] - Prerelease identifier, see computeVersion().
+ * @param {string} [options.releaseAs] - Force the version, see computeVersion().
+ * @param {boolean} [options.dryRun=false] - Report the changes without writing any file.
+ * @returns {{
+ *   bumped: boolean,
+ *   // Present when there is no release to bump to:
+ *   reason?: 'no-commits' | 'no-bump-detected' | 'out-of-range',
+ *   version?: string,
+ *   // Workspace mode: the released packages.
+ *   packages?: {name: string, dir: string, version: string}[],
+ *   files: {file: string, from: string[], changed: boolean, diff: string}[],
+ *   dryRun: boolean
+ * }} The version files, with the versions they contained (`from`, one per version location)
+ *    and whether they changed (or would change); `bumped` is false in dry-run mode.
+ *
+ * @throws {Error} If a `bump.files` entry is missing or does not contain a version, computing
+ *         the version fails, or workspace mode is combined with a single version.
+ * @throws {ConfigError} If a `bump.files` entry is invalid.
+ */
+export function bump({
+  cwd = process.cwd(),
+  config,
+  workspaces,
+  version,
+  preid,
+  releaseAs,
+  dryRun = false,
+} = {}) {
+  config = resolveConfig({ cwd, config });
+
+  if (workspaces ?? config.workspaces) {
+    assertWorkspaceOptions(config, { version, releaseAs });
+    const results = computeWorkspaceVersions({ cwd, config, preid }).packages;
+    const packages = results
+      .filter(pkg => pkg.hasRelease)
+      .map(pkg => ({ name: pkg.name, dir: pkg.dir, version: pkg.nextVersion }));
+    if (!packages.length) {
+      return { bumped: false, reason: workspaceReason(results), packages, files: [], dryRun };
+    }
+
+    const specs = resolveWorkspaceVersionFiles(cwd, packages);
+    const files = writeVersionFiles(cwd, planVersionFiles(cwd, specs), dryRun);
+    return { bumped: !dryRun, packages, files, dryRun };
+  }
+
+  if (version === undefined) {
+    const result = computeVersion({ cwd, config, preid, releaseAs });
+    if (!result.hasRelease) return { bumped: false, reason: result.reason, files: [], dryRun };
+    version = result.nextVersion;
+  }
+
+  const specs = resolveVersionFiles(cwd, config);
+  const files = writeVersionFiles(cwd, planVersionFiles(cwd, specs, version), dryRun);
+  return { bumped: !dryRun, version, files, dryRun };
+}
+
+/**
+ * Check that every version file has the version of the latest tag reachable from HEAD, e.g.
+ * in CI, to catch a version file missing from `bump.files` or edited by hand.
+ *
+ * In workspace mode, each package's package.json and lockfile entries are checked against
+ * the latest tag of the package (`packageTagFormat`); packages without a tag are skipped.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {boolean} [options.workspaces] - Force workspace mode on or off.
+ * @param {string} [options.version] - Expected version; defaults to the latest tag's. Not
+ *        available in workspace mode.
+ * @returns {{
+ *   ok: boolean,
+ *   version?: string,
+ *   tag?: string|null,
+ *   // Workspace mode: the checked packages.
+ *   packages?: {name: string, tag: string, version: string}[],
+ *   mismatches: {file: string, location: string, found: string, expected: string}[]
+ * }} The expected version, the tag it comes from (null when `version` is given) and every
+ *    version location that disagrees with it.
+ *
+ * @throws {Error} If no tag is reachable from HEAD and no `version` is given, or a version
+ *         file cannot be read.
+ */
+export function checkVersionFiles({ cwd = process.cwd(), config, workspaces, version } = {}) {
+  config = resolveConfig({ cwd, config });
+  const mismatchesOf = planned =>
+    planned.flatMap(entry =>
+      entry.versions
+        .filter(found => found.version !== found.expected)
+        .map(({ location, version: found, expected }) => ({
+          file: entry.file,
+          location,
+          found,
+          expected,
+        }))
+    );
+
+  if (workspaces ?? config.workspaces) {
+    assertWorkspaceOptions(config, { version });
+    const format = config.packageTagFormat;
+    const packages = discoverWorkspaces(cwd, config.workspaces || true).flatMap(pkg => {
+      const latest = getVersionTags(cwd, { format, name: pkg.name })[0];
+      if (!latest) return [];
+      return [{ name: pkg.name, dir: pkg.dir, tag: latest.name, version: latest.version }];
+    });
+    const specs = resolveWorkspaceVersionFiles(cwd, packages);
+    const mismatches = mismatchesOf(planVersionFiles(cwd, specs));
+    return {
+      ok: mismatches.length === 0,
+      packages: packages.map(({ name, tag, version }) => ({ name, tag, version })),
+      mismatches,
+    };
+  }
+
+  let tag = null;
+  if (version === undefined) {
+    const latest = getVersionTags(cwd, { format: config.tagFormat })[0];
+    if (!latest) throw new Error("No version tag reachable from HEAD to check against.");
+    ({ name: tag, version } = latest);
+  }
+
+  const specs = resolveVersionFiles(cwd, config);
+  const mismatches = mismatchesOf(planVersionFiles(cwd, specs, version));
+  return { ok: mismatches.length === 0, version, tag, mismatches };
+}
+
+/* ===========================
+ * CLI
+ * =========================== */
+
+/**
+ * Parses command-line arguments.
+ *
+ * Recognized options:
+ *  - "--dry-run": print the changes as a diff without writing them
+ *  - "--check": check the version files against the latest tag instead of bumping
+ *  - "--pre <id>": prerelease identifier (e.g. "beta")
+ *  - "--release-as <version>": force the version
+ *  - "--workspaces": bump every released package of the workspace
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @returns {{
+ *   dryRun: boolean,
+ *   check: boolean,
+ *   workspaces?: boolean,
+ *   pre?: string,
+ *   releaseAs?: string
+ * }}
+ */
+function parseFlags(argv) {
+  return {
+    dryRun: argv.includes("--dry-run"),
+    check: argv.includes("--check"),
+    workspaces: argv.includes("--workspaces") || undefined,
+    pre: getArgValue(argv, "--pre"),
+    releaseAs: getArgValue(argv, "--release-as"),
+  };
+}
+
+/**
+ * Main CLI entrypoint.
+ *
+ * The last lines of the output are `VERSION=<version>`, or one `<name>@<version>` line per
+ * released package in workspace mode.
+ *
+ * Exit codes (contract):
+ *   0  -> version files bumped (or dry run completed, or check passed)
+ *   10 -> nothing to release (no commits, no bump, or version out of the branch range)
+ *   1  -> error, or a version file disagrees with the latest tag (--check)
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const config = await loadConfig();
+
+  if (flags.check) {
+    const result = checkVersionFiles({ config, workspaces: flags.workspaces });
+    const against = result.packages ? "the package tags" : (result.tag ?? result.version);
+    if (result.ok) {
+      console.log(`✔ Version files match ${against}${result.tag ? ` (${result.version})` : ""}.`);
+      process.exit(0);
+    }
+    for (const { file, location, found, expected } of result.mismatches) {
+      console.error(`✖ ${file} (${location}): ${found}, expected ${expected}`);
+    }
+    console.error(`❌ Version files disagree with ${against}.`);
+    process.exit(1);
+  }
+
+  const result = bump({
+    config,
+    workspaces: flags.workspaces,
+    preid: flags.pre,
+    releaseAs: flags.releaseAs,
+    dryRun: flags.dryRun,
+  });
+  if (result.reason) {
+    console.log(`ℹ Nothing to bump (${result.reason}).`);
+    process.exit(10);
+  }
+
+  if (flags.dryRun) {
+    const diffs = result.files.filter(file => file.changed).map(file => file.diff);
+    if (diffs.length) console.log(`\n${diffs.join("\n\n")}`);
+  }
+  if (!result.files.some(file => file.changed)) {
+    console.log("ℹ Version files are already up to date.");
+  }
+  if (result.packages) {
+    for (const pkg of result.packages) console.log(`${pkg.name}@${pkg.version}`);
+  } else {
+    console.log(`VERSION=${result.version}`);
+  }
+  process.exit(0);
+}
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -1,8 +1,25 @@
 #!/usr/bin/env node
 import { fileURLToPath } from "node:url";
-import { getLastTag, getCommits, parseCommit } from "../lib/git.js";
-import { readPackageVersion } from "../lib/utils.js";
-import { bumpVersion, detectBumpType } from "../lib/versioning.js";
+import { isInRange, resolveBranch } from "../lib/branches.js";
+import { cancelReverts, parseConventionalCommit, readCommits } from "../lib/commits.js";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import { getCurrentBranch, getLatestTag } from "../lib/git.js";
+import { readHistoryIndex } from "../lib/history.js";
+import { formatTag } from "../lib/tags.js";
+import { getArgValue, readPackageVersion } from "../lib/utils.js";
+import {
+  adjustForInitialDevelopment,
+  BUMP_RANK,
+  bumpVersion,
+  collectCommitTypes,
+  compareVersions,
+  createCommitPattern,
+  diffBump,
+  isValidPreid,
+  matchBumpRule,
+  parseVersion,
+} from "../lib/versioning.js";
+import { discoverWorkspaces, getInternalDependencies } from "../lib/workspaces.js";
 
 /* ===========================
  * Core API (Programmatic)
@@ -14,23 +31,55 @@ import { bumpVersion, detectBumpType } from "../lib/versioning.js";
  *
  * The function:
  * - Determines a base version from the latest git tag (if any) or the package.json version.
+ *   Tags are ordered by SemVer precedence; prerelease tags only count for their own channel.
  * - Collects commits in the range (lastTag..HEAD or HEAD) and parses them.
- * - Detects a bump type ('major' | 'minor' | 'patch') from the commits using conventional-commit style rules.
+ * - Drops commits reverted within the range together with their reverts (see cancelReverts()).
+ * - Detects a bump type ('major' | 'minor' | 'patch') from the commits using the configured bump rules.
+ * - Records the commit and rule that decided the bump (the first commit reaching the highest bump).
+ * - With the `initialDevelopment` config, while the major version is 0, breaking changes bump the
+ *   minor and features bump the patch.
+ * - Resolves the current branch against the `branches` config to find its npm dist-tag, its
+ *   prerelease id and, for maintenance branches ("1.x"), the range the version must stay in.
  * - Returns either a release plan (nextVersion + bump) or a reason why no release is required.
  *
  * @param {Object} [options] - Options object.
  * @param {string} [options.cwd=process.cwd()] - Working directory to run git/package lookups in.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()). When omitted, the
+ *                                    config is discovered in `cwd`.
+ * @param {string} [options.preid] - Prerelease channel (e.g. "beta"). When set, the next
+ *                                   version is a prerelease of that channel
+ *                                   ("2.0.0-beta.3" -> "2.0.0-beta.4"); when omitted, pending
+ *                                   prereleases graduate to a stable version. Defaults to the
+ *                                   `prerelease` of the current release branch.
+ * @param {string} [options.branch] - Branch to release from. Detected with getCurrentBranch()
+ *                                    when omitted.
+ * @param {string} [options.releaseAs] - Force this exact next version (e.g. "1.0.0" to leave
+ *                                       0.x). It must be valid SemVer and greater than the base
+ *                                       version; a release is planned even without bumping
+ *                                       commits, and `decidedBy` is `{ releaseAs }` when released.
+ * @param {Object} [options.history] - History index (see readHistoryIndex()) to read tags and
+ *                                     commits from instead of Git, e.g. one shared with the
+ *                                     changelog. Read from the cache when `history.cache` is
+ *                                     enabled.
  *
  * @returns {{
  *   hasRelease: boolean,
  *   // Present when hasRelease === false:
- *   reason?: 'no-commits' | 'no-bump-detected',
+ *   reason?: 'no-commits' | 'no-bump-detected' | 'out-of-range',
+ *   // Present when reason === 'out-of-range':
+ *   blockedVersion?: string,
+ *   range?: { min: string, max: string },
  *   // Always present:
  *   baseVersion: string,
  *   commitsAnalyzed: number,
+ *   branch: string | null,
+ *   distTag: string | null,
  *   // Present when hasRelease === true:
  *   nextVersion?: string,
- *   bump?: 'major' | 'minor' | 'patch'
+ *   bump?: 'major' | 'minor' | 'patch',
+ *   decidedBy?: { hash: string, subject: string, rule: Object },
+ *   // Present when commits of the range were reverted within the range:
+ *   reverted?: { hash: string, subject: string, revertedBy: { hash: string, subject: string } }[]
  * }}
  *
  * Examples:
@@ -43,36 +92,218 @@ import { bumpVersion, detectBumpType } from "../lib/versioning.js";
  * // Bump detected (e.g. minor)
  * // { hasRelease: true, baseVersion: '1.2.3', nextVersion: '1.3.0', bump: 'minor', commitsAnalyzed: 4 }
  *
- * @throws {Error} If reading package version or git data fails (propagates errors from helper utilities).
+ * // Maintenance branch "1.x" with a breaking change
+ * // { hasRelease: false, reason: 'out-of-range', blockedVersion: '2.0.0', range: { min: '1.0.0', max: '2.0.0' }, ... }
+ *
+ * // Prerelease channel (preid: 'beta')
+ * // { hasRelease: true, baseVersion: '2.0.0-beta.3', nextVersion: '2.0.0-beta.4', bump: 'patch', ... }
+ *
+ * @throws {Error} If `preid` is not a valid prerelease identifier, `releaseAs` is invalid or not
+ *                 greater than the base version, or reading package version or git data fails
+ *                 (propagates errors from helper utilities).
  */
-export function computeVersion({ cwd = process.cwd() } = {}) {
-  const pkgVersion = readPackageVersion(cwd);
-  const lastTag = getLastTag(cwd);
-  const baseVersion = lastTag ?? pkgVersion;
+export function computeVersion({
+  cwd = process.cwd(),
+  config,
+  preid,
+  branch,
+  releaseAs,
+  history,
+} = {}) {
+  const context = resolveContext({ cwd, config, preid, branch });
+  const { pattern } = context.options;
+  const format = context.config.tagFormat;
+  if (!history && context.config.history.cache) {
+    history = readHistoryIndex(cwd, { cache: context.config.history.cache });
+  }
+
+  let lastTag;
+  let commits;
+  if (history) {
+    lastTag = history.latestTag({ preid: context.preid, format });
+    commits = history
+      .commitsBetween(lastTag?.name ?? null)
+      .map(commit => parseConventionalCommit(commit, { pattern }));
+  } else {
+    lastTag = getLatestTag(cwd, { preid: context.preid, format });
+    commits = readCommits(lastTag ? `${lastTag.name}..HEAD` : "HEAD", cwd, { pattern });
+  }
+  const baseVersion = lastTag?.version ?? readPackageVersion(cwd);
+
+  if (releaseAs !== undefined) {
+    if (!parseVersion(releaseAs)) {
+      throw new Error(`Invalid release-as version "${releaseAs}" (expected x.y.z[-pre]).`);
+    }
+    if (compareVersions(releaseAs, baseVersion) <= 0) {
+      throw new Error(`Release-as version ${releaseAs} must be greater than ${baseVersion}.`);
+    }
+    const plan = planVersion(baseVersion, releaseAs, diffBump(baseVersion, releaseAs), context);
+    return {
+      ...plan,
+      commitsAnalyzed: commits.length,
+      ...(plan.hasRelease && { decidedBy: { releaseAs } }),
+    };
+  }
+
+  return planRelease(commits, baseVersion, context);
+}
 
-  const range = lastTag ? `${lastTag}..HEAD` : "HEAD";
-  const commits = getCommits(range, cwd).map(parseCommit);
+/**
+ * Compute an independent next version for every package of a npm, yarn or pnpm workspace.
+ *
+ * For each package discovered with discoverWorkspaces() (using the `workspaces` config):
+ * - The base version is the latest "<name>@<version>" tag, or the package's own version.
+ * - Only commits touching files inside the package directory are analyzed.
+ * - The result follows the computeVersion() contract, plus `name`, `dir` and, when a release
+ *   is planned, the `tag` to create.
+ *
+ * Packages with no bump of their own get a patch release when one of their internal
+ * dependencies (dependencies, optionalDependencies, peerDependencies) is released; such
+ * results have `decidedBy: { dependency: "<name>" }`.
+ *
+ * A forced version (`releaseAs`) and the history index (`history`, `history.cache`) are
+ * rejected: one version cannot apply to every package, and package commits are read with
+ * one `git log` per package directory, which the index does not cover.
+ *
+ * @param {Object} [options] - Same options as computeVersion(), except `releaseAs` and
+ *        `history`.
+ * @returns {{ packages: Array<Object> }} One result per package, in directory order.
+ *
+ * @throws {Error} If `releaseAs` or `history` is given or `history.cache` is enabled, plus the
+ *                 errors of computeVersion().
+ */
+export function computeWorkspaceVersions({
+  cwd = process.cwd(),
+  config,
+  preid,
+  branch,
+  releaseAs,
+  history,
+} = {}) {
+  const context = resolveContext({ cwd, config, preid, branch });
+  if (releaseAs !== undefined) {
+    throw new Error("A forced version (releaseAs, --release-as) cannot apply to every package.");
+  }
+  if (history || context.config.history.cache) {
+    throw new Error(
+      "history.cache is not supported in workspace mode; package commits are read with " +
+        "`git log` per package directory."
+    );
+  }
+  const packages = discoverWorkspaces(cwd, context.config.workspaces || true);
+  const names = packages.map(pkg => pkg.name);
+  const results = new Map();
+
+  for (const pkg of packages) {
+    const lastTag = getLatestTag(cwd, {
+      preid: context.preid,
+      format: context.config.packageTagFormat,
+      name: pkg.name,
+    });
+    const baseVersion = lastTag?.version ?? pkg.version;
+    const range = lastTag ? `${lastTag.name}..HEAD` : "HEAD";
+    const commits = readCommits(range, cwd, {
+      paths: [pkg.dir],
+      pattern: context.options.pattern,
+    });
+
+    results.set(pkg.name, {
+      name: pkg.name,
+      dir: pkg.dir,
+      ...planRelease(commits, baseVersion, context),
+    });
+  }
+
+  // Propagate releases to dependents until nothing changes.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const pkg of packages) {
+      const result = results.get(pkg.name);
+      if (result.hasRelease || result.reason === "out-of-range") continue;
+
+      const released = getInternalDependencies(pkg, names).find(dep => results.get(dep).hasRelease);
+      if (!released) continue;
+
+      const planned = planBump(result.baseVersion, "patch", context);
+      results.set(pkg.name, {
+        name: pkg.name,
+        dir: pkg.dir,
+        ...planned,
+        commitsAnalyzed: result.commitsAnalyzed,
+        decidedBy: { dependency: released },
+        ...(result.reverted && { reverted: result.reverted }),
+      });
+      changed = true;
+    }
+  }
+
+  const tagOf = ({ name, nextVersion }) =>
+    formatTag(context.config.packageTagFormat, nextVersion, { name });
+
+  return {
+    packages: [...results.values()].map(result =>
+      result.hasRelease ? { ...result, tag: tagOf(result) } : result
+    ),
+  };
+}
+
+/**
+ * Resolve the config, release branch and prerelease id shared by every computation.
+ */
+function resolveContext({ cwd, config, preid, branch }) {
+  config = resolveConfig({ cwd, config });
+
+  branch ??= getCurrentBranch(cwd);
+  const release = resolveBranch(branch, config.branches);
+  preid ??= release?.prerelease ?? undefined;
+
+  if (preid !== undefined && !isValidPreid(preid)) {
+    throw new Error(`Invalid prerelease identifier "${preid}" (allowed: [0-9A-Za-z-]).`);
+  }
+
+  return {
+    config,
+    release,
+    preid,
+    channel: { branch, distTag: release?.channel ?? null },
+    options: {
+      pattern: createCommitPattern(collectCommitTypes(config)),
+      rules: config.bumpRules,
+    },
+  };
+}
 
+/**
+ * Turn the commits of a release range into a computeVersion() result.
+ */
+function planRelease(commits, baseVersion, context) {
   if (commits.length === 0) {
     return {
       hasRelease: false,
       reason: "no-commits",
       baseVersion,
       commitsAnalyzed: 0,
+      ...context.channel,
     };
   }
 
+  // Commits reverted within the range neither bump the version nor count as changes.
+  const { commits: effective, reverted } = cancelReverts(commits);
+  const revertInfo = reverted.length ? { reverted } : {};
+
   let bump = null;
+  let decidedBy = null;
 
-  for (const commit of commits) {
-    const type = detectBumpType(commit);
+  for (const commit of effective) {
+    const match = matchBumpRule(commit, context.options);
+    if (!match || match.bump === "none") continue;
 
-    if (type === "major") {
-      bump = "major";
-      break;
+    if (!bump || BUMP_RANK[match.bump] > BUMP_RANK[bump]) {
+      bump = match.bump;
+      decidedBy = { hash: commit.hash, subject: commit.subject, rule: match.rule };
     }
-    if (type === "minor" && bump !== "major") bump = "minor";
-    if (type === "patch" && !bump) bump = "patch";
+    if (bump === "major") break;
   }
 
   if (!bump) {
@@ -81,15 +312,54 @@ export function computeVersion({ cwd = process.cwd() } = {}) {
       reason: "no-bump-detected",
       baseVersion,
       commitsAnalyzed: commits.length,
+      ...context.channel,
+      ...revertInfo,
+    };
+  }
+
+  return {
+    ...planBump(baseVersion, bump, context),
+    commitsAnalyzed: commits.length,
+    decidedBy,
+    ...revertInfo,
+  };
+}
+
+/**
+ * Apply a bump to the base version, downgrading it for 0.x versions when the
+ * `initialDevelopment` config is enabled.
+ */
+function planBump(baseVersion, bump, context) {
+  if (context.config.initialDevelopment) {
+    bump = adjustForInitialDevelopment(baseVersion, bump);
+  }
+  const nextVersion = bumpVersion(baseVersion, bump, { preid: context.preid });
+  return planVersion(baseVersion, nextVersion, bump, context);
+}
+
+/**
+ * Build the result for a next version, refusing versions outside the release branch range.
+ */
+function planVersion(baseVersion, nextVersion, bump, context) {
+  const { release } = context;
+
+  if (release?.range && !isInRange(nextVersion, release.range)) {
+    return {
+      hasRelease: false,
+      reason: "out-of-range",
+      blockedVersion: nextVersion,
+      range: release.range,
+      baseVersion,
+      ...context.channel,
     };
   }
 
   return {
     hasRelease: true,
     baseVersion,
-    nextVersion: bumpVersion(baseVersion, bump),
+    nextVersion,
     bump,
-    commitsAnalyzed: commits.length,
+    ...context.channel,
   };
 }
 
@@ -104,24 +374,81 @@ export function computeVersion({ cwd = process.cwd() } = {}) {
  *  - "--ci"
  *  - "--json"
  *  - "--preview"
+ *  - "--workspaces"
+ *  - "--pre <preid>" (value option)
+ *  - "--release-as <version>" (value option)
  *
  * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
- * @returns {{ci: boolean, json: boolean, preview: boolean}} An object with boolean properties indicating presence of each flag.
+ * @returns {{
+ *   ci: boolean,
+ *   json: boolean,
+ *   preview: boolean,
+ *   workspaces: boolean,
+ *   pre?: string,
+ *   releaseAs?: string
+ * }} An object with boolean properties indicating presence of each flag, plus the values of
+ *    value options if given.
  */
 function parseFlags(argv) {
   return {
     ci: argv.includes("--ci"),
     json: argv.includes("--json"),
     preview: argv.includes("--preview"),
+    workspaces: argv.includes("--workspaces"),
+    pre: getArgValue(argv, "--pre"),
+    releaseAs: getArgValue(argv, "--release-as"),
   };
 }
 
+const EXIT_CODES = { "no-bump-detected": 10, "no-commits": 2, "out-of-range": 3 };
+
+function describeNoRelease(result, label = "No release generated") {
+  const lines = [`${label} (${result.reason}). Base version: ${result.baseVersion}`];
+  if (result.reason === "out-of-range") {
+    const { min, max } = result.range;
+    lines.push(
+      `${result.blockedVersion} is outside the range allowed on branch ${result.branch} ` +
+        `(>=${min} <${max}).`
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Workspace variant of main(): one line per released package ("<name>@<version>").
+ *
+ * Exit code priority: 3 if any package is out of range, 0 if any package is released,
+ * 10 if commits were found but none bumps a version, 2 otherwise.
+ */
+function mainWorkspaces(flags, config) {
+  const { packages } = computeWorkspaceVersions({
+    config,
+    preid: flags.pre,
+    releaseAs: flags.releaseAs,
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify({ packages }, null, 2));
+  } else {
+    for (const pkg of packages) {
+      if (pkg.hasRelease) console.log(pkg.tag);
+      else console.error(describeNoRelease(pkg, `${pkg.name}: no release`));
+    }
+  }
+
+  if (packages.some(pkg => pkg.reason === "out-of-range")) process.exit(3);
+  if (packages.some(pkg => pkg.hasRelease)) process.exit(0);
+  if (packages.some(pkg => pkg.reason === "no-bump-detected")) process.exit(10);
+  process.exit(2);
+}
+
 /**
  * Main CLI entrypoint that computes the next release version, prints the result,
  * and exits the process according to a predetermined contract.
  *
  * Behavior:
  * - Reads CLI flags via parseFlags(process.argv.slice(2)).
+ * - Loads the project config via loadConfig().
  * - Calls computeVersion() to obtain an object describing the base version,
  *   whether a release should be generated, the next version, and a reason code.
  * - If the parsed flags include `json`, writes the full computeVersion result as
@@ -129,12 +456,15 @@ function parseFlags(argv) {
  * - Otherwise, if a release was generated (`result.hasRelease`), writes
  *   `result.nextVersion` to stdout.
  * - If no release was generated, writes an explanatory error to stderr that
- *   includes `result.reason` and `result.baseVersion`.
+ *   includes `result.reason` and `result.baseVersion` (and the allowed range when the
+ *   version is out of range for the branch).
+ * - With `--workspaces` (or the `workspaces` config), delegates to mainWorkspaces().
  *
  * Exit codes (contract):
  *   0  -> release generated
  *   10 -> no bump detected
  *   2  -> no commits
+ *   3  -> next version outside the branch range
  *   1  -> unexpected error
  *
  * Side effects:
@@ -142,32 +472,42 @@ function parseFlags(argv) {
  * - Terminates the Node.js process via process.exit(...) using the codes above.
  *
  * @function main
- * @returns {void} This function does not return; it exits the process.
+ * @returns {Promise<void>} This function does not return; it exits the process.
  * @see parseFlags
  * @see computeVersion
  */
-function main() {
+async function main() {
   const flags = parseFlags(process.argv.slice(2));
-  const result = computeVersion();
+  if (process.argv.includes("--pre") && !flags.pre) {
+    throw new Error("--pre requires a prerelease identifier (e.g. --pre beta).");
+  }
+  if (process.argv.includes("--release-as") && !flags.releaseAs) {
+    throw new Error("--release-as requires a version (e.g. --release-as 1.0.0).");
+  }
+  const config = await loadConfig();
+  if (flags.workspaces || config.workspaces) {
+    mainWorkspaces(flags, config);
+    return;
+  }
+
+  const result = computeVersion({ config, preid: flags.pre, releaseAs: flags.releaseAs });
 
   if (flags.json) {
     console.log(JSON.stringify(result, null, 2));
   } else if (result.hasRelease) {
     console.log(result.nextVersion);
   } else {
-    console.error(
-      `No release generated (${result.reason}). Base version: ${result.baseVersion}`
-    );
+    console.error(describeNoRelease(result));
   }
 
   if (result.hasRelease) process.exit(0);
-  if (result.reason === "no-bump-detected") process.exit(10);
-  if (result.reason === "no-commits") process.exit(2);
-
-  process.exit(1);
+  process.exit(EXIT_CODES[result.reason] ?? 1);
 }
 
 const __filename = fileURLToPath(import.meta.url);
 if (process.argv[1] === __filename) {
-  main();
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
 }
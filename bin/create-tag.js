@@ -1,84 +1,298 @@
 #!/usr/bin/env node
-import { execSync } from "node:child_process";
 import fs from "node:fs";
-import { computeVersion } from "./compute-version.js";
-
-function run(cmd, captureOutput = true) {
-  if (captureOutput) {
-    const output = execSync(cmd, { encoding: "utf8", stdio: "pipe" });
-    return output ? output.trim() : "";
-  } else {
-    execSync(cmd, { stdio: "inherit" });
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { findChangelogSection } from "../lib/changelog.js";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import {
+  createAnnotatedTag,
+  deleteTag,
+  getCommitSubject,
+  pushRefs,
+  readFileAtRef,
+  tagExists,
+} from "../lib/git.js";
+import { formatTag } from "../lib/tags.js";
+import { getArgValue } from "../lib/utils.js";
+import { discoverWorkspaces } from "../lib/workspaces.js";
+import { computeVersion, computeWorkspaceVersions } from "./compute-version.js";
+
+function readPackageJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
   }
-  return "";
 }
 
-const args = process.argv.slice(2);
-const DRY_RUN = args.includes("--dry-run");
-const USE_COMPUTED = args.includes("--compute");
+/**
+ * List the tags to create: `{ name, version, dir }` with `dir` the package directory ("."
+ * outside workspace mode). Returns `{ reason }` instead when there is nothing to tag.
+ */
+function planTags({ cwd, config, version, compute, workspaces }) {
+  if (workspaces) {
+    const packages = compute
+      ? computeWorkspaceVersions({ cwd, config }).packages.filter(pkg => pkg.hasRelease)
+      : discoverWorkspaces(cwd, config.workspaces || true);
+    const tags = packages
+      .map(pkg => {
+        const pkgVersion = compute ? pkg.nextVersion : pkg.version;
+        const name = formatTag(config.packageTagFormat, pkgVersion, { name: pkg.name });
+        return { name, version: pkgVersion, dir: pkg.dir };
+      })
+      .filter(tag => !tagExists(tag.name, cwd));
+    return tags.length ? { tags } : { reason: "already-tagged" };
+  }
 
-let version;
+  if (version === undefined && compute) {
+    console.log("🔢 Computing version dynamically...");
+    const result = computeVersion({ cwd, config });
+    if (!result.hasRelease) return { reason: result.reason };
+    version = result.nextVersion;
+  } else if (version === undefined) {
+    console.log("📦 Using version from package.json...");
+    version = readPackageJson(path.join(cwd, "package.json"))?.version;
+    if (!version) throw new Error("Failed to read package.json version.");
+  }
 
-if (USE_COMPUTED) {
-  console.log("🔢 Computing version dynamically...");
+  const name = formatTag(config.tagFormat, version);
+  if (tagExists(name, cwd)) throw new Error(`Tag ${name} already exists.`);
+  return { tags: [{ name, version, dir: "." }] };
+}
+
+/**
+ * Check that the package.json of `dir`, as committed in `ref`, has the tagged version, so a
+ * tag never lands on a commit that does not contain the version bump.
+ */
+function verifyVersion(tag, { cwd, ref }) {
+  const file = path.posix.join(tag.dir, "package.json");
+  const content = readFileAtRef(ref, file, cwd);
+  if (content === null) throw new Error(`Cannot verify ${tag.name}: no ${file} in ${ref}.`);
+
+  let committed;
   try {
-    const obj = computeVersion({ cwd: process.cwd() });
-    version = obj.nextVersion;
+    committed = JSON.parse(content).version;
   } catch {
-    console.error("❌ Failed to compute version.");
-    process.exit(1);
+    throw new Error(`Cannot verify ${tag.name}: ${file} in ${ref} is not valid JSON.`);
   }
+  if (committed !== tag.version) {
+    throw new Error(
+      `Cannot tag ${tag.name}: ${file} in ${ref} has version ${committed ?? "(none)"}, ` +
+        `expected ${tag.version}.`
+    );
+  }
+}
 
-  if (!version) {
-    console.log("ℹ No version bump detected. Skipping tag creation.");
-    process.exit(10);
+/**
+ * Build the annotated message of a tag: the subject of the tagged commit, or the tag name
+ * followed by the version's section of the package changelog.
+ */
+function tagMessage(tag, { cwd, config, ref, mode }) {
+  if (mode === "changelog") {
+    const file = path.join(cwd, tag.dir, config.changelog.file);
+    const content = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+    const section = findChangelogSection(content, tag.version);
+    if (section) return `${tag.name}\n\n${section}`;
+    console.log(`⚠ No ${tag.version} section in ${config.changelog.file}; using the commit.`);
   }
-} else {
-  console.log("📦 Using version from package.json...");
+
+  return getCommitSubject(ref, cwd);
+}
+
+/* ===========================
+ * Core API (Programmatic)
+ * =========================== */
+
+/**
+ * Create the annotated release tag (one per package in workspace mode) and push it.
+ *
+ * The version comes from `version`, from computeVersion() with `compute` (computed for HEAD,
+ * whatever `ref` is), or from package.json. In workspace mode, every package whose "<name>@<version>" tag
+ * (`packageTagFormat`) does not exist yet is tagged.
+ *
+ * The tag message is the subject of the tagged commit (`message: "commit"`), or the tag name
+ * followed by the version's CHANGELOG.md section (`message: "changelog"`, falling back to the
+ * commit subject when the section is missing). With `verify`, the package.json committed in
+ * `ref` must have the tagged version. When the push fails, the local tags are deleted again
+ * so the command can be rerun.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {string} [options.version] - Version to tag (single-package mode).
+ * @param {boolean} [options.compute=false] - Tag the version computed by computeVersion().
+ * @param {boolean} [options.workspaces] - Force workspace mode on or off.
+ * @param {string} [options.ref="HEAD"] - Commit to tag.
+ * @param {string} [options.remote] - Remote to push to; defaults to `release.remote`.
+ * @param {boolean} [options.push=true] - Push the tags; false keeps them local.
+ * @param {boolean|string} [options.sign] - Sign the tags (a string is the key); defaults to
+ *        `tag.sign`.
+ * @param {'commit'|'changelog'} [options.message] - Message source; defaults to `tag.message`.
+ * @param {boolean} [options.verify] - Check package.json in `ref`; defaults to `tag.verify`.
+ * @param {boolean} [options.dryRun=false] - Report the tags without creating them.
+ * @returns {{
+ *   created: boolean,
+ *   // Present when created === false and there was nothing to tag:
+ *   reason?: 'already-tagged' | 'no-commits' | 'no-bump-detected' | 'out-of-range',
+ *   tags: {name: string, version: string, dir: string, message: string}[],
+ *   ref: string,
+ *   remote: string|null,
+ *   pushed: boolean,
+ *   dryRun: boolean
+ * }} The tags (planned ones in dry-run mode, where `created` is false); `dir` is the package
+ *    directory, "." outside workspace mode.
+ *
+ * @throws {Error} If the version cannot be read, the tag exists, verification fails, or
+ *         creating, signing or pushing the tags fails.
+ */
+export function createTag({
+  cwd = process.cwd(),
+  config,
+  version,
+  compute = false,
+  workspaces,
+  ref = "HEAD",
+  remote,
+  push = true,
+  sign,
+  message,
+  verify,
+  dryRun = false,
+} = {}) {
+  config = resolveConfig({ cwd, config });
+  remote = push ? (remote ?? config.release.remote) : null;
+  sign = sign ?? config.tag.sign;
+  const mode = message ?? config.tag.message;
+
+  const plan = planTags({
+    cwd,
+    config,
+    version,
+    compute,
+    workspaces: workspaces ?? Boolean(config.workspaces),
+  });
+  const base = { ref, remote, pushed: false, dryRun };
+  if (!plan.tags) return { created: false, reason: plan.reason, tags: [], ...base };
+
+  const tags = plan.tags.map(tag => {
+    if (verify ?? config.tag.verify) verifyVersion(tag, { cwd, ref });
+    return { ...tag, message: tagMessage(tag, { cwd, config, ref, mode }) };
+  });
+
+  for (const tag of tags) {
+    console.log(`🔖 Release tag: ${tag.name}${ref === "HEAD" ? "" : ` on ${ref}`}`);
+    console.log(`🔖 Tag message: ${tag.message.split("\n")[0]}`);
+  }
+
+  if (dryRun) {
+    const kind = sign ? "signed" : "annotated";
+    console.log("🧪 Dry-run mode enabled.");
+    console.log(`Would create ${kind} tags: ${tags.map(tag => tag.name).join(", ")}`);
+    if (remote) console.log(`Would push them to ${remote}`);
+    return { created: false, tags, ...base };
+  }
+
+  const created = [];
   try {
-    const pkg = JSON.parse(fs.readFileSync("package.json", "utf8"));
-    version = pkg.version;
-  } catch {
-    console.error("❌ Failed to read package.json version.");
-    process.exit(1);
+    for (const tag of tags) {
+      createAnnotatedTag(tag.name, tag.message, cwd, {
+        ref,
+        sign,
+        cleanup: mode === "changelog" ? "verbatim" : "strip",
+      });
+      created.push(tag.name);
+    }
+    if (remote) pushRefs(remote, created.map(name => `refs/tags/${name}`), cwd);
+  } catch (err) {
+    for (const name of created) deleteTag(name, cwd);
+    throw err;
   }
+
+  const names = created.join(", ");
+  console.log(`✔ Tags created${remote ? ` and pushed to ${remote}` : ""}: ${names}`);
+  return { created: true, tags, ...base, pushed: Boolean(remote) };
 }
 
-const tag = version;
-console.log(`🔖 Release version: ${tag}`);
+/* ===========================
+ * CLI
+ * =========================== */
 
-// check if tag exists
-try {
-  run(`git rev-parse ${tag}`, true);
-  console.error(`❌ Tag ${tag} already exists.`);
-  process.exit(1);
-} catch {
-  // OK
+/**
+ * Parses command-line arguments.
+ *
+ * Recognized options:
+ *  - "--dry-run": print the tags without creating them
+ *  - "--compute": tag the computed version instead of package.json's
+ *  - "--workspaces": one tag per workspace package
+ *  - "--ref <ref>": commit to tag (default: HEAD)
+ *  - "--remote <name>": remote to push to (default: `release.remote`)
+ *  - "--no-push": keep the tags local
+ *  - "--sign [key]": sign the tags, optionally with a given key
+ *  - "--message <commit|changelog>": tag message source
+ *  - "--verify": check the version of package.json in the tagged commit
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @returns {Object} The parsed options, named after createTag() options.
+ */
+function parseFlags(argv) {
+  const given = flag => argv.some(arg => arg === flag || arg.startsWith(`${flag}=`));
+  if (given("--ref") && !getArgValue(argv, "--ref")) {
+    throw new Error("--ref requires a commit to tag (e.g. --ref HEAD~1).");
+  }
+  if (given("--remote") && !getArgValue(argv, "--remote")) {
+    throw new Error("--remote requires a remote name (e.g. --remote upstream).");
+  }
+  const message = getArgValue(argv, "--message");
+  if (message !== undefined && !["commit", "changelog"].includes(message)) {
+    throw new Error(`Unknown --message "${message}" (expected one of: commit, changelog).`);
+  }
+  return {
+    dryRun: argv.includes("--dry-run"),
+    compute: argv.includes("--compute"),
+    workspaces: argv.includes("--workspaces") || undefined,
+    ref: getArgValue(argv, "--ref"),
+    remote: getArgValue(argv, "--remote"),
+    push: !argv.includes("--no-push"),
+    sign: given("--sign") ? (getArgValue(argv, "--sign") ?? true) : undefined,
+    message,
+    verify: argv.includes("--verify") || undefined,
+  };
 }
 
-let lastCommitSubject = "";
-try {
-  lastCommitSubject = run("git log -1 --pretty=%s");
-  console.log(`🔖 Tag message: ${lastCommitSubject}`);
-} catch {
-  console.error("❌ Failed to get last commit message.");
-  process.exit(1);
-}
+/**
+ * Main CLI entrypoint.
+ *
+ * Exit codes (contract):
+ *   0  -> tags created (and pushed unless --no-push)
+ *   5  -> dry run
+ *   10 -> nothing to tag (no version bump, or every workspace package already tagged)
+ *   1  -> error (tag exists, verification failed, git failure, ...)
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const config = await loadConfig();
+  const result = createTag({ config, ...flags, ref: flags.ref ?? "HEAD" });
 
-if (DRY_RUN) {
-  console.log("🧪 Dry-run mode enabled.");
-  console.log(`Would create annotated tag: ${tag}`);
-  console.log(`Message: "${lastCommitSubject}"`);
-  console.log(`VERSION=${tag}`);
-  process.exit(5);
-}
+  if (result.reason === "already-tagged") {
+    console.log("ℹ All workspace package versions are already tagged.");
+  } else if (result.reason) {
+    console.log(`ℹ No release to tag (${result.reason}). Skipping tag creation.`);
+  }
 
-try {
-  run(`git tag -a ${tag} -m "${lastCommitSubject.replace(/"/g, '\\"')}"`, false);
-  run(`git push origin ${tag}`, false);
-  console.log(`✔ Tag ${tag} created and pushed with message: "${lastCommitSubject}"`);
+  if (result.reason) process.exit(10);
+  if (result.dryRun) {
+    if (result.tags.length === 1) console.log(`VERSION=${result.tags[0].version}`);
+    process.exit(5);
+  }
   process.exit(0);
-} catch (err) {
-  console.error("❌ Failed to create or push tag.", err);
-  process.exit(1);
+}
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
 }
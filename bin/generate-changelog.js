@@ -1,213 +1,302 @@
 #!/usr/bin/env node
-import { execSync } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { computeVersion } from "./compute-version.js";
-
-function run(cmd, cwd = process.cwd()) {
-  return execSync(cmd, { encoding: "utf8", cwd }).trim();
-}
-
-function getAllTags(cwd = process.cwd()) {
-  const sortStrategies = [
-    "-version:refname",
-    "-v:refname",
-    "-refname",
-    "-creatordate",
-  ];
-
-  for (const sort of sortStrategies) {
-    try {
-      const tags = run(`git tag --sort=${sort}`, cwd)
-        .split("\n")
-        .map(tag => tag.trim())
-        .filter(Boolean);
-
-      if (tags.length) {
-        return tags;
-      }
-    } catch (err) {
-      console.debug(`Sort '${sort}' not supported: ${err.message}`);
-    }
-  }
-
-  return [];
-}
-
-function getCommitsBetween(from, to, cwd = process.cwd()) {
-  const range = from ? `${from}..${to}` : to;
-  try {
-    return run(`git log ${range} --pretty=format:%H%x1f%s%x1f%b`, cwd)
-      .split("\n")
-      .filter(Boolean);
-  } catch {
-    return [];
-  }
+import {
+  createRelease,
+  mergeChangelog,
+  resolveChangelogRenderer,
+  resolveChangelogSections,
+  serializeRelease,
+} from "../lib/changelog.js";
+import { cancelReverts, parseConventionalCommit, readCommits } from "../lib/commits.js";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import { getRefDate, getVersionTags } from "../lib/git.js";
+import { readHistoryIndex } from "../lib/history.js";
+import { createRepositoryLinks } from "../lib/repository.js";
+import { formatTag } from "../lib/tags.js";
+import { collectCommitTypes, createCommitPattern, diffBump } from "../lib/versioning.js";
+import { computeVersion, computeWorkspaceVersions } from "./compute-version.js";
+
+/** Commits of a tag range, without the ones reverted inside the same range. */
+function getCommitsBetween(from, to, cwd, { paths, pattern }) {
+  return cancelReverts(readCommits(from ? `${from}..${to}` : to, cwd, { paths, pattern })).commits;
 }
 
-function parseCommit(line) {
-  const [hash, subject = "", body = ""] = line.split("\x1f");
-  return { hash, subject: subject.trim(), body: body.trim() };
+/** Commits of a release bucket of the history index, see getCommitsBetween(). */
+function parseReleaseCommits(commits, { pattern }) {
+  return cancelReverts(commits.map(commit => parseConventionalCommit(commit, { pattern })))
+    .commits;
 }
 
-function cleanSubject(subject) {
-  let s = subject.replace(/^(:\S+: )?/, "");
-  s = s.replace(
-    /^(feat|fix|refactor|docs|chore|style|test|build|perf|ci|raw|cleanup|remove)(\(.+\))?(!)?:\s*/i,
-    ""
-  );
-  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+function renderSection(release, { render }) {
+  const text = render(release);
+  return text.endsWith("\n") ? text : `${text}\n`;
 }
 
-function categorize(commits) {
-  const buckets = {
-    breaking: [],
-    feat: [],
-    fix: [],
-    refactor: [],
-    chore: [],
-    docs: [],
-    style: [],
-    test: [],
-    build: [],
-    perf: [],
-    ci: [],
-    raw: [],
-    cleanup: [],
-    remove: [],
+/**
+ * Generate the changelog (Markdown and, when enabled, JSON) from the Git history.
+ *
+ * The Markdown file receives the upcoming version and every tagged version it does not list
+ * yet, in version order, keeping its intro and hand-edited versions (see mergeChangelog()).
+ * The JSON changelog (`changelog.json` config or `json` option) is rewritten with the whole
+ * history on each run; both are rendered from the same release objects.
+ *
+ * Outside workspace mode, the history is read once (see readHistoryIndex()) and shared with
+ * computeVersion(), rather than with one `git log` per tag; `history.cache` keeps it on disk
+ * between runs.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.isPreview] - Write the preview files instead.
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {boolean} [options.workspaces] - Force workspace mode on or off.
+ * @param {boolean} [options.json] - Force the JSON changelog on or off.
+ * @param {boolean} [options.rebuild=false] - Regenerate every version block from the tags
+ *        instead of keeping the ones already in the file (the intro is kept).
+ * @param {string} [options.version] - Version of the upcoming release; defaults to the one
+ *        computed by computeVersion(). Ignored in workspace mode.
+ * @param {boolean} [options.dryRun=false] - Build the changelog without writing any file.
+ * @returns {{file: string, jsonFile: string|null, versions: Object[]}
+ *   | {packages: {name: string, dir: string, file: string, jsonFile: string|null,
+ *     versions: Object[]}[]}} Every version, newest first, as written to the JSON changelog
+ *     (see serializeRelease()); one entry per package in workspace mode.
+ */
+export function generateChangelog({
+  isPreview = process.env.PREVIEW_MODE === "true",
+  cwd = process.cwd(),
+  config,
+  workspaces,
+  json,
+  rebuild = false,
+  version,
+  dryRun = false,
+} = {}) {
+  config = resolveConfig({ cwd, config });
+  const CHANGELOG_FILE = isPreview ? config.changelog.previewFile : config.changelog.file;
+  let JSON_FILE = null;
+  if (json ?? config.changelog.json) {
+    JSON_FILE = isPreview ? config.changelog.jsonPreviewFile : config.changelog.jsonFile;
+  }
+  const options = {
+    sections: resolveChangelogSections(config),
+    pattern: createCommitPattern(collectCommitTypes(config)),
+    links: config.changelog.links ? createRepositoryLinks({ cwd, config }) : null,
+    scopes: config.changelog.scopes,
+    date: config.changelog.date,
+    render: resolveChangelogRenderer({ cwd, config }),
   };
 
-  const reType =
-    /^(:\S+: )?(feat|fix|refactor|docs|chore|style|test|build|perf|ci|raw|cleanup|remove)(\(.+\))?(!)?:/i;
-
-  for (const c of commits) {
-    const { subject, body } = c;
-
-    if (/BREAKING CHANGE/i.test(body) || /!:/i.test(subject)) {
-      buckets.breaking.push({ desc: cleanSubject(subject), hash: c.hash });
-      continue;
-    }
-
-    const match = subject.match(reType);
-    const desc = cleanSubject(subject);
-
-    if (!match) {
-      buckets.chore.push({ desc: desc || subject, hash: c.hash });
-      continue;
-    }
-
-    const type = match[2].toLowerCase();
-    (buckets[type] || buckets.chore).push({ desc, hash: c.hash });
+  if (workspaces ?? config.workspaces) {
+    const { packages } = computeWorkspaceVersions({ cwd, config });
+
+    const released = new Map(packages.map(pkg => [pkg.name, pkg.nextVersion]));
+
+    return {
+      packages: packages.map(pkg => {
+        const dependency = pkg.decidedBy?.dependency;
+        const tags = getVersionTags(cwd, {
+          format: config.packageTagFormat,
+          name: pkg.name,
+        }).map(tag => ({ name: tag.name, label: tag.version }));
+        const file = path.posix.join(pkg.dir, CHANGELOG_FILE);
+        const source = path.posix.join(pkg.dir, config.changelog.file);
+        const jsonFile = JSON_FILE && path.posix.join(pkg.dir, JSON_FILE);
+
+        const releases = writeChangelog({
+          cwd,
+          file,
+          source,
+          rebuild,
+          jsonFile,
+          json: { name: pkg.name },
+          tags,
+          nextVersion: pkg.nextVersion || "Unreleased",
+          nextBump: pkg.bump,
+          tagFor: version => formatTag(config.packageTagFormat, version, { name: pkg.name }),
+          paths: [pkg.dir],
+          options,
+          isPreview,
+          dryRun,
+          // Dependents released only because of a dependency get an entry explaining why.
+          extraCommits: dependency ? [dependencyEntry(dependency, released.get(dependency))] : [],
+        });
+
+        return {
+          name: pkg.name,
+          dir: pkg.dir,
+          file,
+          jsonFile,
+          versions: releases.map(serializeRelease),
+        };
+      }),
+    };
   }
 
-  return buckets;
-}
+  const history = readHistoryIndex(cwd, { cache: config.history.cache });
+  const tags = history.versionTags({ format: config.tagFormat }).map(tag => ({
+    name: tag.name,
+    label: tag.version,
+  }));
+  const obj = version ? { nextVersion: version } : computeVersion({ cwd, config, history });
+  const nextVersion = obj.nextVersion || "Unreleased";
+  const nextBump = version && tags[0] ? diffBump(tags[0].label, version) : obj.bump;
 
-function buildSection(version, buckets) {
-  const out = [];
-  out.push(`## ${version}\n`);
-
-  const sections = [
-    ["breaking", "### 💥 Breaking Changes"],
-    ["feat", "### ✨ Features"],
-    ["fix", "### 🐛 Fixes"],
-    ["refactor", "### ⚙️ Refactor"],
-    ["chore", "### 🔧 Chore"],
-    ["docs", "### 📚 Docs"],
-    ["style", "### 🎨 Style"],
-    ["test", "### 🧪 Tests"],
-    ["build", "### 🛠 Build"],
-    ["perf", "### ⚡ Performance"],
-    ["ci", "### 🔁 CI"],
-    ["raw", "### 🗃 Raw"],
-    ["cleanup", "### 🧹 Cleanup"],
-    ["remove", "### 🗑 Remove"],
-  ];
-
-  let hasContent = false;
-
-  for (const [key, title] of sections) {
-    if (buckets[key].length) {
-      hasContent = true;
-      out.push(`${title}\n`);
-      for (const c of buckets[key]) out.push(`- ${c.desc}`);
-      out.push("");
-    }
+  if (nextVersion === "Unreleased" && isPreview) {
+    console.log("ℹ No version bump detected, showing Unreleased section.");
   }
 
-  if (!hasContent) out.push("_No changes._\n");
-
-  return out.join("\n");
+  const releases = writeChangelog({
+    cwd,
+    file: CHANGELOG_FILE,
+    source: config.changelog.file,
+    rebuild,
+    jsonFile: JSON_FILE,
+    tags,
+    nextVersion,
+    nextBump,
+    tagFor: v => formatTag(config.tagFormat, v),
+    history,
+    options,
+    isPreview,
+    dryRun,
+  });
+
+  return { file: CHANGELOG_FILE, jsonFile: JSON_FILE, versions: releases.map(serializeRelease) };
 }
 
-function changelogHasVersion(file, version, cwd = process.cwd()) {
-  const full = path.join(cwd, file);
-  if (!fs.existsSync(full)) return false;
-  const content = fs.readFileSync(full, "utf8");
-  const safe = version.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  return new RegExp(`^##\\s+${safe}\\b`, "m").test(content);
+function today() {
+  return new Date().toISOString().slice(0, 10);
 }
 
-export function generateChangelog({ isPreview = process.env.PREVIEW_MODE === "true", cwd = process.cwd() } = {}) {
-  const CHANGELOG_FILE = isPreview ? "CHANGELOG.preview.md" : "CHANGELOG.md";
+function dependencyEntry(name, version) {
+  return parseConventionalCommit({ subject: `chore(deps): update ${name} to ${version}` });
+}
 
-  const tags = getAllTags(cwd);
+/**
+ * Merge the upcoming version and the tagged versions into one changelog file.
+ * `tags` are `{ name, label }` pairs, newest first: `name` is used for Git ranges and
+ * `label` for the "## <label>" heading. `tagFor` names the tag the upcoming version will get
+ * (for its compare link), `nextBump` is its bump, `paths` limits commits to a package
+ * directory and `extraCommits` are added to the upcoming version. With a `history` index,
+ * commits and dates come from it instead of one `git log` per tag.
+ *
+ * The generated sections are merged into `source` (see mergeChangelog()) and written to
+ * `file`; they differ in preview mode, where the real changelog is merged into the preview
+ * file. Every version is built, so that `jsonFile` (when set) always lists the whole history.
+ * With `dryRun`, nothing is written. Returns the releases, newest first.
+ */
+function writeChangelog({
+  cwd,
+  file,
+  source = file,
+  rebuild = false,
+  jsonFile = null,
+  json = {},
+  tags,
+  nextVersion,
+  nextBump = null,
+  tagFor,
+  paths = [],
+  history = null,
+  options,
+  isPreview,
+  dryRun = false,
+  extraCommits = [],
+}) {
+  const releases = [];
   const sections = [];
-
-  const lastTag = tags[0] || null;
-  const obj = computeVersion({ cwd }) || "Unreleased";
-  const nextVersion = obj.nextVersion || "Unreleased";
-
-  if (nextVersion === "Unreleased" && isPreview) {
-    console.log("ℹ No version bump detected, showing Unreleased section.");
-  }
+  const lastTag = tags[0]?.name || null;
+  const { pattern } = options;
+  const buckets = history?.releases(tags.map(tag => ({ name: tag.name, version: tag.label })));
+  const commitsOf = (from, to) =>
+    buckets
+      ? parseReleaseCommits(buckets.get(to === "HEAD" ? null : to), { pattern })
+      : getCommitsBetween(from, to, cwd, { paths, pattern });
 
   // Always generate the upcoming version (preview & release)
-  if (!changelogHasVersion(CHANGELOG_FILE, nextVersion, cwd)) {
-    const commits = getCommitsBetween(lastTag, "HEAD", cwd).map(parseCommit);
-
-    if (commits.length) {
-      const buckets = categorize(commits);
-      sections.push(buildSection(nextVersion, buckets));
-    }
+  const upcoming = [...commitsOf(lastTag, "HEAD"), ...extraCommits];
+
+  if (upcoming.length) {
+    const unreleased = nextVersion === "Unreleased";
+    const nextTag = unreleased ? "HEAD" : tagFor(nextVersion);
+    const release = createRelease({
+      ...options,
+      version: nextVersion,
+      tag: unreleased ? null : nextTag,
+      previousTag: lastTag,
+      bump: unreleased ? null : nextBump,
+      date: options.date && !unreleased ? today() : null,
+      compareUrl: lastTag && options.links?.compare(lastTag, nextTag),
+      commits: upcoming,
+    });
+    releases.push(release);
+    // Upcoming sections are regenerated on every run, tagged ones only fill gaps.
+    sections.push({ version: nextVersion, text: renderSection(release, options), replace: true });
   }
 
   // keep historical tag-based sections
   for (let i = 0; i < tags.length; i++) {
     const tag = tags[i];
-    const previous = tags[i + 1] || null;
+    const previous = tags[i + 1] ?? null;
 
-    if (changelogHasVersion(CHANGELOG_FILE, tag, cwd)) continue;
-
-    const commits = getCommitsBetween(previous, tag, cwd).map(parseCommit);
+    const commits = commitsOf(previous?.name, tag.name);
     if (!commits.length) continue;
 
-    const buckets = categorize(commits);
-    sections.push(buildSection(tag, buckets));
+    const release = createRelease({
+      ...options,
+      version: tag.label,
+      tag: tag.name,
+      previousTag: previous?.name ?? null,
+      bump: previous ? diffBump(previous.label, tag.label) : null,
+      date: options.date ? (history?.date(tag.name) ?? getRefDate(tag.name, cwd)) : null,
+      compareUrl: previous && options.links?.compare(previous.name, tag.name),
+      commits,
+    });
+    releases.push(release);
+    sections.push({ version: tag.label, text: renderSection(release, options) });
   }
 
-  if (!sections.length) {
-    console.log("ℹ No new versions to add.");
-    return;
+  if (jsonFile && dryRun) {
+    console.log(`🧪 Would write ${jsonFile}.`);
+  } else if (jsonFile) {
+    const data = { ...json, versions: releases.map(serializeRelease) };
+    fs.writeFileSync(path.join(cwd, jsonFile), JSON.stringify(data, null, 2) + "\n", "utf8");
+    console.log(`${jsonFile} ${isPreview ? "preview generated" : "updated"}.`);
   }
 
-  const targetPath = path.join(cwd, CHANGELOG_FILE);
+  const targetPath = path.join(cwd, file);
+  const sourcePath = path.join(cwd, source);
+  const existing = fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, "utf8") : "";
+  const content = mergeChangelog(existing, sections, { rebuild });
 
-  if (isPreview) {
-    fs.writeFileSync(targetPath, sections.join("\n"), "utf8");
-  } else {
-    const existing = fs.existsSync(targetPath) ? "\n" + fs.readFileSync(targetPath, "utf8") : "";
-    fs.writeFileSync(targetPath, sections.join("\n") + existing, "utf8");
+  if (!isPreview && content === existing) {
+    console.log(`ℹ No new versions to add to ${file}.`);
+    return releases;
+  }
+  if (dryRun) {
+    console.log(`🧪 Would update ${file}.`);
+    return releases;
   }
 
-  console.log(isPreview ? "CHANGELOG preview generated." : "CHANGELOG updated.");
+  fs.writeFileSync(targetPath, content, "utf8");
+  console.log(isPreview ? `${file} preview generated.` : `${file} updated.`);
+  return releases;
 }
 
-function main() {
+async function main() {
   const isPreview = process.env.PREVIEW_MODE === "true";
-  generateChangelog({ isPreview });
+  const workspaces = process.argv.includes("--workspaces") || undefined;
+  const json = process.argv.includes("--json") || undefined;
+  const rebuild = process.argv.includes("--rebuild");
+  const config = await loadConfig();
+  generateChangelog({ isPreview, config, workspaces, json, rebuild });
 }
 
 const __filename = fileURLToPath(import.meta.url);
-if (process.argv[1] === __filename) main();
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -1,135 +1,435 @@
 #!/usr/bin/env node
-import { execSync } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import {
+  getAuthorEmailsAsync,
+  getCommitHashesAsync,
+  getRefTimestamp,
+  getTagsPointingAt,
+  getVersionTags,
+} from "../lib/git.js";
+import { createProvider, HOSTING_PROVIDERS, ProviderError } from "../lib/providers/index.js";
+import { findAssets, publishRelease } from "../lib/publish.js";
+import {
+  filterPullRequests,
+  findNewContributors,
+  listGitContributors,
+  renderReleaseNotes,
+} from "../lib/release-notes.js";
+import { formatTag } from "../lib/tags.js";
+import { getArgValue, readPackageVersion } from "../lib/utils.js";
+import {
+  collectCommitTypes,
+  compareVersions,
+  createCommitPattern,
+  parseVersion,
+} from "../lib/versioning.js";
+import { computeVersion } from "./compute-version.js";
 
-const run = (cmd, cwd = process.cwd()) => execSync(cmd, { encoding: "utf8", cwd }).trim();
+/**
+ * Determine the release the notes describe and the range of commits it covers.
+ *
+ * When `to` carries a version tag (e.g. notes generated right after tagging), the release
+ * is that tag. Otherwise, for HEAD, it is the upcoming release computed by computeVersion()
+ * (package.json when no release is pending) unless `version` is given; for any other ref the
+ * version is unknown.
+ * `from` defaults to the latest tag reachable from `to` other than the release tag, in the
+ * release's channel (stable, or the same prerelease identifier).
+ */
+function resolveRelease({ cwd, config, from, to, version: upcoming }) {
+  const format = config.tagFormat;
+  const pointing = getTagsPointingAt(to, cwd);
+  const tags = getVersionTags(cwd, { format, ref: to });
+  const current = tags.find(tag => pointing.includes(tag.name));
 
-function ensureGhCLI() {
-  try {
-    run("gh --version");
-  } catch {
-    throw new Error("GitHub CLI (gh) is required but not installed.");
+  let version = null;
+  let tag = null;
+  if (current) {
+    ({ version, name: tag } = current);
+  } else if (to === "HEAD") {
+    const result = upcoming ? null : computeVersion({ cwd, config });
+    version = upcoming ?? (result.hasRelease ? result.nextVersion : readPackageVersion(cwd));
+    tag = formatTag(format, version);
   }
-}
 
-function getDefaultBranch(cwd = process.cwd()) {
-  try {
-    const out = run("git remote show origin", cwd);
-    const m = out.match(/HEAD branch: (\S+)/);
-    return (m && m[1]) || "main";
-  } catch {
-    return "main";
+  if (from === undefined) {
+    const preid = version ? parseVersion(version)?.prerelease[0] : undefined;
+    from =
+      tags.find(candidate => {
+        if (pointing.includes(candidate.name)) return false;
+        const { prerelease } = parseVersion(candidate.version);
+        return prerelease.length === 0 || (preid && prerelease[0] === preid);
+      })?.name ?? null;
   }
+
+  return { from, to, version, tag };
 }
 
-function normalizeRepoURL(url) {
-  if (!url) return null;
-  url = url.replace(/\.git$/, "");
-  if (url.startsWith("git@")) {
-    const m = url.match(/^git@(.*?):(.*)$/);
-    if (m) return `https://${m[1]}/${m[2]}`;
+/**
+ * Read the pull requests of a commit range, drop the excluded ones (see
+ * filterPullRequests()) and fetch the commits of the others.
+ *
+ * Hosting providers list the pull requests merged since `from` was created and keep those
+ * whose merge (or squash) commit belongs to the range, so pull requests merged into another
+ * branch or after `to` are left out.
+ */
+async function listPullRequests(provider, { cwd, from, to, exclude }) {
+  const range = from ? `${from}..${to}` : to;
+
+  if (provider.name === "git") {
+    return filterPullRequests(await provider.listMergedPullRequests({ range }), exclude).included;
   }
-  return url;
-}
 
-export function generateReleaseNotes({ isPreview = process.env.PREVIEW_MODE === "true", cwd = process.cwd() } = {}) {
-  if (!isPreview) {
+  const hashes = await getCommitHashesAsync(range, cwd);
+  const merged = await provider.listMergedPullRequests({
+    since: from ? getRefTimestamp(from, cwd) : null,
+  });
+  const inRange = merged.filter(pr => pr.mergeCommit && hashes.has(pr.mergeCommit));
+  const { included } = filterPullRequests(inRange, exclude);
+
+  for (const pr of included) {
     try {
-      ensureGhCLI();
+      pr.commits = await provider.listPullRequestCommits(pr.number);
     } catch (err) {
-      console.error(`❌ ${err.message}`);
-      console.error("❌ GitHub CLI (gh) is required but not installed.");
-      console.error("   Install: https://cli.github.com/");
-      process.exit(2);
+      console.error(`⚠ Could not fetch commits for PR #${pr.number}: ${err.message}`);
+      pr.commits = [];
     }
-  } else {
-    console.log("ℹ Preview mode: GH CLI not required.");
+    pr.headlines = pr.commits.map(c => c.headline);
   }
+  return included;
+}
 
-  const pkg = JSON.parse(fs.readFileSync(path.join(cwd, "package.json"), "utf8"));
-  const version = pkg.version;
-  const repoURL = normalizeRepoURL(pkg.repository?.url);
+/**
+ * Decide whether a published release becomes the repository's "latest" release: with
+ * `makeLatest: "auto"`, only stable releases at or above every stable version tag do, so
+ * maintenance releases of older lines (1.x after 2.0.0) leave "latest" untouched.
+ */
+function resolveMakeLatest({ cwd, config, version, prerelease }) {
+  const { makeLatest } = config.releaseNotes.publish;
+  if (makeLatest !== "auto") return makeLatest;
+  if (prerelease) return false;
 
-  let lastTag = "";
-  try {
-    lastTag = run("git describe --tags --abbrev=0", cwd);
-  } catch {
-    console.log("⚠ No previous tags found — first release?");
-    lastTag = "";
-  }
+  const highest = getVersionTags(cwd, { format: config.tagFormat, ref: null }).find(
+    tag => parseVersion(tag.version).prerelease.length === 0
+  );
+  return !highest || compareVersions(version, highest.version) >= 0;
+}
 
-  console.log("Last tag:", lastTag || "(none)");
+/* ===========================
+ * Core API (Programmatic)
+ * =========================== */
 
-  const baseBranch = getDefaultBranch(cwd);
+/**
+ * Generate the release notes of the upcoming release.
+ *
+ * The notes cover the commits of `from..to`: by default, from the previous release tag to
+ * HEAD, or to the release tag when HEAD is already tagged. Pull requests come from the
+ * configured `releaseNotes.source` provider (see createProvider()):
+ * - "github", "gitlab", "gitea": the hosting service REST API, authenticated with
+ *   `GITHUB_TOKEN`/`GH_TOKEN`, `GITLAB_TOKEN` (or `CI_JOB_TOKEN`) or `GITEA_TOKEN`;
+ * - "git": the Git history only (merge commits and "Title (#123)" squash subjects, see
+ *   readPullRequestsFromGit()), for previews, air-gapped or token-less CI;
+ * - "auto" (default): the detected hosting service when a token is available and not in
+ *   preview mode, else "git".
+ *
+ * Pull requests matching `releaseNotes.exclude` (the release pull request itself by default)
+ * are dropped; the others are grouped by `releaseNotes.categories`, and authors without
+ * commits before the last tag are listed as new contributors.
+ *
+ * With `publish`, the release object of the tag is then created, or updated when it exists
+ * (so reruns are safe), with the notes as body and the `releaseNotes.publish.assets` files
+ * attached, see publishReleaseNotes(). Publishing needs a hosting service token and an
+ * existing release tag on `to`, and is not available in preview mode.
+ *
+ * @param {Object} [options] - Options object.
+ * @param {boolean} [options.isPreview=process.env.PREVIEW_MODE === "true"] - Write the
+ *        preview file.
+ * @param {string} [options.cwd=process.cwd()] - Working directory to run git/config lookups in.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {'auto'|'github'|'gitlab'|'gitea'|'git'} [options.source] - Overrides
+ *        `releaseNotes.source`.
+ * @param {string} [options.token] - API token of the hosting service.
+ * @param {string|null} [options.from] - Start of the range (exclusive); defaults to the
+ *        previous release tag.
+ * @param {string} [options.to="HEAD"] - End of the range (inclusive), e.g. a release tag to
+ *        regenerate its notes.
+ * @param {boolean} [options.publish=false] - Create or update the release on the hosting
+ *        service.
+ * @param {boolean} [options.draft] - Overrides `releaseNotes.publish.draft`.
+ * @param {string[]} [options.assets] - Overrides `releaseNotes.publish.assets`.
+ * @param {string} [options.version] - Version of the upcoming release when `to` is an untagged
+ *        HEAD; defaults to the one computed by computeVersion().
+ * @param {boolean} [options.dryRun=false] - Render the notes without writing the file or
+ *        publishing.
+ * @returns {Promise<{
+ *   file: string,
+ *   source: string,
+ *   from: string|null,
+ *   to: string,
+ *   version: string|null,
+ *   tag: string|null,
+ *   notes: string,
+ *   published?: {url: string|null, created: boolean, assets: {name: string, url: string}[]}
+ * }>} The written file, the provider used, the release (see resolveRelease()), the notes and,
+ *     with `publish`, the published release.
+ *
+ * @throws {ProviderError} If the hosting service API cannot be used.
+ * @throws {Error} If publishing in preview mode, without a release tag on `to`, or with
+ *         asset patterns matching no file.
+ */
+export async function generateReleaseNotes({
+  isPreview = process.env.PREVIEW_MODE === "true",
+  cwd = process.cwd(),
+  config,
+  source,
+  token,
+  from,
+  to = "HEAD",
+  publish: shouldPublish = false,
+  draft,
+  assets,
+  version,
+  dryRun = false,
+} = {}) {
+  config = resolveConfig({ cwd, config });
+  source = source ?? config.releaseNotes.source;
 
-  let prList = [];
+  if (shouldPublish && isPreview) {
+    throw new Error("Releases cannot be published in preview mode.");
+  }
 
-  if (!isPreview) {
-    let prQuery =
-      `gh pr list --state merged --base ${baseBranch} ` +
-      `--json number,title,author,url`;
+  const pattern = createCommitPattern(collectCommitTypes(config));
+  const provider = createProvider({
+    cwd,
+    config,
+    name: source === "auto" && isPreview ? "git" : source,
+    token,
+    pattern,
+  });
 
-    if (lastTag) prQuery += ` --search "merged:>${lastTag}"`;
+  if (provider.name === "git") {
+    console.log("ℹ Reading pull requests from Git history.");
+  } else {
+    console.log(`ℹ Reading pull requests from ${provider.name} (${provider.repository}).`);
+  }
 
-    try {
-      prList = JSON.parse(run(prQuery, cwd));
-    } catch {
-      prList = [];
-    }
+  const release = resolveRelease({ cwd, config, from, to, version });
+  if (!release.from) {
+    console.log("⚠ No previous tags found — first release?");
   }
 
-  let notes = `# What's Changed\n\n`;
+  console.log(`Range: ${release.from ? `${release.from}..` : ""}${to}`);
+  if (release.tag) console.log("Release:", release.tag);
 
-  if (!prList.length) {
-    notes += "_No changes since last release._\n\n";
-  }
+  const pullRequests = await listPullRequests(provider, {
+    cwd,
+    from: release.from,
+    to,
+    exclude: config.releaseNotes.exclude,
+  });
+  const { links } = provider;
 
-  for (const pr of prList) {
-    notes += `- ${pr.title} by @${pr.author.login} in ${pr.url}\n`;
-
-    let messages = [];
-    if (!isPreview) {
-      try {
-        messages = run(
-          `gh pr view ${pr.number} --json commits --jq '.commits[].messageHeadline'`,
-          cwd
-        )
-          .split("\n")
-          .filter(Boolean);
-      } catch (err) {
-        console.error(`⚠ Could not fetch commits for PR #${pr.number}: ${err && err.message ? err.message : err}`);
-      }
-    }
+  const newContributors =
+    config.releaseNotes.newContributors && release.from
+      ? findNewContributors(pullRequests, await getAuthorEmailsAsync(release.from, cwd))
+      : [];
 
-    for (const msg of messages) {
-      notes += `  - ${msg}\n`;
-    }
+  const compareUrl = links
+    ? release.from
+      ? links.compare(release.from, release.tag ?? to)
+      : links.url
+    : null;
+
+  const notes = renderReleaseNotes({
+    pullRequests,
+    config,
+    pattern,
+    links,
+    contributors: provider.name === "git" ? listGitContributors(pullRequests) : undefined,
+    newContributors,
+    compareUrl,
+  });
 
-    notes += "\n";
+  const file = isPreview ? config.releaseNotes.previewFile : config.releaseNotes.file;
+  const result = { file, source: provider.name, ...release, notes };
+  if (dryRun) {
+    console.log(`🧪 Would write ${file}${shouldPublish ? ` and publish ${release.tag}` : ""}.`);
+    return result;
   }
 
-  const compareLink = repoURL
-    ? lastTag
-      ? `${repoURL}/compare/${lastTag}...${version}`
-      : repoURL
-    : "";
+  fs.writeFileSync(path.join(cwd, file), notes, "utf8");
+  console.log(`✔ Generated ${file}`);
 
-  if (compareLink) {
-    notes += `**Full Changelog**: ${compareLink}\n`;
+  if (shouldPublish) {
+    result.published = await publishReleaseNotes({
+      cwd,
+      config,
+      release,
+      notes,
+      provider,
+      token,
+      draft,
+      assets,
+    });
   }
+  return result;
+}
+
+/**
+ * Publish the release of a tag with its notes, see publishRelease().
+ *
+ * The release is created or updated through the hosting service, even when the notes were
+ * read from Git history; assets come from `releaseNotes.publish.assets` and the prerelease
+ * and "latest" flags from the version (see `releaseNotes.publish.makeLatest`).
+ *
+ * @param {Object} options
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {{to: string, tag: string|null, version: string|null}} options.release - The release,
+ *        as returned by generateReleaseNotes().
+ * @param {string} options.notes - Release body.
+ * @param {Object} [options.provider] - Hosting provider to reuse, see createProvider().
+ * @param {string} [options.token] - API token of the hosting service.
+ * @param {boolean} [options.draft] - Overrides `releaseNotes.publish.draft`.
+ * @param {string[]} [options.assets] - Overrides `releaseNotes.publish.assets`.
+ * @returns {Promise<{
+ *   url: string|null,
+ *   created: boolean,
+ *   assets: {name: string, url: string}[]
+ * }>} The published release.
+ *
+ * @throws {ProviderError} If the hosting service API cannot be used.
+ * @throws {Error} If the release tag does not point at `release.to`, or an asset pattern
+ *         matches no file.
+ */
+export async function publishReleaseNotes({
+  cwd = process.cwd(),
+  config,
+  release,
+  notes,
+  provider,
+  token,
+  draft,
+  assets,
+}) {
+  config = resolveConfig({ cwd, config });
+  if (!getTagsPointingAt(release.to, cwd).includes(release.tag)) {
+    throw new Error(
+      `Tag ${release.tag ?? "(unknown)"} does not point at ${release.to}; ` +
+        "create and push the release tag before publishing."
+    );
+  }
+
+  const publisher =
+    provider && provider.name !== "git" ? provider : createProvider({ cwd, config, token });
+  const prerelease = parseVersion(release.version).prerelease.length > 0;
+  const options = config.releaseNotes.publish;
+  const files = findAssets(cwd, assets ?? options.assets);
 
-  const target = path.join(cwd, isPreview ? "RELEASE_NOTES.preview.md" : "RELEASE_NOTES.md");
-  fs.writeFileSync(target, notes, "utf8");
+  console.log(`ℹ Publishing release ${release.tag} on ${publisher.name}...`);
+  const published = await publishRelease(publisher, {
+    tag: release.tag,
+    body: notes,
+    draft: draft ?? options.draft,
+    prerelease,
+    makeLatest: resolveMakeLatest({ cwd, config, version: release.version, prerelease }),
+    assets: files,
+  });
 
-  console.log(isPreview ? "✔ Generated RELEASE_NOTES.preview.md" : "✔ Generated RELEASE_NOTES.md");
+  for (const asset of published.assets) console.log(`  ↑ ${asset.name}`);
+  console.log(
+    `✔ ${published.created ? "Created" : "Updated"} release ${release.tag}: ` +
+      (published.release.url ?? "(no URL)")
+  );
+  return {
+    url: published.release.url,
+    created: published.created,
+    assets: published.assets,
+  };
 }
 
-function main() {
+/* ===========================
+ * CLI
+ * =========================== */
+
+/**
+ * Parses command-line arguments.
+ *
+ * Recognized options:
+ *  - "--source <auto|github|gitlab|gitea|git>": where pull requests come from
+ *  - "--offline": shorthand for "--source git"
+ *  - "--from <ref>" and "--to <ref>": range of the release (default: previous tag..HEAD)
+ *  - "--publish": create or update the release on the hosting service
+ *  - "--draft": publish the release as a draft
+ *  - "--assets <globs>": comma-separated asset globs, overriding `releaseNotes.publish.assets`
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @returns {{
+ *   source?: string,
+ *   from?: string,
+ *   to?: string,
+ *   publish: boolean,
+ *   draft?: boolean,
+ *   assets?: string[]
+ * }}
+ */
+function parseFlags(argv) {
+  const source = argv.includes("--offline") ? "git" : getArgValue(argv, "--source");
+  const sources = ["auto", ...HOSTING_PROVIDERS, "git"];
+  if (source !== undefined && !sources.includes(source)) {
+    throw new Error(`Unknown --source "${source}" (expected one of: ${sources.join(", ")}).`);
+  }
+  const assets = getArgValue(argv, "--assets");
+  return {
+    source,
+    from: getArgValue(argv, "--from"),
+    to: getArgValue(argv, "--to"),
+    publish: argv.includes("--publish"),
+    draft: argv.includes("--draft") ? true : undefined,
+    assets: assets?.split(",").map(glob => glob.trim()).filter(Boolean),
+  };
+}
+
+/**
+ * Main CLI entrypoint.
+ *
+ * Exit codes (contract):
+ *   0 -> notes written (and release published with --publish)
+ *   1 -> unexpected error or invalid usage
+ *   2 -> the hosting service API could not be used (see ProviderError)
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
   const isPreview = process.env.PREVIEW_MODE === "true";
-  generateReleaseNotes({ isPreview });
+  const config = await loadConfig();
+
+  try {
+    await generateReleaseNotes({
+      isPreview,
+      config,
+      source: flags.source,
+      from: flags.from,
+      to: flags.to,
+      publish: flags.publish,
+      draft: flags.draft,
+      assets: flags.assets,
+    });
+  } catch (err) {
+    if (!(err instanceof ProviderError)) throw err;
+    console.error(`❌ ${err.message}`);
+    if (!flags.publish) console.error("   Or generate the notes from Git history: --offline");
+    process.exit(2);
+  }
 }
 
 const __filename = fileURLToPath(import.meta.url);
-if (process.argv[1] === __filename) main();
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import { getCommitMessages, getVersionTags } from "../lib/git.js";
+import { lintMessage, stripMessageComments } from "../lib/lint.js";
+import { getArgValue } from "../lib/utils.js";
+
+/* ===========================
+ * Core API (Programmatic)
+ * =========================== */
+
+/**
+ * Lint commit messages against the conventional-commit grammar used by computeVersion().
+ *
+ * Exactly one source is linted, checked in this order:
+ * - `message`: a raw message (e.g. the file given to a commit-msg hook); Git comments are stripped.
+ * - `title`: a single header line, such as a pull request title.
+ * - `from` / `to`: every commit in the `from..to` range, with its message as stored. With `to`
+ *   alone, `from` defaults to the latest version tag reachable from `to`, or to the root
+ *   commit when there is none.
+ *
+ * @param {Object} [options] - Options object.
+ * @param {string} [options.cwd=process.cwd()] - Working directory to run git/config lookups in.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {string} [options.message] - Raw commit message.
+ * @param {string} [options.title] - Pull request title.
+ * @param {string} [options.from] - Start of the commit range (exclusive).
+ * @param {string} [options.to] - End of the commit range (inclusive); "HEAD" when only `from`
+ *        is given.
+ *
+ * @returns {{
+ *   valid: boolean,
+ *   errorCount: number,
+ *   warningCount: number,
+ *   results: {
+ *     hash: string|null,
+ *     header: string,
+ *     ignored: boolean,
+ *     valid: boolean,
+ *     problems: {rule: string, severity: 'error'|'warn', message: string}[]
+ *   }[]
+ * }} The lint report.
+ *
+ * @throws {Error} If no source is given.
+ * @throws {GitError} If the commit range refers to an unknown ref.
+ */
+export function lintCommits({
+  cwd = process.cwd(),
+  config,
+  message,
+  title,
+  from,
+  to,
+} = {}) {
+  config = resolveConfig({ cwd, config });
+
+  let entries;
+  if (message !== undefined) {
+    entries = [{ hash: null, message: stripMessageComments(message) }];
+  } else if (title !== undefined) {
+    entries = [{ hash: null, message: title.trim() }];
+  } else if (from || to) {
+    to ??= "HEAD";
+    from ??= getVersionTags(cwd, { format: config.tagFormat, ref: to })[0]?.name;
+    entries = getCommitMessages(from ? `${from}..${to}` : to, cwd);
+  } else {
+    throw new Error("Nothing to lint: provide a message, a title or a commit range.");
+  }
+
+  const results = entries.map(({ hash, message: text }) => ({
+    hash,
+    ...lintMessage(text, config),
+  }));
+
+  const count = severity =>
+    results.reduce((n, r) => n + r.problems.filter(p => p.severity === severity).length, 0);
+
+  return {
+    valid: results.every(r => r.valid),
+    errorCount: count("error"),
+    warningCount: count("warn"),
+    results,
+  };
+}
+
+/* ===========================
+ * CLI
+ * =========================== */
+
+/**
+ * Parses command-line arguments.
+ *
+ * Recognized options:
+ *  - "--edit <file>" / "--file <file>": lint a commit message file (commit-msg hook)
+ *  - "--title <text>": lint a pull request title
+ *  - "--from <ref>" and "--to <ref>": lint a commit range (from the latest version tag
+ *    when only "--to" is given)
+ *  - "--json": print the report as JSON
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @returns {{file?: string, title?: string, from?: string, to?: string, json: boolean}}
+ */
+function parseFlags(argv) {
+  const given = flag => argv.some(arg => arg === flag || arg.startsWith(`${flag}=`));
+  for (const flag of ["--from", "--to"]) {
+    if (given(flag) && !getArgValue(argv, flag)) {
+      throw new Error(`${flag} requires a ref (e.g. ${flag} 1.2.0).`);
+    }
+  }
+  return {
+    file: getArgValue(argv, "--edit") ?? getArgValue(argv, "--file"),
+    title: getArgValue(argv, "--title"),
+    from: getArgValue(argv, "--from"),
+    to: getArgValue(argv, "--to"),
+    json: argv.includes("--json"),
+  };
+}
+
+function printReport(report) {
+  for (const result of report.results) {
+    const label = result.hash ? `${result.hash.slice(0, 7)} ${result.header}` : result.header;
+
+    if (result.ignored) {
+      console.log(`⏭  ${label} (ignored)`);
+      continue;
+    }
+    if (!result.problems.length) {
+      console.log(`✔ ${label}`);
+      continue;
+    }
+
+    console.log(`${result.valid ? "⚠" : "✖"} ${label}`);
+    for (const p of result.problems) {
+      console.log(`   ${p.severity.padEnd(5)}  ${p.rule.padEnd(18)} ${p.message}`);
+    }
+  }
+
+  const total = report.results.length;
+  console.log(
+    `\n${report.valid ? "✔" : "✖"} ${total} message${total === 1 ? "" : "s"} checked, ` +
+      `${report.errorCount} error(s), ${report.warningCount} warning(s)`
+  );
+}
+
+/**
+ * Main CLI entrypoint.
+ *
+ * Exit codes (contract):
+ *   0 -> no errors (warnings allowed)
+ *   1 -> at least one error, or invalid usage
+ *
+ * @returns {Promise<void>} This function does not return; it exits the process.
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const config = await loadConfig();
+
+  const message = flags.file ? fs.readFileSync(path.resolve(flags.file), "utf8") : undefined;
+
+  const report = lintCommits({
+    config,
+    message,
+    title: flags.title,
+    from: flags.from,
+    to: flags.to,
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  process.exit(report.valid ? 0 : 1);
+}
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -1,47 +1,342 @@
 #!/usr/bin/env node
 import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import {
+  addWorktree,
+  fetchRef,
+  getCommits,
+  getCommitSubject,
+  getConflictedFiles,
+  getCurrentBranch,
+  isAncestor,
+  mergeCommit,
+  parseCommit,
+  removeWorktree,
+  resolveCommit,
+} from "../lib/git.js";
+import { getPullRequestRef } from "../lib/repository.js";
+import { getArgValue } from "../lib/utils.js";
 import { computeVersion } from "./compute-version.js";
 import { generateChangelog } from "./generate-changelog.js";
 import { generateReleaseNotes } from "./generate-release-notes.js";
 
-process.env.PREVIEW_MODE = "true";
+/**
+ * Resolve the commit to preview: a pull request head fetched from the remote, or a local
+ * (else remote-tracking) branch. The merge message follows the hosting service's, so the
+ * Git-only release notes read the pull request number and title from it; without the API,
+ * the title is the subject of the first commit of the pull request.
+ */
+function resolveHead({ cwd, config, branch, pr, remote, base }) {
+  if (pr !== undefined) {
+    const { ref, host } = getPullRequestRef(pr, { cwd, config });
+    console.log(`ℹ Fetching ${ref} from ${remote}...`);
+    const commit = fetchRef(remote, ref, cwd);
+    const title =
+      getCommits(`${base.commit}..${commit}`, cwd).map(parseCommit).at(-1)?.subject ??
+      getCommitSubject(commit, cwd);
+    const message =
+      host === "gitlab"
+        ? `Merge branch 'merge-request-${pr}' into '${base.name}'\n\n${title}\n\n` +
+          `See merge request !${pr}`
+        : `Merge pull request #${pr} from ${remote}/pull/${pr}\n\n${title}`;
+    return { ref, label: `#${pr}`, commit, message };
+  }
 
-const filesMap = {
-  changelog: "CHANGELOG.preview.md",
-  notes: "RELEASE_NOTES.preview.md",
-};
+  let commit;
+  for (const ref of [branch, `refs/remotes/${remote}/${branch}`]) {
+    try {
+      commit = resolveCommit(ref, cwd);
+      break;
+    } catch (err) {
+      if (err.code !== "unknown-ref") throw err;
+    }
+  }
+  if (!commit) throw new Error(`Branch ${branch} not found, locally or on ${remote}.`);
+  const message = `Merge branch '${branch}' into ${base.name}`;
+  return { ref: branch, label: branch, commit, message };
+}
 
-const action = process.argv[2];
+/**
+ * Compute the upcoming version of `cwd` and write its preview changelog and release notes.
+ */
+async function writePreview({ cwd, config, branch, source }) {
+  const version = computeVersion({ cwd, config, branch });
+  const nextVersion = version.hasRelease ? version.nextVersion : undefined;
 
-if (!["create", "remove"].includes(action)) {
-  console.log("Usage: preview.js [create|remove]");
-  process.exit(1);
+  const changelog = generateChangelog({ cwd, config, isPreview: true, version: nextVersion });
+  const notes = await generateReleaseNotes({
+    cwd,
+    config,
+    isPreview: true,
+    source,
+    version: nextVersion,
+  });
+
+  const files = [changelog.file, changelog.jsonFile, notes.file].filter(Boolean);
+  return { version, files };
 }
 
-if (action === "create") {
-  console.log("🔧 Generating preview files...");
+/* ===========================
+ * Core API (Programmatic)
+ * =========================== */
 
-  const versionOutput = computeVersion({ isPreview: true });
+/**
+ * Generate the preview changelog and release notes (`changelog.previewFile`,
+ * `changelog.jsonPreviewFile` and `releaseNotes.previewFile`) of the upcoming release.
+ *
+ * By default, the release is the one of HEAD. With `branch` or `pr`, it is the release that
+ * merging that branch or pull request into `base` would produce: the merge is simulated in a
+ * temporary worktree (the working tree and branches of `cwd` are left untouched), and the
+ * preview files generated there are copied to `cwd`. The release notes are then read from
+ * Git history, since the hosting service does not list the pull request as merged yet.
+ *
+ * Pull requests are fetched from `remote` without the hosting service API, under
+ * `refs/pull/<n>/head` (GitHub, Gitea) or `refs/merge-requests/<n>/head` (GitLab).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {string} [options.branch] - Branch to merge, local or on `remote`.
+ * @param {string|number} [options.pr] - Pull request number to merge.
+ * @param {string} [options.base] - Branch merged into; defaults to the current branch (HEAD).
+ *        Its release branch config (channel, prerelease, range) applies.
+ * @param {string} [options.remote="origin"] - Remote to fetch pull requests from.
+ * @returns {Promise<{
+ *   base: {ref: string, branch: string|null, commit: string},
+ *   head: {ref: string, commit: string}|null,
+ *   version: Object,
+ *   files: string[]
+ * }>} The base, the merged head (null for HEAD previews), the computeVersion() result of
+ *     the (merged) release and the preview files written, relative to `cwd`.
+ *
+ * @throws {Error} If both `branch` and `pr` are given, the branch cannot be found, the pull
+ *         request host is not supported, the head is already merged into the base, or the
+ *         merge has conflicts.
+ * @throws {GitError} If fetching or merging fails.
+ */
+export async function createPreview({
+  cwd = process.cwd(),
+  config,
+  branch,
+  pr,
+  base,
+  remote = "origin",
+} = {}) {
+  config = resolveConfig({ cwd, config });
+  if (branch !== undefined && pr !== undefined) {
+    throw new Error("Preview either a branch or a pull request, not both.");
+  }
 
-  if (versionOutput) {
-    console.log("🔖 Computed version:");
-    console.log(versionOutput);
+  const baseRef = base ?? "HEAD";
+  const baseName = base?.startsWith(`${remote}/`)
+    ? base.slice(remote.length + 1)
+    : (base ?? getCurrentBranch(cwd));
+  const baseInfo = { ref: baseRef, branch: baseName, commit: resolveCommit(baseRef, cwd) };
+
+  if (branch === undefined && pr === undefined) {
+    if (base !== undefined) throw new Error("A base needs a branch or pull request to merge.");
+    const preview = await writePreview({ cwd, config, branch: baseName });
+    return { base: baseInfo, head: null, ...preview };
   }
 
-  generateChangelog({ isPreview: true });
-  generateReleaseNotes({ isPreview: true });
+  const head = resolveHead({
+    cwd,
+    config,
+    branch,
+    pr,
+    remote,
+    base: { name: baseName ?? baseRef, commit: baseInfo.commit },
+  });
+  if (isAncestor(head.commit, baseInfo.commit, cwd)) {
+    throw new Error(`${head.label} is already merged into ${baseName ?? baseRef}.`);
+  }
 
-  console.log("✅ Preview ready:");
-  console.log(" -", filesMap.changelog);
-  console.log(" -", filesMap.notes);
-  process.exit(0);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "release-suite-preview-"));
+  try {
+    addWorktree(dir, baseInfo.commit, cwd);
+    try {
+      mergeCommit(head.commit, head.message, dir);
+    } catch (err) {
+      const conflicts = getConflictedFiles(dir);
+      if (!conflicts.length) throw err;
+      throw new Error(
+        `${head.label} does not merge cleanly into ${baseName ?? baseRef}; ` +
+          `conflicts in: ${conflicts.join(", ")}`,
+        { cause: err }
+      );
+    }
+
+    // The cache would be written in the worktree, and deleted with it.
+    const preview = await writePreview({
+      cwd: dir,
+      config: { ...config, history: { ...config.history, cache: false } },
+      branch: baseName,
+      source: "git",
+    });
+    for (const file of preview.files) {
+      fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+      fs.copyFileSync(path.join(dir, file), path.join(cwd, file));
+    }
+    return { base: baseInfo, head: { ref: head.ref, commit: head.commit }, ...preview };
+  } finally {
+    try {
+      removeWorktree(dir, cwd);
+    } catch {
+      // Not registered when adding the worktree failed.
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Delete the preview files written by createPreview().
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @returns {string[]} The files deleted, relative to `cwd`.
+ */
+export function removePreview({ cwd = process.cwd(), config } = {}) {
+  config = resolveConfig({ cwd, config });
+  const files = [
+    config.changelog.previewFile,
+    config.changelog.jsonPreviewFile,
+    config.releaseNotes.previewFile,
+  ];
+  return files.filter(file => {
+    if (!fs.existsSync(path.join(cwd, file))) return false;
+    fs.unlinkSync(path.join(cwd, file));
+    return true;
+  });
+}
+
+/* ===========================
+ * CLI
+ * =========================== */
+
+/**
+ * Parses command-line arguments.
+ *
+ * Recognized options:
+ *  - "create" | "remove": action (first argument)
+ *  - "--branch <name>": preview merging a branch into the base
+ *  - "--pr <number>": preview merging a pull request into the base
+ *  - "--base <branch>": branch merged into (default: the current branch)
+ *  - "--remote <name>": remote to fetch pull requests from (default: "origin")
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @returns {{action: string, branch?: string, pr?: string, base?: string, remote?: string}}
+ */
+function parseFlags(argv) {
+  const [action] = argv;
+  if (!["create", "remove"].includes(action)) {
+    throw new Error(
+      "Usage: rs-preview create [--branch <name> | --pr <number>] [--base <branch>] | remove"
+    );
+  }
+  const pr = getArgValue(argv, "--pr");
+  if (argv.includes("--pr") && !/^\d+$/.test(pr ?? "")) {
+    throw new Error("--pr requires a pull request number (e.g. --pr 42).");
+  }
+  for (const flag of ["--branch", "--base", "--remote"]) {
+    if (argv.includes(flag) && !getArgValue(argv, flag)) {
+      throw new Error(`${flag} requires a value.`);
+    }
+  }
+  return {
+    action,
+    branch: getArgValue(argv, "--branch"),
+    pr,
+    base: getArgValue(argv, "--base"),
+    remote: getArgValue(argv, "--remote"),
+  };
 }
 
-if (action === "remove") {
-  console.log("🧹 Removing preview files...");
-  for (const f of Object.values(filesMap)) {
-    if (fs.existsSync(f)) fs.unlinkSync(f);
+function describeRule(rule) {
+  return Object.entries(rule)
+    .filter(([key]) => key !== "bump")
+    .map(([key, value]) => (value === true ? key : `${key} ${JSON.stringify(value)}`))
+    .join(", ");
+}
+
+/** Print the version a preview would release and the commits that decided it. */
+function reportVersion(version) {
+  if (!version.hasRelease) {
+    console.log(`ℹ No release (${version.reason}). Base version: ${version.baseVersion}`);
+    if (version.reason === "out-of-range") {
+      const { min, max } = version.range;
+      console.log(
+        `  ${version.blockedVersion} is outside the range allowed on branch ` +
+          `${version.branch} (>=${min} <${max}).`
+      );
+    }
+    return;
   }
-  console.log("✔ Preview cleared.");
+
+  console.log(
+    `🔖 Next version: ${version.nextVersion} (${version.bump} bump from ` +
+      `${version.baseVersion}, ${version.commitsAnalyzed} commit(s) analyzed)`
+  );
+  const { decidedBy } = version;
+  if (decidedBy?.hash) {
+    console.log(
+      `  Decided by ${decidedBy.hash.slice(0, 7)} "${decidedBy.subject}" ` +
+        `(rule: ${describeRule(decidedBy.rule)})`
+    );
+  }
+  for (const { subject, revertedBy } of version.reverted ?? []) {
+    console.log(`  Ignored "${subject}", reverted by "${revertedBy.subject}"`);
+  }
+}
+
+/**
+ * Main CLI entrypoint.
+ *
+ * Exit codes (contract):
+ *   0 -> preview files written (or removed)
+ *   1 -> error: invalid usage, branch not found, merge conflicts, Git failure
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const config = await loadConfig();
+
+  if (flags.action === "remove") {
+    console.log("🧹 Removing preview files...");
+    removePreview({ config });
+    console.log("✔ Preview cleared.");
+    process.exit(0);
+  }
+
+  const target = flags.branch ?? (flags.pr && `pull request #${flags.pr}`);
+  console.log(
+    target
+      ? `🔧 Previewing the merge of ${target} into ${flags.base ?? "the current branch"}...`
+      : "🔧 Generating preview files..."
+  );
+
+  const preview = await createPreview({
+    config,
+    branch: flags.branch,
+    pr: flags.pr,
+    base: flags.base,
+    remote: flags.remote,
+  });
+
+  reportVersion(preview.version);
+  console.log("✅ Preview ready:");
+  for (const file of preview.files) console.log(" -", file);
   process.exit(0);
 }
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
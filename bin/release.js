@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { resolveVersionFiles } from "../lib/bump.js";
+import { loadConfig, resolveConfig } from "../lib/config.js";
+import {
+  commitFiles,
+  deleteTag,
+  getCheckedOutBranch,
+  getHeadCommit,
+  getUncommittedChanges,
+  pushRefs,
+  resetHard,
+  tagExists,
+} from "../lib/git.js";
+import { createProvider } from "../lib/providers/index.js";
+import { findAssets } from "../lib/publish.js";
+import { formatTag } from "../lib/tags.js";
+import { getArgValue } from "../lib/utils.js";
+import { bump } from "./bump.js";
+import { computeVersion } from "./compute-version.js";
+import { createTag } from "./create-tag.js";
+import { generateChangelog } from "./generate-changelog.js";
+import { generateReleaseNotes, publishReleaseNotes } from "./generate-release-notes.js";
+
+/**
+ * Error raised when a release step fails.
+ */
+export class ReleaseError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem.
+   * @param {Object} options
+   * @param {string} options.step - Step that failed ("preflight", "bump", "changelog",
+   *        "commit", "tag", "notes", "push" or "publish").
+   * @param {boolean} [options.rolledBack=false] - Whether the local commit and tag were undone.
+   * @param {unknown} [options.cause] - Underlying error, if any.
+   */
+  constructor(message, { step, rolledBack = false, cause }) {
+    super(message, { cause });
+    this.name = "ReleaseError";
+    this.step = step;
+    this.rolledBack = rolledBack;
+  }
+}
+
+function formatCommitMessage(template, { version, tag }) {
+  return template.replaceAll("${version}", version).replaceAll("${tag}", tag);
+}
+
+/**
+ * List the files the bump and changelog steps write that do not exist yet (e.g. a first
+ * `changelog.json`): until they are committed, they are untracked and `git reset` keeps them.
+ */
+function findMissingOutputs(cwd, config) {
+  const outputs = [
+    ...resolveVersionFiles(cwd, config).map(spec => spec.path),
+    config.changelog.file,
+    ...(config.changelog.json ? [config.changelog.jsonFile] : []),
+  ];
+  return [...new Set(outputs)].filter(file => !fs.existsSync(path.join(cwd, file)));
+}
+
+/**
+ * Undo the local effects of a failed release: delete the tag, move the branch (and the
+ * working tree, clean when the release started) back to the commit the release started from
+ * and delete the files the release created.
+ */
+function rollback({ cwd, start, tag, tagged, created }) {
+  if (tagged) deleteTag(tag, cwd);
+  resetHard(start, cwd);
+  for (const file of created) fs.rmSync(path.join(cwd, file), { force: true });
+  const deleted = tagged ? ` and deleted tag ${tag}` : "";
+  console.error(`↩ Rolled back to ${start.slice(0, 7)}${deleted}.`);
+}
+
+/* ===========================
+ * Core API (Programmatic)
+ * =========================== */
+
+/**
+ * Run the whole release: compute the version, bump package.json, update the changelog,
+ * create the release commit and tag, generate the release notes, push and (optionally)
+ * publish the release on the hosting service.
+ *
+ * Steps, in order:
+ * 1. preflight: no changes to tracked files, a checked-out branch to push, tag not taken
+ *    and, with `publish`, an API token and the release assets;
+ * 2. version: computeVersion() (nothing else happens when there is no release);
+ * 3. bump: bump() writes the version into package.json, npm lockfiles and `bump.files`;
+ * 4. changelog: generateChangelog() for the computed version;
+ * 5. commit: the changed files, with the `release.commitMessage` message;
+ * 6. tag: createTag() on the release commit, following the `tag` config (signing, message);
+ * 7. notes: generateReleaseNotes() for the tag;
+ * 8. push: the branch and the tag to `release.remote`, atomically;
+ * 9. publish: publishReleaseNotes(), with `publish`.
+ *
+ * When a step fails before the push, the release commit and tag are removed, the working
+ * tree is restored and the files the release created (e.g. a first changelog) are deleted,
+ * so the release can simply be run again. A failed push (rejected, no
+ * network) is rolled back the same way. A failed publish is not: the release is already
+ * public; rerun `rs-generate-release-notes --publish` on the tag.
+ *
+ * With `dryRun`, every step runs without writing files, committing, tagging, pushing or
+ * publishing, and reports what it would do.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.config] - Resolved config (see loadConfig()).
+ * @param {boolean} [options.dryRun=false] - Report the release without changing anything.
+ * @param {boolean} [options.push=true] - Push the commit and tag; false keeps them local.
+ * @param {boolean} [options.publish=false] - Create the release on the hosting service.
+ * @param {string} [options.preid] - Prerelease identifier, see computeVersion().
+ * @param {string} [options.releaseAs] - Force the version, see computeVersion().
+ * @param {'auto'|'github'|'gitlab'|'gitea'|'git'} [options.source] - Release notes source,
+ *        see generateReleaseNotes().
+ * @param {string} [options.token] - API token of the hosting service.
+ * @returns {Promise<{
+ *   released: boolean,
+ *   dryRun: boolean,
+ *   // Present when released === false:
+ *   reason?: 'no-commits' | 'no-bump-detected' | 'out-of-range',
+ *   // Present when released === true:
+ *   version?: string,
+ *   tag?: string,
+ *   commit?: string|null,
+ *   files?: string[],
+ *   notes?: string,
+ *   pushed?: boolean,
+ *   published?: {url: string|null, created: boolean, assets: Object[]}|null
+ * }>} What was released; `commit` is null in dry-run mode.
+ *
+ * @throws {ReleaseError} If a step fails; `step` names it and `rolledBack` tells whether the
+ *         local commit and tag were undone. Workspace mode (`workspaces` config) is rejected
+ *         at the preflight step.
+ */
+export async function release({
+  cwd = process.cwd(),
+  config,
+  dryRun = false,
+  push = true,
+  publish = false,
+  preid,
+  releaseAs,
+  source,
+  token,
+} = {}) {
+  config = resolveConfig({ cwd, config });
+  const { remote } = config.release;
+
+  // 1. Preflight
+  const fail = (message, step = "preflight") => new ReleaseError(message, { step });
+  // One commit, tag and set of notes per run: workspace releases are not a single release.
+  if (config.workspaces) {
+    throw fail(
+      "rs-release releases single-package projects; in workspace mode, release the packages " +
+        "with rs-bump, rs-generate-changelog and rs-create-tag --workspaces (see monorepo.md)."
+    );
+  }
+  let provider = null;
+  if (publish) {
+    if (!push) throw fail("Publishing needs the release tag to be pushed.");
+    provider = createProvider({ cwd, config, token });
+    if (provider.name === "git") {
+      throw fail("Publishing needs a hosting service API token (e.g. GITHUB_TOKEN).");
+    }
+    // Fails now rather than after the push when the build output is missing.
+    findAssets(cwd, config.releaseNotes.publish.assets);
+  }
+  // Untracked files (build output, RELEASE_NOTES.md) are neither committed nor rolled back.
+  const changes = getUncommittedChanges(cwd, { untracked: false });
+  if (changes.length) {
+    throw fail(`The working tree has uncommitted changes:\n${changes.join("\n")}`);
+  }
+  // Not getCurrentBranch(): on a detached HEAD, its CI fallbacks name the target branch of a
+  // pull request, which would receive the synthetic merge commit of the CI checkout.
+  const branch = getCheckedOutBranch(cwd);
+  if (push && !branch) {
+    throw fail("Cannot push from a detached HEAD: check out the release branch, or use --no-push.");
+  }
+
+  // 2. Version
+  const result = computeVersion({ cwd, config, preid, releaseAs });
+  if (!result.hasRelease) {
+    console.log(`ℹ Nothing to release (${result.reason}). Base version: ${result.baseVersion}`);
+    return { released: false, dryRun, reason: result.reason };
+  }
+
+  const version = result.nextVersion;
+  const tag = formatTag(config.tagFormat, version);
+  if (tagExists(tag, cwd)) throw fail(`Tag ${tag} already exists.`);
+
+  console.log(`🚀 Releasing ${version} (${result.bump}) on ${branch ?? "HEAD"}`);
+  if (dryRun) console.log("🧪 Dry-run mode enabled: nothing will be written or pushed.");
+
+  const start = getHeadCommit(cwd);
+  const state = { cwd, start, tag, tagged: false, created: findMissingOutputs(cwd, config) };
+  let step = "bump";
+  let commit = null;
+  let files;
+  let notes;
+
+  try {
+    // 3. Bump
+    const bumped = bump({ cwd, config, version, dryRun });
+    files = bumped.files.filter(file => file.changed).map(file => file.file);
+
+    // 4. Changelog
+    step = "changelog";
+    const changelog = generateChangelog({ cwd, config, version, dryRun, isPreview: false });
+    files.push(changelog.file, ...(changelog.jsonFile ? [changelog.jsonFile] : []));
+
+    // 5. Commit and 6. Tag
+    const message = formatCommitMessage(config.release.commitMessage, { version, tag });
+    if (dryRun) {
+      console.log(`🧪 Would commit ${files.join(", ")}: "${message}"`);
+      console.log(`🧪 Would create annotated tag ${tag}`);
+    } else {
+      step = "commit";
+      commit = commitFiles(files, message, cwd);
+      console.log(`✔ Committed ${commit.slice(0, 7)}: ${message}`);
+
+      step = "tag";
+      createTag({ cwd, config, version, workspaces: false, push: false });
+      state.tagged = true;
+    }
+
+    // 7. Notes
+    step = "notes";
+    ({ notes } = await generateReleaseNotes({
+      cwd,
+      config,
+      source,
+      token,
+      version,
+      dryRun,
+      isPreview: false,
+    }));
+
+    // 8. Push
+    if (push) {
+      step = "push";
+      const refspecs = [`HEAD:refs/heads/${branch}`, `refs/tags/${tag}`];
+      if (dryRun) {
+        console.log(`🧪 Would push ${refspecs.join(" ")} to ${remote}`);
+      } else {
+        pushRefs(remote, refspecs, cwd);
+        console.log(`✔ Pushed ${branch} and ${tag} to ${remote}`);
+      }
+    }
+  } catch (err) {
+    let rolledBack = false;
+    if (!dryRun) {
+      // A failed rollback is reported, but the error of the failed step is the one thrown.
+      try {
+        rollback(state);
+        rolledBack = true;
+      } catch (rollbackErr) {
+        console.error(`⚠ Could not roll back to ${start.slice(0, 7)}: ${rollbackErr.message}`);
+      }
+    }
+    throw new ReleaseError(`Release ${version} failed at the ${step} step: ${err.message}`, {
+      step,
+      rolledBack,
+      cause: err,
+    });
+  }
+
+  // 9. Publish
+  let published = null;
+  if (publish && dryRun) {
+    console.log(`🧪 Would publish the release of ${tag}`);
+  } else if (publish) {
+    try {
+      published = await publishReleaseNotes({
+        cwd,
+        config,
+        release: { to: "HEAD", tag, version },
+        notes,
+        provider,
+      });
+    } catch (err) {
+      throw new ReleaseError(
+        `Release ${version} was pushed but could not be published: ${err.message}`,
+        { step: "publish", cause: err }
+      );
+    }
+  }
+
+  console.log(dryRun ? `🧪 Dry run of ${version} complete.` : `✅ Released ${version}`);
+  return {
+    released: true,
+    dryRun,
+    version,
+    tag,
+    commit,
+    files,
+    notes,
+    pushed: push && !dryRun,
+    published,
+  };
+}
+
+/* ===========================
+ * CLI
+ * =========================== */
+
+/**
+ * Parses command-line arguments.
+ *
+ * Recognized options:
+ *  - "--dry-run": report every step without changing anything
+ *  - "--no-push": keep the release commit and tag local
+ *  - "--publish": create the release on the hosting service after pushing
+ *  - "--pre <id>": prerelease identifier (e.g. "beta")
+ *  - "--release-as <version>": force the version
+ *  - "--offline": read the release notes from Git history only
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @returns {{
+ *   dryRun: boolean,
+ *   push: boolean,
+ *   publish: boolean,
+ *   pre?: string,
+ *   releaseAs?: string,
+ *   source?: string
+ * }}
+ */
+function parseFlags(argv) {
+  return {
+    dryRun: argv.includes("--dry-run"),
+    push: !argv.includes("--no-push"),
+    publish: argv.includes("--publish"),
+    pre: getArgValue(argv, "--pre"),
+    releaseAs: getArgValue(argv, "--release-as"),
+    source: argv.includes("--offline") ? "git" : undefined,
+  };
+}
+
+/**
+ * Main CLI entrypoint.
+ *
+ * Exit codes (contract):
+ *   0  -> released (or dry run completed)
+ *   10 -> nothing to release (no commits, no bump, or version out of the branch range)
+ *   1  -> a step failed; local changes were rolled back if possible (see ReleaseError)
+ *   2  -> the release was pushed but publishing it failed
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const flags = parseFlags(process.argv.slice(2));
+  const config = await loadConfig();
+
+  try {
+    const result = await release({
+      config,
+      dryRun: flags.dryRun,
+      push: flags.push,
+      publish: flags.publish,
+      preid: flags.pre,
+      releaseAs: flags.releaseAs,
+      source: flags.source,
+    });
+    process.exit(result.released ? 0 : 10);
+  } catch (err) {
+    if (!(err instanceof ReleaseError)) throw err;
+    console.error(`❌ ${err.message}`);
+    if (err.step === "publish") {
+      console.error("   Retry publishing with: npx rs-generate-release-notes --publish");
+      process.exit(2);
+    }
+    process.exit(1);
+  }
+}
+
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -82,6 +82,20 @@ export default [
       ],
     },
   },
+
+  // =====================
+  // TESTS
+  // =====================
+  {
+    files: ["test/**/*.js"],
+    languageOptions: {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
   prettierConfig,
   {
     ignores: ["dist/**/*.js"],
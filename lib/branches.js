@@ -0,0 +1,95 @@
+import { compareVersions, parseVersion } from "./versioning.js";
+
+/* ===========================
+ * Release branches
+ * =========================== */
+
+const MAINTENANCE_RE = /^(\d+)\.(?:(\d+)\.)?x$/;
+
+/**
+ * Parse a maintenance range such as "1.x" or "1.2.x".
+ *
+ * @param {string} range - Range in "<major>.x" or "<major>.<minor>.x" form.
+ * @returns {{min: string, max: string}|null} Inclusive lower bound and exclusive upper bound,
+ *          or null if `range` is not a maintenance range.
+ *
+ * @example
+ * parseMaintenanceRange("1.x");   // => { min: "1.0.0", max: "2.0.0" }
+ * parseMaintenanceRange("1.2.x"); // => { min: "1.2.0", max: "1.3.0" }
+ */
+export function parseMaintenanceRange(range) {
+  const m = MAINTENANCE_RE.exec(range);
+  if (!m) return null;
+
+  const major = Number(m[1]);
+  if (m[2] === undefined) return { min: `${major}.0.0`, max: `${major + 1}.0.0` };
+
+  const minor = Number(m[2]);
+  return { min: `${major}.${minor}.0`, max: `${major}.${minor + 1}.0` };
+}
+
+/**
+ * Check whether a version falls inside a maintenance range.
+ *
+ * Only the major.minor.patch core is compared, so prereleases of the upper bound
+ * ("2.0.0-beta.0" for "1.x") are outside the range as well.
+ *
+ * @param {string} version - Version to check.
+ * @param {{min: string, max: string}} range - Range from parseMaintenanceRange().
+ * @returns {boolean} True if `min <= core(version) < max`.
+ */
+export function isInRange(version, { min, max }) {
+  const { major, minor, patch } = parseVersion(version);
+  const core = `${major}.${minor}.${patch}`;
+  return compareVersions(core, min) >= 0 && compareVersions(core, max) < 0;
+}
+
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split("**")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the release branch config matching a Git branch name.
+ *
+ * Branch entries are checked in order; `name` may contain `*` (any characters except "/")
+ * and `**` (anything) wildcards. The returned descriptor tells how releases from that
+ * branch behave:
+ * - `channel`: npm dist-tag, defaulting to "latest" for regular branches, the prerelease
+ *   id for prerelease branches and "release-<range>" for maintenance branches (dist-tags
+ *   must not look like semver ranges, so "1.x" itself cannot be used).
+ * - `prerelease`: prerelease id, when the branch publishes prereleases.
+ * - `range`: allowed versions, taken from the entry's `range` or from a maintenance-style
+ *   branch name ("1.x", "1.2.x").
+ *
+ * @param {string|null} branch - Current branch name.
+ * @param {Object[]} branches - `branches` config entries.
+ * @returns {{
+ *   name: string,
+ *   channel: string,
+ *   prerelease: string|null,
+ *   range: {min: string, max: string}|null
+ * }|null} The release branch, or null if the branch is not a release branch.
+ */
+export function resolveBranch(branch, branches) {
+  if (!branch) return null;
+
+  const entry = branches.find(b => wildcardToRegExp(b.name).test(branch));
+  if (!entry) return null;
+
+  const rangeSource = entry.range ?? branch;
+  const range = parseMaintenanceRange(rangeSource);
+  const prerelease = entry.prerelease ?? null;
+
+  let channel = entry.channel;
+  if (!channel) {
+    if (prerelease) channel = prerelease;
+    else if (range) channel = `release-${rangeSource}`;
+    else channel = "latest";
+  }
+
+  return { name: branch, channel, prerelease, range };
+}
@@ -0,0 +1,309 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ConfigError } from "./config.js";
+
+/* ===========================
+ * Version files
+ * =========================== */
+
+/** npm files whose version follows the release: the manifest and its lockfiles. */
+export const PACKAGE_VERSION_FILES = [
+  { path: "package.json", jsonPath: "version" },
+  { path: "package-lock.json", jsonPath: "version" },
+  { path: "package-lock.json", jsonPath: 'packages."".version' },
+  { path: "npm-shrinkwrap.json", jsonPath: "version" },
+  { path: "npm-shrinkwrap.json", jsonPath: 'packages."".version' },
+];
+
+const KINDS = ["jsonPath", "pattern", "yamlKey"];
+
+// 'a.b' -> ["a", "b"]; a quoted segment ('packages."".version') may contain dots or be empty.
+function splitPath(keyPath) {
+  return [...keyPath.matchAll(/"([^"]*)"|([^.]+)/g)].map(m => m[1] ?? m[2]);
+}
+
+/* ---------- JSON ---------- */
+
+function readJsonVersion(content, spec) {
+  let value = JSON.parse(content);
+  for (const key of splitPath(spec.jsonPath)) value = value?.[key];
+  return typeof value === "string" ? value : null;
+}
+
+function writeJsonVersion(content, spec, version) {
+  const data = JSON.parse(content);
+  const keys = splitPath(spec.jsonPath);
+  const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], data);
+  if (typeof parent?.[keys.at(-1)] !== "string") return content;
+
+  parent[keys.at(-1)] = version;
+  // Keep the file's indentation, and minified files minified.
+  const indent = content.match(/^[ \t]+(?=")/m)?.[0] ?? (content.trim().includes("\n") ? 2 : 0);
+  return JSON.stringify(data, null, indent) + (content.endsWith("\n") ? "\n" : "");
+}
+
+/* ---------- Regular expression ---------- */
+
+function compilePattern(spec) {
+  const groups = new RegExp(`${spec.pattern}|`).exec("").length - 1;
+  if (groups === 0) {
+    throw new ConfigError(`bump.files pattern "${spec.pattern}" needs a capture group`);
+  }
+  return new RegExp(spec.pattern, "gmd");
+}
+
+// Position of the version in a match: the `version` named group, or else the first group.
+function versionIndices(match) {
+  return match.indices.groups?.version ?? match.indices[1];
+}
+
+function readPatternVersion(content, spec) {
+  for (const match of content.matchAll(compilePattern(spec))) {
+    const indices = versionIndices(match);
+    if (indices) return content.slice(...indices);
+  }
+  return null;
+}
+
+function writePatternVersion(content, spec, version) {
+  let result = "";
+  let last = 0;
+  for (const match of content.matchAll(compilePattern(spec))) {
+    const indices = versionIndices(match);
+    if (!indices || indices[0] < last) continue;
+    const [start, end] = indices;
+    result += content.slice(last, start) + version;
+    last = end;
+  }
+  return result + content.slice(last);
+}
+
+/* ---------- YAML ---------- */
+
+const YAML_ENTRY_RE = /^(\s*)("[^"]*"|'[^']*'|[^\s:#][^:#]*?)\s*:(?:(\s+)(.*?))?(\s+#.*)?$/;
+
+/**
+ * Locate the scalar of a (possibly nested) mapping key in a YAML document, line by line.
+ * The first key must be at the top level (no indentation) and each following key a direct
+ * child of the previous one, so same-named keys nested elsewhere are not matched.
+ * Block mappings only: flow mappings, anchors and multi-line scalars are not supported.
+ */
+function findYamlEntry(lines, keyPath) {
+  const keys = splitPath(keyPath);
+  let depth = 0;
+  let parentIndent = -1;
+  // Indentation of the direct children of the last matched key; unknown until the first one.
+  let childIndent = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(YAML_ENTRY_RE);
+    if (!m || lines[i].trimStart().startsWith("#")) continue;
+    const indent = m[1].length;
+    if (indent <= parentIndent) return null;
+    childIndent ??= indent;
+    if (indent !== childIndent) continue;
+    if (m[2].replace(/^(["'])(.*)\1$/, "$2") !== keys[depth]) continue;
+
+    if (depth === keys.length - 1) {
+      const raw = m[4] ?? "";
+      const quote = /^["']/.test(raw) ? raw[0] : "";
+      return { line: i, match: m, quote, value: quote ? raw.slice(1, -1) : raw };
+    }
+    depth++;
+    parentIndent = indent;
+    childIndent = null;
+  }
+  return null;
+}
+
+function readYamlVersion(content, spec) {
+  const entry = findYamlEntry(content.split("\n"), spec.yamlKey);
+  return entry?.value || null;
+}
+
+function writeYamlVersion(content, spec, version) {
+  const lines = content.split("\n");
+  const entry = findYamlEntry(lines, spec.yamlKey);
+  if (!entry?.value) return content;
+
+  const [, indent, key, space = " ", , comment = ""] = entry.match;
+  lines[entry.line] = `${indent}${key}:${space}${entry.quote}${version}${entry.quote}${comment}`;
+  return lines.join("\n");
+}
+
+/* ---------- Public helpers ---------- */
+
+const HANDLERS = {
+  jsonPath: { read: readJsonVersion, write: writeJsonVersion },
+  pattern: { read: readPatternVersion, write: writePatternVersion },
+  yamlKey: { read: readYamlVersion, write: writeYamlVersion },
+};
+
+function handlerFor(spec) {
+  const kinds = KINDS.filter(kind => spec[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new ConfigError(
+      `bump.files entry "${spec.path}" must set exactly one of: ${KINDS.join(", ")}`
+    );
+  }
+  return HANDLERS[kinds[0]];
+}
+
+function describe(spec) {
+  const kind = KINDS.find(key => spec[key] !== undefined);
+  return `${kind} ${JSON.stringify(spec[kind])}`;
+}
+
+/**
+ * Read the version stored in a version file.
+ *
+ * @param {string} content - File content.
+ * @param {{path: string, jsonPath?: string, pattern?: string, yamlKey?: string}} spec - Where
+ *        the version is: a dotted JSON path ("version", "packages.\"\".version"), a regular
+ *        expression whose `version` named group (or first group) is the version, or a dotted
+ *        YAML mapping key ("appVersion", "image.tag").
+ * @returns {string|null} The version, or null when the file does not contain it.
+ * @throws {ConfigError} If the spec is invalid.
+ */
+export function readVersion(content, spec) {
+  return handlerFor(spec).read(content, spec);
+}
+
+/**
+ * Replace the version stored in a version file, leaving the rest of the file untouched
+ * (JSON files are reformatted with their own indentation).
+ *
+ * @param {string} content - File content.
+ * @param {Object} spec - Where the version is, see readVersion().
+ * @param {string} version - New version.
+ * @returns {string} The new content; unchanged when the file does not contain the version.
+ * @throws {ConfigError} If the spec is invalid.
+ */
+export function writeVersion(content, spec, version) {
+  return handlerFor(spec).write(content, spec, version);
+}
+
+/**
+ * List the version files of a project: the npm manifest and lockfiles that exist, then the
+ * `bump.files` entries.
+ *
+ * @param {string} cwd - Project directory.
+ * @param {Object} config - Resolved config.
+ * @returns {{path: string, required: boolean}[]} Version file specs (see readVersion()), with
+ *          `path` relative to `cwd`. A `required` file must exist and contain a version; npm
+ *          files are not required, as old lockfiles have no `packages` entry.
+ */
+export function resolveVersionFiles(cwd, config) {
+  const npm = PACKAGE_VERSION_FILES.filter(spec => fs.existsSync(path.join(cwd, spec.path)));
+  return [
+    ...npm.map(spec => ({ ...spec, required: false })),
+    ...config.bump.files.map(spec => ({ ...spec, required: true })),
+  ];
+}
+
+/**
+ * List the version files of the packages of a workspace: each package's package.json and its
+ * entry in the root npm lockfiles (`packages."<dir>".version`).
+ *
+ * @param {string} cwd - Repository root.
+ * @param {{dir: string, version: string}[]} packages - Packages and their new versions; `dir`
+ *        is relative to `cwd` with "/" separators (see discoverWorkspaces()).
+ * @returns {{path: string, version: string, required: boolean}[]} Version file specs (see
+ *          readVersion()), each with the `version` of its package.
+ */
+export function resolveWorkspaceVersionFiles(cwd, packages) {
+  const lockfiles = ["package-lock.json", "npm-shrinkwrap.json"].filter(file =>
+    fs.existsSync(path.join(cwd, file))
+  );
+  return packages.flatMap(({ dir, version }) => [
+    { path: path.posix.join(dir, "package.json"), jsonPath: "version", version, required: true },
+    ...lockfiles.map(file => ({
+      path: file,
+      jsonPath: `packages.${JSON.stringify(dir)}.version`,
+      version,
+      required: false,
+    })),
+  ]);
+}
+
+/**
+ * Read the versions of the given version files and compute their content with `version` (or
+ * the spec's own `version`), without writing anything. Specs sharing a path are applied to
+ * the same file in order.
+ *
+ * @param {string} cwd - Project directory.
+ * @param {Object[]} specs - Version file specs, see resolveVersionFiles() and
+ *        resolveWorkspaceVersionFiles().
+ * @param {string} [version] - New version of the specs without their own `version`.
+ * @returns {{
+ *   file: string,
+ *   versions: {location: string, version: string, expected: string}[],
+ *   before: string,
+ *   after: string
+ * }[]} One entry per file, with the versions it contained (one per spec, `location` being
+ *      e.g. 'yamlKey "image.tag"', `expected` the new version) and its old and new content.
+ * @throws {Error} If a required file is missing or does not contain a version.
+ * @throws {ConfigError} If a spec is invalid.
+ */
+export function planVersionFiles(cwd, specs, version) {
+  const files = new Map();
+
+  for (const spec of specs) {
+    let entry = files.get(spec.path);
+    if (!entry) {
+      const file = path.join(cwd, spec.path);
+      if (!fs.existsSync(file)) throw new Error(`Version file ${spec.path} does not exist.`);
+      const content = fs.readFileSync(file, "utf8");
+      entry = { file: spec.path, versions: [], before: content, after: content };
+      files.set(spec.path, entry);
+    }
+
+    let found;
+    try {
+      found = readVersion(entry.after, spec);
+    } catch (err) {
+      if (err instanceof ConfigError) throw err;
+      throw new Error(`Failed to read ${spec.path}: ${err.message}`, { cause: err });
+    }
+    if (found === null) {
+      if (spec.required) throw new Error(`No version found in ${spec.path} (${describe(spec)}).`);
+      continue;
+    }
+    const expected = spec.version ?? version;
+    entry.versions.push({ location: describe(spec), version: found, expected });
+    entry.after = writeVersion(entry.after, spec, expected);
+  }
+
+  return [...files.values()].filter(entry => entry.versions.length);
+}
+
+/**
+ * Render a minimal line diff of a file change, for dry runs.
+ *
+ * @param {string} file - File path shown in the header.
+ * @param {string} before - Old content.
+ * @param {string} after - New content.
+ * @returns {string} "--- file" / "+++ file" headers and the changed lines ("-" old, "+" new),
+ *          each prefixed with its line number.
+ */
+export function formatDiff(file, before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const out = [`--- ${file}`, `+++ ${file}`];
+
+  if (a.length === b.length) {
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) out.push(`@@ ${i + 1} @@`, `-${a[i]}`, `+${b[i]}`);
+    }
+    return out.join("\n");
+  }
+
+  let start = 0;
+  while (start < a.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+  out.push(`@@ ${start + 1} @@`);
+  for (const line of a.slice(start, a.length - end)) out.push(`-${line}`);
+  for (const line of b.slice(start, b.length - end)) out.push(`+${line}`);
+  return out.join("\n");
+}
@@ -0,0 +1,513 @@
+import fs from "node:fs";
+import path from "node:path";
+import { collectContributors } from "./commits.js";
+import { ConfigError } from "./config.js";
+import { compareVersions, parseVersion } from "./versioning.js";
+
+/* ===========================
+ * Presets
+ * =========================== */
+
+const EMOJI_SECTIONS = [
+  { type: "breaking", title: "💥 Breaking Changes" },
+  { type: "feat", title: "✨ Features" },
+  { type: "fix", title: "🐛 Fixes" },
+  { type: "refactor", title: "⚙️ Refactor" },
+  { type: "chore", title: "🔧 Chore" },
+  { type: "docs", title: "📚 Docs" },
+  { type: "style", title: "🎨 Style" },
+  { type: "test", title: "🧪 Tests" },
+  { type: "build", title: "🛠 Build" },
+  { type: "perf", title: "⚡ Performance" },
+  { type: "ci", title: "🔁 CI" },
+  { type: "raw", title: "🗃 Raw" },
+  { type: "cleanup", title: "🧹 Cleanup" },
+  { type: "remove", title: "🗑 Remove" },
+];
+
+const PLAIN_SECTIONS = EMOJI_SECTIONS.map(({ type, title }) => ({
+  type,
+  title: title.replace(/^\S+\s+/, ""),
+}));
+
+const KEEP_A_CHANGELOG_SECTIONS = [
+  { type: "feat", title: "Added" },
+  { type: ["breaking", "refactor", "perf", "build", "style"], title: "Changed" },
+  { type: "deprecate", title: "Deprecated" },
+  { type: ["remove", "cleanup"], title: "Removed" },
+  { type: "fix", title: "Fixed" },
+  { type: "security", title: "Security" },
+];
+
+function renderEntries(commits, { scopes, prefix = () => "" }) {
+  const line = c => `- ${prefix(c)}${c.line}`;
+  if (scopes !== "group") return commits.map(line);
+
+  const lines = commits.filter(c => !c.scope).map(line);
+  for (const scope of [...new Set(commits.map(c => c.scope).filter(Boolean))]) {
+    lines.push(`- **${scope}:**`);
+    for (const c of commits.filter(commit => commit.scope === scope)) {
+      lines.push(`  - ${prefix(c)}${c.text}`);
+    }
+  }
+  return lines;
+}
+
+function renderBody(release, options) {
+  const out = [];
+  for (const section of release.sections) {
+    out.push(`### ${section.title}\n`);
+    out.push(...renderEntries(section.commits, options));
+    out.push("");
+  }
+  if (!release.sections.length) out.push("_No changes._\n");
+  return out;
+}
+
+/** "## [1.2.0](compare-url) (2026-01-31)", the historical Release Suite heading. */
+function renderStandard(release, { scopes }) {
+  const { version, date, compareUrl } = release;
+  const title = compareUrl ? `[${version}](${compareUrl})` : version;
+  const heading = `## ${title}${date ? ` (${date})` : ""}\n`;
+  return [heading, ...renderBody(release, { scopes })].join("\n");
+}
+
+/** "## [1.2.0](compare-url) - 2026-01-31", breaking changes flagged in "Changed". */
+function renderKeepAChangelog(release, { scopes }) {
+  const { version, date, compareUrl } = release;
+  const title = compareUrl ? `[${version}](${compareUrl})` : `[${version}]`;
+  const heading = `## ${title}${date ? ` - ${date}` : ""}\n`;
+  const prefix = c => (c.breaking ? "**BREAKING:** " : "");
+  return [heading, ...renderBody(release, { scopes, prefix })].join("\n");
+}
+
+/**
+ * Built-in changelog styles: the sections used when `changelog.sections` is not configured
+ * and the function rendering one release.
+ */
+export const CHANGELOG_PRESETS = {
+  emoji: { sections: EMOJI_SECTIONS, render: renderStandard },
+  plain: { sections: PLAIN_SECTIONS, render: renderStandard },
+  "keep-a-changelog": { sections: KEEP_A_CHANGELOG_SECTIONS, render: renderKeepAChangelog },
+};
+
+/* ===========================
+ * Release model
+ * =========================== */
+
+const CLOSING_ACTION_RE = /^(close|fix|resolve)[sd]?$/i;
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * Describe one commit for the renderers. With repository links, "(#123)" in the description
+ * links to the pull request, the short hash to the commit and closing footers ("Closes #45")
+ * to their issues: "Add thing ([#123](…)) ([a1b2c3d](…)), closes [#45](…)".
+ */
+function createEntry(commit, { links, scopes }) {
+  const description = capitalize(commit.description) || commit.subject;
+  let text = description;
+
+  if (links) {
+    text = text.replace(/\((([\w.-]+\/[\w.-]+)?#(\d+))\)/g, (match, ref, repository, id) => {
+      const url = links.pullRequest(id, repository);
+      return url ? `([${ref}](${url}))` : match;
+    });
+
+    const commitUrl = commit.hash && links.commit(commit.hash);
+    if (commitUrl) text += ` ([${commit.hash.slice(0, 7)}](${commitUrl}))`;
+
+    const closes = commit.references
+      .filter(ref => ref.action && CLOSING_ACTION_RE.test(ref.action))
+      .map(ref => {
+        const url = links.issue(ref.issue, ref.repository);
+        return url ? `[${ref.raw}](${url})` : ref.raw;
+      });
+    if (closes.length) text += `, closes ${closes.join(" ")}`;
+  }
+
+  return {
+    hash: commit.hash,
+    shortHash: commit.hash?.slice(0, 7) ?? null,
+    url: (commit.hash && links?.commit(commit.hash)) || null,
+    type: commit.type,
+    scope: commit.scope,
+    breaking: commit.breaking,
+    subject: commit.subject,
+    description,
+    notes: commit.notes,
+    references: commit.references,
+    author: commit.author,
+    text,
+    line: scopes === "bold" && commit.scope ? `**${commit.scope}:** ${text}` : text,
+  };
+}
+
+/**
+ * Return the changelog sections of a config: `changelog.sections`, or those of the preset.
+ *
+ * @param {Object} config - Resolved config.
+ * @returns {{type: string|string[], title: string}[]} Ordered sections.
+ */
+export function resolveChangelogSections(config) {
+  return config.changelog.sections ?? CHANGELOG_PRESETS[config.changelog.preset].sections;
+}
+
+/**
+ * Build the structured release object handed to changelog renderers and templates.
+ *
+ * Each commit goes to the first section listing its type; breaking commits go to the
+ * section listing "breaking". Commits without a section fall back to the "chore" section,
+ * or are left out when there is none.
+ *
+ * @param {Object} options
+ * @param {string} options.version - Version label ("1.2.0" or "Unreleased").
+ * @param {string|null} [options.tag] - Tag of the version (existing or about to be created).
+ * @param {string|null} [options.previousTag] - Tag of the previous version.
+ * @param {'major'|'minor'|'patch'|null} [options.bump] - Bump from the previous version.
+ * @param {string|null} [options.date] - Release date ("YYYY-MM-DD").
+ * @param {string|null} [options.compareUrl] - Link to the diff with the previous release.
+ * @param {Object[]} options.commits - Commits parsed with parseConventionalCommit().
+ * @param {{type: string|string[], title: string}[]} options.sections - Ordered sections.
+ * @param {Object|null} [options.links] - Link helpers, see createRepositoryLinks().
+ * @param {'none'|'bold'|'group'} [options.scopes="none"] - Scope rendering.
+ * @returns {{
+ *   version: string,
+ *   tag: string|null,
+ *   previousTag: string|null,
+ *   bump: 'major'|'minor'|'patch'|null,
+ *   date: string|null,
+ *   compareUrl: string|null,
+ *   sections: {title: string, types: string[], commits: Object[]}[],
+ *   commits: Object[],
+ *   contributors: {name: string, email: string}[]
+ * }} The release; `sections` only lists non-empty sections. Commit entries carry `text`
+ *    (description with links) and `line` (`text` with the bold scope when enabled).
+ */
+export function createRelease({
+  version,
+  tag = null,
+  previousTag = null,
+  bump = null,
+  date = null,
+  compareUrl = null,
+  commits,
+  sections,
+  links = null,
+  scopes = "none",
+}) {
+  const filled = sections.map(({ type, title }) => ({
+    title,
+    types: [].concat(type),
+    commits: [],
+  }));
+  const sectionOf = type => filled.find(section => section.types.includes(type));
+  const entries = commits.map(commit => createEntry(commit, { links, scopes }));
+
+  entries.forEach((entry, i) => {
+    const key = commits[i].breaking ? "breaking" : entry.type;
+    (sectionOf(key) ?? sectionOf("chore"))?.commits.push(entry);
+  });
+
+  return {
+    version,
+    tag,
+    previousTag,
+    bump,
+    date,
+    compareUrl: compareUrl || null,
+    sections: filled.filter(section => section.commits.length),
+    commits: entries,
+    contributors: collectContributors(commits),
+  };
+}
+
+/**
+ * Convert a release into plain data for the JSON changelog: Markdown-only fields (`text`,
+ * `line`) are dropped and commits are only listed inside their section.
+ *
+ * @param {Object} release - Release from createRelease().
+ * @returns {Object} JSON-serializable release.
+ */
+export function serializeRelease({ commits: _commits, sections, contributors, ...release }) {
+  return {
+    ...release,
+    sections: sections.map(({ title, types, commits }) => ({
+      title,
+      types,
+      commits: commits.map(({ text: _text, line: _line, ...entry }) => entry),
+    })),
+    contributors,
+  };
+}
+
+/* ===========================
+ * Templates
+ * =========================== */
+
+const TAG_RE = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+function lookup(path, stack) {
+  if (path === "this" || path === ".") return stack[stack.length - 1];
+
+  const [head, ...rest] = path.split(".");
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope !== null && typeof scope === "object" && head in scope) {
+      return rest.reduce((value, key) => value?.[key], scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const m of source.matchAll(TAG_RE)) {
+    const node = stack[stack.length - 1];
+    if (m.index > last) node.children.push(source.slice(last, m.index));
+    last = m.index + m[0].length;
+
+    const [, sigil, expression] = m;
+    if (sigil === "#") {
+      const [helper, arg = ""] = expression.split(/\s+/, 2);
+      const block = { helper, arg, children: [] };
+      node.children.push(block);
+      stack.push(block);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || node.helper !== expression) {
+        throw new Error(`Unexpected {{/${expression}}} in changelog template`);
+      }
+      stack.pop();
+    } else if (expression === "else" && stack.length > 1) {
+      node.elseIndex = node.children.length;
+    } else {
+      node.children.push({ path: expression });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].helper}}} in changelog template`);
+  }
+  root.children.push(source.slice(last));
+  return root.children;
+}
+
+function renderNodes(nodes, stack) {
+  let out = "";
+  for (const node of nodes) {
+    if (typeof node === "string") out += node;
+    else if (node.path !== undefined) out += lookup(node.path, stack) ?? "";
+    else out += renderBlock(node, stack);
+  }
+  return out;
+}
+
+function renderBlock(block, stack) {
+  const value = lookup(block.arg, stack);
+  const split = block.elseIndex ?? block.children.length;
+  const main = block.children.slice(0, split);
+  const inverse = block.children.slice(split);
+
+  switch (block.helper) {
+    case "each": {
+      const items = Array.isArray(value) ? value : [];
+      if (!items.length) return renderNodes(inverse, stack);
+      return items
+        .map((item, index) =>
+          renderNodes(main, [
+            ...stack,
+            { "@index": index, "@first": index === 0, "@last": index === items.length - 1 },
+            item,
+          ])
+        )
+        .join("");
+    }
+    case "if":
+      return renderNodes(isTruthy(value) ? main : inverse, stack);
+    case "unless":
+      return renderNodes(isTruthy(value) ? inverse : main, stack);
+    case "with":
+      return isTruthy(value) ? renderNodes(main, [...stack, value]) : renderNodes(inverse, stack);
+    default:
+      throw new Error(`Unknown helper {{#${block.helper}}} in changelog template`);
+  }
+}
+
+/**
+ * Render a Handlebars-style template.
+ *
+ * Supported syntax: `{{path.to.value}}`, `{{this}}`, `{{@index}}` / `{{@first}}` / `{{@last}}`
+ * inside `each`, and the `{{#each}}`, `{{#if}}`, `{{#unless}}` and `{{#with}}` blocks with an
+ * optional `{{else}}`. Values are inserted as-is (no HTML escaping) and names not found in
+ * the current item are looked up in the enclosing ones. Block tags standing alone on a line
+ * do not leave an empty line behind.
+ *
+ * @param {string} template - Template source.
+ * @param {Object} data - Root context.
+ * @returns {string} The rendered text.
+ * @throws {Error} If the template is malformed or uses an unknown helper.
+ *
+ * @example
+ * renderTemplate("{{#each commits}}- {{line}}\n{{/each}}", release);
+ */
+export function renderTemplate(template, data) {
+  const source = template.replace(/^[ \t]*(\{\{\s*(?:[#/][^}]*|else\s*)\}\})[ \t]*\r?\n/gm, "$1");
+  return renderNodes(parseTemplate(source), [data]);
+}
+
+/**
+ * Return the function turning a release (see createRelease()) into its changelog section.
+ *
+ * `changelog.template` wins over `changelog.preset`. It may be a function
+ * `(release, { scopes }) => string` (JS configs), an inline Handlebars-style template or the
+ * path of a template file relative to `cwd`. Templates receive the release plus `scopes`.
+ *
+ * @param {Object} options
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} options.config - Resolved config.
+ * @returns {(release: Object) => string} The renderer.
+ * @throws {ConfigError} If the template file cannot be read.
+ */
+export function resolveChangelogRenderer({ cwd = process.cwd(), config }) {
+  const { template, preset, scopes } = config.changelog;
+
+  if (typeof template === "function") return release => template(release, { scopes });
+
+  if (typeof template === "string") {
+    let source = template;
+    if (!template.includes("{{")) {
+      try {
+        source = fs.readFileSync(path.resolve(cwd, template), "utf8");
+      } catch (err) {
+        throw new ConfigError(`Cannot read "changelog.template": ${err.message}`, {
+          file: config.configFile,
+          cause: err,
+        });
+      }
+    }
+    return release => renderTemplate(source, { ...release, scopes });
+  }
+
+  return release => CHANGELOG_PRESETS[preset].render(release, { scopes });
+}
+
+/* ===========================
+ * Changelog file merging
+ * =========================== */
+
+const VERSION_HEADING_RE =
+  /^(#{1,6})\s+\[?v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?|unreleased)(?=[\s\]]|$)/i;
+
+function blockKey(version) {
+  return /^unreleased$/i.test(version) ? "Unreleased" : version;
+}
+
+/**
+ * Split a changelog file into its intro and its version blocks.
+ *
+ * A version block starts at a heading whose first word is a version ("## 1.2.0",
+ * "## [1.2.0](…) - date", "## Unreleased") and runs until the next version heading of the
+ * same level. The level is the one of the first version heading, so "### 1.2.0" inside a
+ * "##"-level changelog stays part of its block.
+ *
+ * @param {string} content - Changelog file content.
+ * @returns {{header: string, blocks: {version: string, text: string}[]}} The text before the
+ *          first version heading and the blocks in file order.
+ */
+export function parseChangelog(content) {
+  const lines = content.replace(/\r\n/g, "\n").split("\n");
+  const blocks = [];
+  const header = [];
+  let level = null;
+
+  for (const line of lines) {
+    const m = line.match(VERSION_HEADING_RE);
+    const isVersion = m && (/^unreleased$/i.test(m[2]) || parseVersion(m[2]));
+    if (isVersion && (level === null || m[1].length === level)) {
+      level = m[1].length;
+      blocks.push({ version: blockKey(m[2]), lines: [line] });
+    } else if (blocks.length) {
+      blocks[blocks.length - 1].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  }
+
+  return {
+    header: header.join("\n"),
+    blocks: blocks.map(({ version, lines: text }) => ({ version, text: text.join("\n") })),
+  };
+}
+
+/**
+ * Return the body of a version's block in a changelog, without its heading.
+ *
+ * @param {string} content - Changelog file content.
+ * @param {string} version - Version to look up, e.g. "1.2.0".
+ * @returns {string|null} The trimmed block body, or null when the changelog has no (or an
+ *          empty) block for the version.
+ */
+export function findChangelogSection(content, version) {
+  const block = parseChangelog(content).blocks.find(b => b.version === version);
+  const body = block?.text.split("\n").slice(1).join("\n").trim();
+  return body || null;
+}
+
+function compareBlocks(a, b) {
+  if (a === "Unreleased" || b === "Unreleased") {
+    return (b === "Unreleased") - (a === "Unreleased");
+  }
+  return compareVersions(b, a);
+}
+
+/**
+ * Merge generated release sections into an existing changelog.
+ *
+ * - The intro above the first version heading is kept.
+ * - Versions already in the file are kept as written (hand-written notes survive), unless
+ *   their generated section has `replace` set (the upcoming, not yet tagged version).
+ * - Missing versions are inserted, and all blocks are ordered by version, newest first.
+ * - An existing "Unreleased" block is replaced by a generated section with `replace` set: an
+ *   "Unreleased" one, or the upcoming version, which covers the same commits. Otherwise it is
+ *   kept like any other block; duplicated versions keep their first occurrence only.
+ *
+ * @param {string} content - Existing changelog content ("" when the file does not exist).
+ * @param {{version: string, text: string, replace?: boolean}[]} sections - Rendered releases.
+ * @param {Object} [options]
+ * @param {boolean} [options.rebuild=false] - Drop every existing version block and keep only
+ *        the intro and the generated sections.
+ * @returns {string} The merged changelog.
+ */
+export function mergeChangelog(content, sections, { rebuild = false } = {}) {
+  const { header, blocks } = parseChangelog(content);
+  const merged = new Map();
+
+  if (!rebuild) {
+    for (const { version, text } of blocks) {
+      if (!merged.has(version)) merged.set(version, text);
+    }
+  }
+
+  for (const { version, text, replace } of sections) {
+    const key = blockKey(version);
+    if (replace && key !== "Unreleased") merged.delete("Unreleased");
+    if (replace || !merged.has(key)) merged.set(key, text);
+  }
+
+  const body = [...merged.keys()]
+    .sort(compareBlocks)
+    .map(key => `${merged.get(key).trimEnd()}\n`)
+    .join("\n");
+
+  const intro = header.trim() ? `${header.trimEnd()}\n\n` : "";
+  return intro + body;
+}
@@ -0,0 +1,274 @@
+import { getCommits, parseCommit } from "./git.js";
+import { parseHeader } from "./versioning.js";
+
+/* ===========================
+ * Conventional Commits parser
+ * =========================== */
+
+/**
+ * Footer line: a token followed by ": " or " #" (git trailer convention). "BREAKING CHANGE"
+ * is the only token allowed to contain a space.
+ */
+const FOOTER_RE = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*)(?:: | (?=#))(.*)$/;
+
+/** Header and body line written by `git revert`. */
+const REVERT_HEADER_RE = /^Revert "(.+)"\s*$/;
+const REVERT_BODY_RE = /This reverts commit ([0-9a-f]{7,40})/i;
+
+/** Issue references such as "#12", "org/repo#12" or "GH-12". */
+const REFERENCE_RE = /(?:([\w.-]+\/[\w.-]+))?#(\d+)|\bGH-(\d+)\b/g;
+
+/** "Co-authored-by" trailer value: "Name <email>". */
+const CO_AUTHOR_RE = /^(.+?)\s*<([^>]*)>$/;
+
+function isBreakingToken(token) {
+  return /^BREAKING[ -]CHANGE$/.test(token);
+}
+
+/**
+ * Split a commit body into free text and footers.
+ *
+ * The footer block is the trailing run of paragraphs that each start with a footer token.
+ * Lines that do not start with a token continue the previous footer's value.
+ */
+function splitFooters(body) {
+  const lines = body.split("\n");
+  let start = -1;
+
+  for (let i = 0; i < lines.length; i++) {
+    const paragraphStart = i === 0 || lines[i - 1].trim() === "";
+    if (!paragraphStart || lines[i].trim() === "") continue;
+
+    if (FOOTER_RE.test(lines[i])) {
+      if (start === -1) start = i;
+    } else {
+      start = -1;
+    }
+  }
+
+  if (start === -1) return { text: body, footers: [] };
+
+  const footers = [];
+  for (const line of lines.slice(start)) {
+    const m = line.match(FOOTER_RE);
+    if (m) footers.push({ token: m[1], value: m[2].trim() });
+    else if (line.trim() && footers.length) {
+      const last = footers[footers.length - 1];
+      last.value = last.value ? `${last.value}\n${line.trim()}` : line.trim();
+    }
+  }
+
+  return { text: lines.slice(0, start).join("\n").trim(), footers };
+}
+
+function findReferences(text, action) {
+  const references = [];
+  for (const m of text.matchAll(REFERENCE_RE)) {
+    const issue = m[2] ?? m[3];
+    references.push({ action, repository: m[1] ?? null, issue, raw: m[0] });
+  }
+  return references;
+}
+
+/**
+ * Parse a commit message following the Conventional Commits 1.0 specification.
+ *
+ * Besides the header parts, the parser extracts:
+ * - `footers`: trailing `Token: value` / `Token #value` lines (`BREAKING CHANGE:`, `Refs:`,
+ *   `Closes #12`, `Co-authored-by:`, ...). Multi-line values are kept.
+ * - `notes`: breaking change notes from `BREAKING CHANGE` / `BREAKING-CHANGE` footers.
+ * - `references`: issue references found in the header and in the footers; `action` is the
+ *   footer token ("Closes", "Refs") or null for references in the header.
+ * - `revert`: the reverted header and hash of `git revert` commits (`Revert "<header>"`).
+ *
+ * A commit is breaking when its header has the "!" marker or it has a breaking footer.
+ * Non-conventional messages are still parsed: `type` and `scope` are null and `description`
+ * is the header without its leading emoji shortcode.
+ *
+ * @param {Object} commit - Raw commit, e.g. from parseCommit().
+ * @param {string|null} [commit.hash] - Commit hash.
+ * @param {string} commit.subject - Header line.
+ * @param {string} [commit.body] - Message body, possibly multi-line.
+ * @param {{name: string, email: string}|null} [commit.author] - Commit author.
+ * @param {Object} [options]
+ * @param {RegExp} [options.pattern] - Header pattern, see createCommitPattern().
+ * @returns {{
+ *   hash: string|null,
+ *   subject: string,
+ *   body: string,
+ *   author: {name: string, email: string}|null,
+ *   type: string|null,
+ *   scope: string|null,
+ *   breaking: boolean,
+ *   description: string,
+ *   text: string,
+ *   footers: {token: string, value: string}[],
+ *   notes: {title: string, text: string}[],
+ *   references: {action: string|null, repository: string|null, issue: string, raw: string}[],
+ *   revert: {header: string, hash: string|null}|null
+ * }} The parsed commit; `text` is the body without its footers.
+ *
+ * @example
+ * parseConventionalCommit({
+ *   subject: "feat(api)!: drop v1",
+ *   body: "Use v2 instead.\n\nBREAKING CHANGE: v1 routes are gone\nCloses #12",
+ * });
+ * // => { type: "feat", scope: "api", breaking: true, description: "drop v1",
+ * //      notes: [{ title: "BREAKING CHANGE", text: "v1 routes are gone" }],
+ * //      references: [{ action: "Closes", repository: null, issue: "12", raw: "#12" }], ... }
+ */
+export function parseConventionalCommit(
+  { hash = null, subject, body = "", author = null },
+  { pattern } = {}
+) {
+  const header = subject.trim();
+  const message = body.replace(/\r\n/g, "\n").trim();
+  const parsed = parseHeader(header, pattern);
+  const { text, footers } = splitFooters(message);
+
+  const description = parsed
+    ? header.slice(parsed.prefix.length).trim()
+    : header.replace(/^:\S+: /, "");
+
+  const notes = footers
+    .filter(f => isBreakingToken(f.token))
+    .map(f => ({ title: "BREAKING CHANGE", text: f.value }));
+
+  const references = [
+    ...findReferences(header, null),
+    ...footers
+      .filter(f => !isBreakingToken(f.token))
+      .flatMap(f => findReferences(f.value, f.token)),
+  ];
+
+  const revertHeader = header.match(REVERT_HEADER_RE);
+  const revert = revertHeader
+    ? { header: revertHeader[1], hash: message.match(REVERT_BODY_RE)?.[1] ?? null }
+    : null;
+
+  return {
+    hash,
+    subject: header,
+    body: message,
+    author,
+    type: parsed?.type ?? null,
+    scope: parsed?.scope ?? null,
+    breaking: Boolean(parsed?.breaking) || notes.length > 0,
+    description,
+    text,
+    footers,
+    notes,
+    references,
+    revert,
+  };
+}
+
+/**
+ * Read and parse the commits of a Git range.
+ *
+ * @param {string} range - Git log range, e.g. "v1.0.0..HEAD".
+ * @param {string} [cwd] - Working directory in which to run Git.
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Only commits touching these paths, see getCommits().
+ * @param {RegExp} [options.pattern] - Header pattern, see createCommitPattern().
+ * @returns {Object[]} Commits parsed with parseConventionalCommit(), newest first.
+ */
+export function readCommits(range, cwd, { paths, pattern } = {}) {
+  return getCommits(range, cwd, { paths })
+    .map(parseCommit)
+    .map(commit => parseConventionalCommit(commit, { pattern }));
+}
+
+/**
+ * List the people who wrote a set of commits: authors first, then "Co-authored-by" trailers.
+ *
+ * @param {Object[]} commits - Commits parsed with parseConventionalCommit().
+ * @returns {{name: string, email: string}[]} Contributors in order of appearance, without
+ *          duplicates (compared by email, or by name when the email is empty).
+ */
+export function collectContributors(commits) {
+  const contributors = new Map();
+  const add = person => {
+    const key = (person.email || person.name).toLowerCase();
+    if (!contributors.has(key)) contributors.set(key, person);
+  };
+
+  for (const commit of commits) {
+    if (commit.author) add(commit.author);
+    for (const footer of commit.footers ?? []) {
+      const m = footer.token.toLowerCase() === "co-authored-by" && footer.value.match(CO_AUTHOR_RE);
+      if (m) add({ name: m[1], email: m[2] });
+    }
+  }
+  return [...contributors.values()];
+}
+
+/* ===========================
+ * Reverts
+ * =========================== */
+
+function findReverted(candidates, { header, hash }) {
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    if (hash && candidates[i].hash?.startsWith(hash)) return i;
+  }
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    if (candidates[i].subject === header) return i;
+  }
+  return -1;
+}
+
+/**
+ * Cancel out reverted commits within a list of commits.
+ *
+ * A revert commit (see `revert` in parseConventionalCommit()) cancels the commit it reverts
+ * when that commit is part of the list: the reverted commit is matched by the hash quoted in
+ * "This reverts commit <sha>", or else by its subject. Both commits are then dropped.
+ * Reverting a revert restores the original commit. Reverts of commits outside the list
+ * (e.g. from a previous release) are kept as regular commits.
+ *
+ * @param {Object[]} commits - Commits parsed with parseConventionalCommit(), newest first.
+ * @returns {{
+ *   commits: Object[],
+ *   reverted: {hash: string, subject: string, revertedBy: {hash: string, subject: string}}[]
+ * }} The remaining commits (newest first) and the cancelled pairs.
+ */
+export function cancelReverts(commits) {
+  const active = [];
+  const pairs = [];
+
+  // Walk oldest first so that a revert always comes after the commit it reverts.
+  for (const commit of [...commits].reverse()) {
+    if (!commit.revert) {
+      active.push(commit);
+      continue;
+    }
+
+    const index = findReverted(active, commit.revert);
+    if (index !== -1) {
+      pairs.push({ commit: active[index], revertedBy: commit });
+      active.splice(index, 1);
+      continue;
+    }
+
+    const pairIndex = findReverted(
+      pairs.map(pair => pair.revertedBy),
+      commit.revert
+    );
+    if (pairIndex !== -1) {
+      active.push(pairs[pairIndex].commit);
+      pairs.splice(pairIndex, 1);
+      continue;
+    }
+
+    active.push(commit);
+  }
+
+  return {
+    commits: active.reverse(),
+    reverted: pairs.map(({ commit, revertedBy }) => ({
+      hash: commit.hash,
+      subject: commit.subject,
+      revertedBy: { hash: revertedBy.hash, subject: revertedBy.subject },
+    })),
+  };
+}
@@ -0,0 +1,533 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { checkTagFormat, DEFAULT_PACKAGE_TAG_FORMAT, DEFAULT_TAG_FORMAT } from "./tags.js";
+
+/* ===========================
+ * Defaults
+ * =========================== */
+
+/**
+ * Built-in configuration used when no config file is found, and as the base every
+ * user config is merged onto.
+ */
+export const DEFAULT_CONFIG = {
+  commitTypes: [
+    "feat",
+    "fix",
+    "refactor",
+    "docs",
+    "chore",
+    "style",
+    "test",
+    "build",
+    "perf",
+    "ci",
+    "raw",
+    "cleanup",
+    "remove",
+  ],
+  bumpRules: [
+    { breaking: true, bump: "major" },
+    { keyword: "BREAKING CHANGE", bump: "major" },
+    { type: "feat", bump: "minor" },
+    { type: "fix", bump: "patch" },
+    { type: "perf", bump: "patch" },
+    { type: "refactor", bump: "patch" },
+  ],
+  initialDevelopment: false,
+  tagFormat: DEFAULT_TAG_FORMAT,
+  packageTagFormat: DEFAULT_PACKAGE_TAG_FORMAT,
+  workspaces: false,
+  branches: [
+    { name: "main" },
+    { name: "master" },
+    { name: "next", channel: "next" },
+    { name: "*.x" },
+  ],
+  repository: {
+    url: null,
+    host: null,
+    apiUrl: null,
+    commitUrl: null,
+    issueUrl: null,
+    pullRequestUrl: null,
+    compareUrl: null,
+  },
+  changelog: {
+    file: "CHANGELOG.md",
+    previewFile: "CHANGELOG.preview.md",
+    json: false,
+    jsonFile: "changelog.json",
+    jsonPreviewFile: "changelog.preview.json",
+    links: true,
+    scopes: "none",
+    date: true,
+    preset: "emoji",
+    sections: null,
+    template: null,
+  },
+  releaseNotes: {
+    file: "RELEASE_NOTES.md",
+    previewFile: "RELEASE_NOTES.preview.md",
+    source: "auto",
+    categories: null,
+    exclude: {
+      labels: ["skip-changelog", "release"],
+      authors: [],
+      titles: ["^(:\\S+: )?chore\\(release\\)"],
+    },
+    commits: true,
+    newContributors: true,
+    publish: {
+      draft: false,
+      makeLatest: "auto",
+      assets: [],
+    },
+  },
+  tag: {
+    sign: false,
+    message: "commit",
+    verify: false,
+  },
+  bump: {
+    files: [],
+  },
+  release: {
+    commitMessage: "chore(release): ${version}",
+    remote: "origin",
+  },
+  history: {
+    cache: false,
+  },
+  lint: {
+    headerMaxLength: 100,
+    ignore: ["^Merge ", '^Revert "', "^(fixup|squash)! "],
+    rules: {
+      "header-format": "error",
+      "type-enum": "error",
+      "subject-empty": "error",
+      "header-max-length": "warn",
+      "subject-full-stop": "warn",
+      "body-leading-blank": "warn",
+    },
+  },
+};
+
+/**
+ * Config file names looked up in the working directory, in priority order.
+ * When none exists, the `"releaseSuite"` field of package.json is used.
+ */
+export const CONFIG_FILES = [
+  "release-suite.config.js",
+  "release-suite.config.mjs",
+  "release-suite.config.cjs",
+  "release-suite.config.json",
+  ".releasesuiterc",
+  ".releasesuiterc.json",
+];
+
+const JS_CONFIG_RE = /\.(c|m)?js$/;
+
+/* ===========================
+ * Errors
+ * =========================== */
+
+/**
+ * Error thrown when a config file cannot be read or does not match the expected shape.
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem.
+   * @param {Object} [options]
+   * @param {string|null} [options.file] - Config source the error refers to.
+   * @param {unknown} [options.cause] - Underlying error, if any.
+   */
+  constructor(message, { file = null, cause } = {}) {
+    super(file ? `${message} (in ${file})` : message, { cause });
+    this.name = "ConfigError";
+    this.file = file;
+  }
+}
+
+/* ===========================
+ * Validation
+ * =========================== */
+
+/** Schema key listing the options an object must declare. */
+const REQUIRED = Symbol("required");
+
+/**
+ * Leaf validator accepting only one of the given values.
+ */
+function oneOf(...values) {
+  return (value, key, file) => {
+    if (!values.includes(value)) {
+      const list = values.map(v => JSON.stringify(v)).join(", ");
+      throw new ConfigError(`"${key}" must be one of ${list}, got ${JSON.stringify(value)}`, {
+        file,
+      });
+    }
+  };
+}
+
+/**
+ * Leaf validator for tag formats such as "v${version}".
+ */
+function tagFormat() {
+  return (value, key, file) => {
+    checkLeaf(value, "string", key, file);
+    const problem = checkTagFormat(value);
+    if (problem) throw new ConfigError(`"${key}" ${problem}`, { file });
+  };
+}
+
+/**
+ * Leaf validator for regular expression sources.
+ */
+function regExp() {
+  return (value, key, file) => {
+    checkLeaf(value, "string", key, file);
+    try {
+      new RegExp(value);
+    } catch (err) {
+      throw new ConfigError(`"${key}" is not a valid RegExp: ${err.message}`, { file });
+    }
+  };
+}
+
+/**
+ * Leaf validator for lists of regular expression sources.
+ */
+function regExpList() {
+  return (value, key, file) => {
+    checkLeaf(value, "string[]", key, file);
+    value.forEach((source, i) => {
+      try {
+        new RegExp(source);
+      } catch (err) {
+        throw new ConfigError(`"${key}[${i}]" is not a valid RegExp: ${err.message}`, { file });
+      }
+    });
+  };
+}
+
+/**
+ * Shape of a user config. Leaves are type names ("string", "string[]", "boolean", ...) or
+ * validator functions, nested objects describe nested options (listing mandatory ones under
+ * REQUIRED) and a single-element array describes a list whose items follow that element's
+ * shape.
+ */
+const SCHEMA = {
+  commitTypes: "string[]",
+  bumpRules: [
+    {
+      type: "string|string[]",
+      scope: "string",
+      breaking: "boolean",
+      keyword: "string",
+      bump: oneOf("major", "minor", "patch", "none"),
+      [REQUIRED]: ["bump"],
+    },
+  ],
+  initialDevelopment: "boolean",
+  tagFormat: tagFormat(),
+  packageTagFormat: tagFormat(),
+  workspaces: "boolean|string[]",
+  branches: [
+    {
+      name: "string",
+      channel: "string",
+      prerelease: "string",
+      range: (value, key, file) => {
+        if (typeof value !== "string" || !/^\d+\.(\d+\.)?x$/.test(value)) {
+          throw new ConfigError(`"${key}" must look like "1.x" or "1.2.x"`, { file });
+        }
+      },
+      [REQUIRED]: ["name"],
+    },
+  ],
+  repository: {
+    url: "string",
+    host: oneOf("github", "gitlab", "gitea", "bitbucket"),
+    apiUrl: "string",
+    commitUrl: "string",
+    issueUrl: "string",
+    pullRequestUrl: "string",
+    compareUrl: "string",
+  },
+  changelog: {
+    file: "string",
+    previewFile: "string",
+    json: "boolean",
+    jsonFile: "string",
+    jsonPreviewFile: "string",
+    links: "boolean",
+    scopes: oneOf("none", "bold", "group"),
+    date: "boolean",
+    preset: oneOf("emoji", "plain", "keep-a-changelog"),
+    sections: [{ type: "string|string[]", title: "string", [REQUIRED]: ["type", "title"] }],
+    template: "string|function",
+  },
+  releaseNotes: {
+    file: "string",
+    previewFile: "string",
+    source: oneOf("auto", "github", "gitlab", "gitea", "git"),
+    categories: [
+      { title: "string", labels: "string[]", types: "string[]", [REQUIRED]: ["title"] },
+    ],
+    exclude: {
+      labels: "string[]",
+      authors: "string[]",
+      titles: regExpList(),
+    },
+    commits: "boolean",
+    newContributors: "boolean",
+    publish: {
+      draft: "boolean",
+      makeLatest: oneOf("auto", true, false),
+      assets: "string[]",
+    },
+  },
+  tag: {
+    sign: "boolean|string",
+    message: oneOf("commit", "changelog"),
+    verify: "boolean",
+  },
+  bump: {
+    files: [
+      {
+        path: "string",
+        jsonPath: "string",
+        pattern: regExp(),
+        yamlKey: "string",
+        [REQUIRED]: ["path"],
+      },
+    ],
+  },
+  release: {
+    commitMessage: "string",
+    remote: "string",
+  },
+  history: {
+    cache: "boolean|string",
+  },
+  lint: {
+    headerMaxLength: "number",
+    ignore: regExpList(),
+    rules: Object.fromEntries(
+      Object.keys(DEFAULT_CONFIG.lint.rules).map(rule => [rule, oneOf("error", "warn", "off")])
+    ),
+  },
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return `a ${typeof value}`;
+}
+
+function checkLeaf(value, spec, key, file) {
+  const fail = expected => {
+    throw new ConfigError(`"${key}" must be ${expected}, got ${describe(value)}`, { file });
+  };
+
+  const accepted = spec.split("|");
+  const ok = accepted.some(type => {
+    if (type === "string") return typeof value === "string" && value.trim() !== "";
+    if (type === "string[]") {
+      return (
+        Array.isArray(value) && value.every(item => typeof item === "string" && item.trim() !== "")
+      );
+    }
+    if (type === "number") return typeof value === "number" && Number.isFinite(value);
+    return typeof value === type;
+  });
+
+  if (!ok) {
+    const names = accepted.map(type => {
+      if (type === "string[]") return "an array of non-empty strings";
+      if (type === "string") return "a non-empty string";
+      return `a ${type}`;
+    });
+    fail(names.join(" or "));
+  }
+}
+
+function validate(value, schema, key, file) {
+  if (typeof schema === "function") {
+    schema(value, key, file);
+    return;
+  }
+
+  if (typeof schema === "string") {
+    checkLeaf(value, schema, key, file);
+    return;
+  }
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      throw new ConfigError(`"${key}" must be an array, got ${describe(value)}`, { file });
+    }
+    value.forEach((item, i) => validate(item, schema[0], `${key}[${i}]`, file));
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    throw new ConfigError(`"${key || "config"}" must be an object, got ${describe(value)}`, {
+      file,
+    });
+  }
+
+  for (const name of schema[REQUIRED] ?? []) {
+    if (value[name] === undefined) {
+      throw new ConfigError(`"${key ? `${key}.${name}` : name}" is required`, { file });
+    }
+  }
+
+  for (const [name, child] of Object.entries(value)) {
+    const childKey = key ? `${key}.${name}` : name;
+    if (!(name in schema)) {
+      throw new ConfigError(`Unknown option "${childKey}"`, { file });
+    }
+    if (child === undefined) continue;
+    validate(child, schema[name], childKey, file);
+  }
+}
+
+/**
+ * Validate a user config object against the known options.
+ *
+ * @param {unknown} userConfig - Raw config as read from a file.
+ * @param {string|null} [file] - Source of the config, used in error messages.
+ * @returns {Object} The same object, once validated.
+ * @throws {ConfigError} If an option is unknown or has the wrong type.
+ */
+export function validateConfig(userConfig, file = null) {
+  validate(userConfig, SCHEMA, "", file);
+  return userConfig;
+}
+
+/* ===========================
+ * Loading
+ * =========================== */
+
+/**
+ * Deep-merge `override` onto `base`. Plain objects are merged key by key, anything else
+ * (arrays included) replaces the base value.
+ */
+function merge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = merge(base[key], value);
+  }
+  return out;
+}
+
+function finalize(userConfig, file) {
+  validateConfig(userConfig ?? {}, file);
+  return { ...merge(DEFAULT_CONFIG, userConfig ?? {}), configFile: file };
+}
+
+function findConfigFile(cwd) {
+  for (const name of CONFIG_FILES) {
+    const full = path.join(cwd, name);
+    if (fs.existsSync(full)) return full;
+  }
+  return null;
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ConfigError(`Failed to parse config: ${err.message}`, { file, cause: err });
+  }
+}
+
+function readPackageConfig(cwd) {
+  const pkgPath = path.join(cwd, "package.json");
+  if (!fs.existsSync(pkgPath)) return null;
+  const pkg = readJSON(pkgPath);
+  if (pkg.releaseSuite === undefined) return null;
+  return { file: `${pkgPath}#releaseSuite`, data: pkg.releaseSuite };
+}
+
+/**
+ * Discover and load the Release Suite config for a project.
+ *
+ * Looks for the files listed in CONFIG_FILES inside `cwd` and falls back to the
+ * `"releaseSuite"` field of package.json. JS configs may default-export an object or a
+ * (possibly async) function returning one. The result is validated and merged onto
+ * DEFAULT_CONFIG; `configFile` tells which source was used (null for defaults only).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory to search.
+ * @returns {Promise<Object>} The resolved config.
+ * @throws {ConfigError} If the config cannot be read or is invalid.
+ */
+export async function loadConfig({ cwd = process.cwd() } = {}) {
+  const file = findConfigFile(cwd);
+
+  if (file && JS_CONFIG_RE.test(file)) {
+    let mod;
+    try {
+      mod = await import(pathToFileURL(file).href);
+    } catch (err) {
+      throw new ConfigError(`Failed to load config: ${err.message}`, { file, cause: err });
+    }
+    const exported = mod.default ?? mod;
+    const data = typeof exported === "function" ? await exported() : exported;
+    return finalize(data, file);
+  }
+
+  return loadConfigSync({ cwd });
+}
+
+/**
+ * Synchronous variant of loadConfig() for the programmatic APIs, which are synchronous.
+ *
+ * Only JSON sources can be read this way; when a JS config file is present a ConfigError
+ * is thrown asking the caller to load it with loadConfig() and pass it as `config`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory to search.
+ * @returns {Object} The resolved config.
+ * @throws {ConfigError} If the config cannot be read, is invalid, or is a JS module.
+ */
+export function loadConfigSync({ cwd = process.cwd() } = {}) {
+  const file = findConfigFile(cwd);
+
+  if (file && JS_CONFIG_RE.test(file)) {
+    throw new ConfigError(
+      "JS config files must be loaded with `await loadConfig()` and passed as the `config` option",
+      { file }
+    );
+  }
+
+  if (file) return finalize(readJSON(file), file);
+
+  const fromPackage = readPackageConfig(cwd);
+  if (fromPackage) return finalize(fromPackage.data, fromPackage.file);
+
+  return finalize({}, null);
+}
+
+/**
+ * Return `config` when the caller already resolved one, otherwise load it from `cwd`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory to search.
+ * @param {Object} [options.config] - Already resolved config (e.g. from loadConfig()).
+ * @returns {Object} The resolved config.
+ */
+export function resolveConfig({ cwd = process.cwd(), config } = {}) {
+  return config ?? loadConfigSync({ cwd });
+}
@@ -1,24 +1,385 @@
-import { run } from "./utils.js";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import { DEFAULT_TAG_FORMAT, parseTag } from "./tags.js";
+import { compareVersions, parseVersion } from "./versioning.js";
+
+/* ===========================
+ * Errors
+ * =========================== */
+
+/**
+ * Error thrown when a Git command fails.
+ *
+ * `code` tells the common failures apart:
+ * - "not-a-repo": the directory is not inside a Git repository;
+ * - "unknown-ref": a tag, branch, commit or range does not exist;
+ * - "shallow-clone": a ref or the tags are missing because the repository is a shallow
+ *   clone (e.g. `actions/checkout` without `fetch-depth: 0`);
+ * - "git-failed": any other failure (rejected push, failing hook, missing Git, ...).
+ */
+export class GitError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem.
+   * @param {Object} [options]
+   * @param {'not-a-repo'|'unknown-ref'|'shallow-clone'|'git-failed'} [options.code="git-failed"]
+   * @param {string[]} [options.args=[]] - Arguments of the failed Git command.
+   * @param {string} [options.stderr=""] - Error output of the command.
+   * @param {number|null} [options.exitCode=null] - Exit code, null if Git could not start.
+   * @param {unknown} [options.cause] - Underlying error, if any.
+   */
+  constructor(
+    message,
+    { code = "git-failed", args = [], stderr = "", exitCode = null, cause } = {}
+  ) {
+    super(message, { cause });
+    this.name = "GitError";
+    this.code = code;
+    this.args = args;
+    this.stderr = stderr;
+    this.exitCode = exitCode;
+  }
+}
+
+const SHALLOW_HINT =
+  "The repository is a shallow clone: fetch the full history and tags with " +
+  "`git fetch --unshallow --tags` (or `fetch-depth: 0` with actions/checkout).";
+
+/* ===========================
+ * Command runner
+ * =========================== */
+
+// Messages are parsed to classify errors, so they must not be translated.
+const GIT_ENV = { ...process.env, LC_ALL: "C" };
+
+const NOT_A_REPO_RE = /^fatal: not a git repository/im;
+const UNKNOWN_REF_RE = new RegExp(
+  [
+    "unknown revision",
+    "bad revision",
+    "bad object",
+    "malformed object name",
+    "invalid object name",
+    "not a valid object name",
+    "Needed a single revision",
+  ].join("|"),
+  "i"
+);
+
+/** Turn the outcome of a Git process into its output, or a GitError. */
+function settle(args, cwd, { status, stdout, stderr, error }, { trim }) {
+  if (error) {
+    let message = error.message;
+    if (error.code === "ENOENT") {
+      message =
+        cwd && !fs.existsSync(cwd)
+          ? `Directory ${cwd} does not exist.`
+          : "Git is not installed or not in PATH.";
+    }
+    throw new GitError(message, { args, cause: error });
+  }
+  if (status === 0) return trim ? stdout.trim() : stdout;
+
+  const details = { args, stderr, exitCode: status };
+  const reason = stderr.match(/^(?:fatal|error): (.*)$/m)?.[1] ?? stderr.trim();
+
+  if (NOT_A_REPO_RE.test(stderr)) {
+    throw new GitError(`${cwd ?? process.cwd()} is not inside a Git repository.`, {
+      code: "not-a-repo",
+      ...details,
+    });
+  }
+  if (UNKNOWN_REF_RE.test(stderr)) {
+    if (isShallowRepository(cwd)) {
+      throw new GitError(`git ${args[0]}: ${reason}\n${SHALLOW_HINT}`, {
+        code: "shallow-clone",
+        ...details,
+      });
+    }
+    throw new GitError(`git ${args[0]}: ${reason}`, { code: "unknown-ref", ...details });
+  }
+  // Other failures keep the whole output: push rejections and hook errors span several lines.
+  const output = stderr.trim() || `exit code ${status}`;
+  throw new GitError(`git ${args[0]} failed: ${output}`, details);
+}
+
+/**
+ * Run a Git command synchronously. Arguments are passed to Git as-is, without a shell, so
+ * refs, paths and messages need no quoting.
+ *
+ * @param {string[]} args - Git arguments, e.g. ["log", "-1", "--format=%H", ref].
+ * @param {string} [cwd] - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {boolean} [options.trim=true] - Trim the output.
+ * @param {Object} [options.env] - Extra environment variables.
+ * @returns {string} The standard output of the command.
+ * @throws {GitError} If the command fails.
+ */
+export function runGitSync(args, cwd, { trim = true, env } = {}) {
+  const result = spawnSync("git", args, {
+    cwd,
+    env: env ? { ...GIT_ENV, ...env } : GIT_ENV,
+    encoding: "utf8",
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  return settle(args, cwd, result, { trim });
+}
+
+/**
+ * Run a Git command asynchronously, see runGitSync().
+ *
+ * @param {string[]} args - Git arguments.
+ * @param {string} [cwd] - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {boolean} [options.trim=true] - Trim the output.
+ * @returns {Promise<string>} The standard output of the command.
+ * @throws {GitError} If the command fails.
+ */
+export function runGit(args, cwd, { trim = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", args, { cwd, env: GIT_ENV });
+    const stdout = [];
+    const stderr = [];
+    let settled = false;
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      try {
+        resolve(settle(args, cwd, result, { trim }));
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    child.stdout.on("data", chunk => stdout.push(chunk));
+    child.stderr.on("data", chunk => stderr.push(chunk));
+    child.on("error", error => finish({ error }));
+    child.on("close", status =>
+      finish({
+        status,
+        stdout: Buffer.concat(stdout).toString("utf8"),
+        stderr: Buffer.concat(stderr).toString("utf8"),
+      })
+    );
+  });
+}
+
+/**
+ * Tell whether the repository is a shallow clone, whose history (and tags) may be
+ * incomplete.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {boolean} True for a shallow clone; false otherwise, including outside a repository.
+ */
+export function isShallowRepository(cwd) {
+  const { status, stdout } = spawnSync("git", ["rev-parse", "--is-shallow-repository"], {
+    cwd,
+    env: GIT_ENV,
+    encoding: "utf8",
+  });
+  return status === 0 && stdout.trim() === "true";
+}
+
+// A repository without commits has an unborn HEAD: its history and tags are simply empty.
+function hasCommits(cwd) {
+  return spawnSync("git", ["rev-parse", "--verify", "--quiet", "HEAD"], { cwd }).status === 0;
+}
+
+/** Run a history read, treating an unborn HEAD as an empty history. */
+function readHistory(cwd, read, empty) {
+  try {
+    return read();
+  } catch (err) {
+    if (err instanceof GitError && err.code === "unknown-ref" && !hasCommits(cwd)) return empty;
+    throw err;
+  }
+}
+
+async function readHistoryAsync(cwd, read, empty) {
+  try {
+    return await read();
+  } catch (err) {
+    if (err instanceof GitError && err.code === "unknown-ref" && !hasCommits(cwd)) return empty;
+    throw err;
+  }
+}
 
 /* ===========================
  * Git helpers
  * =========================== */
 
 /**
- * Return the most recent Git tag reachable from HEAD, with a leading "v" prefix removed.
+ * List the semantic-version tags reachable from HEAD (or `ref`), highest precedence first.
+ *
+ * Runs `git tag --merged <ref>`, keeps the tags matching the tag format whose version is
+ * valid SemVer, and sorts them with SemVer 2.0 precedence (see compareVersions). Tags that
+ * do not match the format (e.g. "deploy-prod") are ignored.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {string} [options.format=DEFAULT_TAG_FORMAT] - Tag format, e.g. "v${version}".
+ * @param {string} [options.name] - Package name, for formats using `${name}`.
+ * @param {string|null} [options.ref="HEAD"] - Only tags reachable from this ref; null lists
+ *        every tag of the repository.
+ * @returns {{name: string, version: string}[]} Tag name as stored in Git and its version.
+ *          Empty array if there are no such tags.
+ * @throws {GitError} If `cwd` is not a repository or `ref` does not exist, or with code
+ *         "shallow-clone" when the history of a shallow clone stops before the version tags
+ *         it has: the project would otherwise be released as if it had never been tagged.
+ */
+export function getVersionTags(cwd, { format = DEFAULT_TAG_FORMAT, name, ref = "HEAD" } = {}) {
+  const out = readHistory(cwd, () => runGitSync(versionTagArgs(ref), cwd), "");
+  return parseVersionTags(out.split("\n").filter(Boolean), cwd, { format, name });
+}
+
+/**
+ * Async variant of getVersionTags().
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {Object} [options] - See getVersionTags().
+ * @returns {Promise<{name: string, version: string}[]>} See getVersionTags().
+ * @throws {GitError} See getVersionTags().
+ */
+export async function getVersionTagsAsync(
+  cwd,
+  { format = DEFAULT_TAG_FORMAT, name, ref = "HEAD" } = {}
+) {
+  const out = await readHistoryAsync(cwd, () => runGit(versionTagArgs(ref), cwd), "");
+  return parseVersionTags(out.split("\n").filter(Boolean), cwd, { format, name });
+}
+
+function versionTagArgs(ref) {
+  return ref ? ["tag", "--merged", ref] : ["tag"];
+}
+
+/**
+ * Keep the version tags of a list of tag names, highest precedence first, see getVersionTags().
+ *
+ * When none of `names` is a version tag in a shallow clone, the other version tags of the
+ * repository are looked up: one that exists but was not listed sits on a commit the clone
+ * did not fetch. A shallow clone without any version tag (a first release, a new workspace
+ * package, or a checkout that fetched no tags) is left to the caller.
+ *
+ * @param {string[]} names - Tag names reachable from the ref being released.
+ * @param {string} cwd - The working directory, to detect shallow clones.
+ * @param {Object} [options]
+ * @param {string} [options.format=DEFAULT_TAG_FORMAT] - Tag format, e.g. "v${version}".
+ * @param {string} [options.name] - Package name, for formats using `${name}`.
+ * @returns {{name: string, version: string}[]} Tag name and version.
+ * @throws {GitError} With code "shallow-clone" when none is a version tag and the history of
+ *         the shallow clone stops before an existing one.
+ */
+export function parseVersionTags(names, cwd, { format = DEFAULT_TAG_FORMAT, name } = {}) {
+  const tags = filterVersionTags(names, { format, name });
+  if (tags.length > 0 || !isShallowRepository(cwd)) return tags;
+
+  const [cutOff] = filterVersionTags(runGitSync(["tag"], cwd).split("\n").filter(Boolean), {
+    format,
+    name,
+  });
+  if (cutOff) {
+    throw new GitError(
+      `No version tag is reachable, but ${cutOff.name} exists: the history stops before it. ` +
+        SHALLOW_HINT,
+      { code: "shallow-clone" }
+    );
+  }
+  return tags;
+}
+
+function filterVersionTags(names, { format, name }) {
+  return names
+    .map(tag => ({ name: tag, version: parseTag(format, tag, { name }) }))
+    .filter(tag => tag.version && parseVersion(tag.version))
+    .sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Return the highest-precedence version tag reachable from HEAD for a release channel.
+ *
+ * Stable tags always qualify. Prerelease tags only qualify when `preid` is given and
+ * their first prerelease identifier equals it (e.g. "2.0.0-beta.3" for "beta"), so the
+ * stable channel ignores prereleases and each prerelease channel ignores the others.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {string} [options.preid] - Prerelease channel to include.
+ * @param {string} [options.format] - Tag format, see getVersionTags().
+ * @param {string} [options.name] - Package name, for formats using `${name}`.
+ * @param {string} [options.ref="HEAD"] - Only tags reachable from this ref.
+ * @returns {{name: string, version: string}|null} The tag, or null if none qualifies.
+ * @throws {GitError} See getVersionTags().
+ */
+export function getLatestTag(cwd, { preid, format, name, ref } = {}) {
+  return selectLatestTag(getVersionTags(cwd, { format, name, ref }), { preid });
+}
+
+/**
+ * Pick the latest tag of a release channel from a list of version tags, see getLatestTag().
+ *
+ * @param {{name: string, version: string}[]} tags - Version tags, highest precedence first.
+ * @param {Object} [options]
+ * @param {string} [options.preid] - Prerelease channel to include.
+ * @returns {{name: string, version: string}|null} The tag, or null if none qualifies.
+ */
+export function selectLatestTag(tags, { preid } = {}) {
+  return (
+    tags.find(({ version }) => {
+      const { prerelease } = parseVersion(version);
+      return prerelease.length === 0 || (preid && prerelease[0] === preid);
+    }) ?? null
+  );
+}
+
+/**
+ * Return the version of the most recent stable tag reachable from HEAD.
+ *
+ * Tags are ordered with SemVer 2.0 precedence rather than by topology, and the version is
+ * extracted with the tag format (e.g. "v1.2.3" -> "1.2.3" for "v${version}").
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {string} [options.format] - Tag format, see getVersionTags().
+ * @returns {string|null} The most recent version, or null if no tag is found.
+ * @throws {GitError} See getVersionTags().
+ */
+export function getLastTag(cwd, { format } = {}) {
+  return getLatestTag(cwd, { format })?.version ?? null;
+}
+
+/**
+ * Return the name of the branch being released.
+ *
+ * Uses getCheckedOutBranch(). On a detached HEAD (common in CI checkouts) it falls back to
+ * the branch exposed by the CI environment: `GITHUB_BASE_REF` (pull request target),
+ * `GITHUB_REF_NAME` or `CI_COMMIT_REF_NAME` (GitLab).
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string|null} The branch name, or null if it cannot be determined.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function getCurrentBranch(cwd) {
+  const branch = getCheckedOutBranch(cwd);
+  if (branch) return branch;
+
+  const { GITHUB_BASE_REF, GITHUB_REF_NAME, CI_COMMIT_REF_NAME } = process.env;
+  return GITHUB_BASE_REF || GITHUB_REF_NAME || CI_COMMIT_REF_NAME || null;
+}
+
+/**
+ * Return the name of the branch checked out, without the CI fallbacks of getCurrentBranch(),
+ * e.g. to know which branch a commit can be pushed to.
  *
- * Runs `git describe --tags --abbrev=0` in the provided working directory and strips a
- * single leading "v" from the tag name (e.g. "v1.2.3" -> "1.2.3").
+ * Uses `git symbolic-ref --short HEAD`.
  *
  * @param {string} cwd - The working directory in which to run the Git command.
- * @returns {string|null} The most recent tag without a leading "v", or null if no tag is found
- *                        or the Git command fails.
+ * @returns {string|null} The branch name, or null on a detached HEAD.
+ * @throws {GitError} If `cwd` is not a repository.
  */
-export function getLastTag(cwd) {
+export function getCheckedOutBranch(cwd) {
   try {
-    const tag = run("git describe --tags --abbrev=0", cwd);
-    return tag.replace(/^v/, "");
-  } catch {
+    return runGitSync(["symbolic-ref", "--short", "--quiet", "HEAD"], cwd) || null;
+  } catch (err) {
+    if (err.code === "not-a-repo") throw err;
     return null;
   }
 }
@@ -26,48 +387,528 @@ export function getLastTag(cwd) {
 /**
  * Retrieve commits from Git using a compact, machine-friendly format.
  *
- * Executes `git log <range> --pretty=format:%H%x1f%s%x1f%b` in the given working directory,
- * splits the output by newline, and returns an array of non-empty lines.
+ * Executes `git log <range> --pretty=format:%H%x1f%s%x1f%b%x1f%an%x1f%ae%x1f%P%x1e` in the
+ * given working directory. Commits are delimited by the ASCII record separator (0x1E) rather
+ * than by newlines, so multi-line bodies stay attached to their commit.
  *
  * Each array element is a single string formatted as:
- *   "<commit-hash>\x1F<subject>\x1F<body>"
+ *   "<commit-hash>\x1F<subject>\x1F<body>\x1F<author-name>\x1F<author-email>\x1F<parents>"
  * where "\x1F" is the ASCII unit separator (0x1F) used to delimit fields.
  *
- * If the git command fails (e.g., not a repository, invalid range, or other error),
- * an empty array is returned.
+ * A repository without commits has an empty history.
  *
  * @param {string} range - The git log range to query (e.g. "HEAD", "v1.0.0..HEAD", "master..feature").
  * @param {string} [cwd] - Optional working directory path in which to run the git command.
- * @returns {string[]} Array of commit entries, each as "<hash>\x1F<subject>\x1F<body>". Empty array on failure.
+ * @param {Object} [options]
+ * @param {string[]} [options.paths] - Only list commits touching these paths (relative to
+ *                                     `cwd`), e.g. a workspace package directory.
+ * @param {boolean} [options.firstParent=false] - Only follow the first parent of merge commits,
+ *                                               i.e. list what landed on the branch itself.
+ * @returns {string[]} Array of commit entries (see above).
+ * @throws {GitError} If `cwd` is not a repository or the range refers to an unknown ref
+ *         ("shallow-clone" when the ref was not fetched by a shallow clone).
  *
  * @example
  * // Possible return:
- * // ["a1b2c3d4e5f6g7h8i9j0\u001FAdd feature X\u001FImplementation details...", ...]
+ * // ["a1b2c3d\u001FAdd feature X\u001FDetails...\u001FAda\u001Fada@example.com\u001F9f8e7d6", ...]
  */
-export function getCommits(range, cwd) {
-  try {
-    return run(
-      `git log ${range} --pretty=format:%H%x1f%s%x1f%b`,
-      cwd
-    )
-      .split("\n")
-      .filter(Boolean);
-  } catch {
-    return [];
-  }
+export function getCommits(range, cwd, options = {}) {
+  return splitCommits(readHistory(cwd, () => runGitSync(commitLogArgs(range, options), cwd), ""));
+}
+
+/**
+ * Async variant of getCommits().
+ *
+ * @param {string} range - The git log range to query.
+ * @param {string} [cwd] - Working directory in which to run the git command.
+ * @param {Object} [options] - See getCommits().
+ * @returns {Promise<string[]>} See getCommits().
+ * @throws {GitError} See getCommits().
+ */
+export async function getCommitsAsync(range, cwd, options = {}) {
+  const out = await readHistoryAsync(cwd, () => runGit(commitLogArgs(range, options), cwd), "");
+  return splitCommits(out);
+}
+
+/**
+ * List the commits of a range with their full message as written (`%B`), newest first.
+ *
+ * getCommits() joins the lines of the first paragraph into the subject; this keeps every line
+ * break, e.g. to lint the blank line between the header and the body.
+ *
+ * @param {string} range - The git log range to query, see getCommits().
+ * @param {string} [cwd] - Working directory in which to run the git command.
+ * @returns {{hash: string, message: string}[]} The commits, with trailing newlines trimmed.
+ * @throws {GitError} See getCommits().
+ */
+export function getCommitMessages(range, cwd) {
+  const args = ["log", "--pretty=format:%H%x1f%B%x1e", "--end-of-options", range, "--"];
+  return splitCommits(readHistory(cwd, () => runGitSync(args, cwd), "")).map(record => {
+    const [hash, message = ""] = record.split("\x1f");
+    return { hash, message: message.trimEnd() };
+  });
+}
+
+function commitLogArgs(range, { paths = [], firstParent = false }) {
+  const format = "%H%x1f%s%x1f%b%x1f%an%x1f%ae%x1f%P%x1e";
+  const flags = firstParent ? ["--first-parent"] : [];
+  return ["log", ...flags, `--pretty=format:${format}`, "--end-of-options", range, "--", ...paths];
+}
+
+function splitCommits(out) {
+  return out
+    .split("\x1e")
+    .map(record => record.replace(/^\n/, ""))
+    .filter(Boolean);
 }
 
 /**
  * Parse a commit line encoded with ASCII Unit Separator characters into its parts.
  *
  * The input is expected to contain fields separated by '\x1f' in the order:
- * hash, subject, body. If subject or body are missing, they default to an empty string.
+ * hash, subject, body, author name, author email, parent hashes (space separated). If subject
+ * or body are missing, they default to an empty string; `author` is null when the line has no
+ * author fields and `parents` is empty when it has no parent field.
+ * Use parseConventionalCommit() (lib/commits.js) to split the message into its parts.
  *
  * @param {string} line - Raw commit line with fields delimited by '\x1f'.
- * @returns {{hash: string, subject: string, body: string}} An object containing the
- *          commit hash, subject, and body.
+ * @returns {{
+ *   hash: string,
+ *   subject: string,
+ *   body: string,
+ *   author: {name: string, email: string}|null,
+ *   parents: string[]
+ * }} An object containing the commit hash, subject, body, author and parent hashes.
  */
 export function parseCommit(line) {
-  const [hash, subject = "", body = ""] = line.split("\x1f");
-  return { hash, subject, body };
-}
\ No newline at end of file
+  const [hash, subject = "", body = "", name, email = "", parents = ""] = line.split("\x1f");
+  const author = name ? { name, email } : null;
+  return {
+    hash,
+    subject,
+    body: body.trimEnd(),
+    author,
+    parents: parents.split(" ").filter(Boolean),
+  };
+}
+
+/**
+ * Read the whole history reachable from HEAD in one `git log`, with the commit dates and the
+ * tags pointing at each commit, for lib/history.js.
+ *
+ * Records use the getCommits() format followed by two more fields: the commit date
+ * ("YYYY-MM-DD") and the tag decorations ("tag: v1.2.0, tag: latest"). parseCommit() reads
+ * the first six fields.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string[]} One record per commit, in `git log` order; empty before the first commit.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function getDecoratedHistory(cwd) {
+  const format = "%H%x1f%s%x1f%b%x1f%an%x1f%ae%x1f%P%x1f%cd%x1f%D%x1e";
+  const args = [
+    "log",
+    "HEAD",
+    "--date=short",
+    "--decorate-refs=refs/tags/",
+    `--pretty=format:${format}`,
+    "--",
+  ];
+  return splitCommits(readHistory(cwd, () => runGitSync(args, cwd), ""));
+}
+
+/**
+ * Fingerprint the tags of the repository, to tell whether tags were added, moved or deleted.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string} The `<object> <refname>` lines of every tag ref.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function getTagRefs(cwd) {
+  return runGitSync(["for-each-ref", "--format=%(objectname) %(refname)", "refs/tags"], cwd);
+}
+
+/**
+ * Return the URL of a Git remote.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {string} [remote="origin"] - Remote name.
+ * @returns {string|null} The remote URL as configured, or null if there is no such remote.
+ */
+export function getRemoteUrl(cwd, remote = "origin") {
+  try {
+    return runGitSync(["config", "--get", `remote.${remote}.url`], cwd) || null;
+  } catch (err) {
+    // `git config --get` exits with 1 when the key is not set.
+    if (err.exitCode === 1) return null;
+    throw err;
+  }
+}
+
+/**
+ * Return the date of the commit a ref points to, as "YYYY-MM-DD".
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string} The commit date.
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export function getRefDate(ref, cwd) {
+  return runGitSync(
+    ["log", "-1", "--format=%cd", "--date=short", "--end-of-options", ref, "--"],
+    cwd
+  );
+}
+
+/**
+ * Return the date and time of the commit a ref points to, in strict ISO 8601 format.
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string} The commit timestamp (e.g. "2026-10-19T14:03:12+02:00").
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export function getRefTimestamp(ref, cwd) {
+  return runGitSync(["log", "-1", "--format=%cI", "--end-of-options", ref, "--"], cwd);
+}
+
+/**
+ * List the email addresses of everyone who authored a commit reachable from a ref.
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {Set<string>} Lower-cased author emails.
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export function getAuthorEmails(ref, cwd) {
+  return toEmailSet(runGitSync(["log", "--format=%ae", "--end-of-options", ref, "--"], cwd));
+}
+
+/**
+ * Async variant of getAuthorEmails().
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {Promise<Set<string>>} Lower-cased author emails.
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export async function getAuthorEmailsAsync(ref, cwd) {
+  return toEmailSet(await runGit(["log", "--format=%ae", "--end-of-options", ref, "--"], cwd));
+}
+
+function toEmailSet(out) {
+  return new Set(out.split("\n").filter(Boolean).map(email => email.toLowerCase()));
+}
+
+/**
+ * List the tags pointing at the commit a ref resolves to.
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string[]} Tag names; empty if there are none.
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export function getTagsPointingAt(ref, cwd) {
+  return runGitSync(["tag", `--points-at=${ref}`], cwd).split("\n").filter(Boolean);
+}
+
+/**
+ * List the hashes of every commit of a range, including those brought in by merges.
+ *
+ * @param {string} range - Git range, e.g. "v1.0.0..v1.1.0".
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {Set<string>} Full commit hashes.
+ * @throws {GitError} If the range refers to an unknown ref.
+ */
+export function getCommitHashes(range, cwd) {
+  return new Set(
+    runGitSync(["rev-list", "--end-of-options", range, "--"], cwd).split("\n").filter(Boolean)
+  );
+}
+
+/**
+ * Async variant of getCommitHashes().
+ *
+ * @param {string} range - Git range, e.g. "v1.0.0..v1.1.0".
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {Promise<Set<string>>} Full commit hashes.
+ * @throws {GitError} If the range refers to an unknown ref.
+ */
+export async function getCommitHashesAsync(range, cwd) {
+  return new Set(
+    (await runGit(["rev-list", "--end-of-options", range, "--"], cwd)).split("\n").filter(Boolean)
+  );
+}
+
+/**
+ * Return the full hash of the commit HEAD points to.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string|null} The commit hash, or null before the first commit.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function getHeadCommit(cwd) {
+  return readHistory(cwd, () => runGitSync(["rev-parse", "--verify", "HEAD"], cwd), null);
+}
+
+/**
+ * List the uncommitted changes of the working tree.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {boolean} [options.untracked=true] - Include untracked files.
+ * @returns {string[]} `git status --porcelain` lines (e.g. " M package.json"); empty when the
+ *          working tree is clean.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function getUncommittedChanges(cwd, { untracked = true } = {}) {
+  const flags = untracked ? [] : ["--untracked-files=no"];
+  // Not trimmed: the first column of the first line may be a space.
+  return runGitSync(["status", "--porcelain", ...flags], cwd, { trim: false })
+    .split("\n")
+    .filter(Boolean);
+}
+
+/**
+ * Tell whether a tag exists in the local repository.
+ *
+ * @param {string} tag - Tag name.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {boolean} True if `refs/tags/<tag>` exists.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function tagExists(tag, cwd) {
+  try {
+    runGitSync(["rev-parse", "--verify", "--quiet", `refs/tags/${tag}`], cwd);
+    return true;
+  } catch (err) {
+    if (err.code === "not-a-repo") throw err;
+    return false;
+  }
+}
+
+/**
+ * Return the subject line of the commit a ref points to.
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string} The subject.
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export function getCommitSubject(ref, cwd) {
+  return runGitSync(["log", "-1", "--pretty=%s", "--end-of-options", ref, "--"], cwd);
+}
+
+/**
+ * Read a file as it is in a given commit.
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} file - Path relative to the repository root, with "/" separators.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string|null} The file content, or null if the file does not exist in `ref`.
+ * @throws {GitError} If the ref cannot be resolved.
+ */
+export function readFileAtRef(ref, file, cwd) {
+  try {
+    return runGitSync(["show", `${ref}:${file}`], cwd, { trim: false });
+  } catch (err) {
+    // "path '<file>' does not exist in '<ref>'" is not classified.
+    if (err.code === "git-failed") return null;
+    throw err;
+  }
+}
+
+/**
+ * Resolve a ref to the full hash of its commit.
+ *
+ * @param {string} ref - Tag, branch or commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string} The commit hash.
+ * @throws {GitError} If the ref cannot be resolved to a commit.
+ */
+export function resolveCommit(ref, cwd) {
+  return runGitSync(["rev-parse", "--verify", "--end-of-options", `${ref}^{commit}`], cwd);
+}
+
+/**
+ * Tell whether a commit is an ancestor of (or the same as) another one.
+ *
+ * @param {string} ancestor - Possible ancestor.
+ * @param {string} ref - Descendant to check.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {boolean} True if `ancestor` is reachable from `ref`.
+ * @throws {GitError} If a ref cannot be resolved.
+ */
+export function isAncestor(ancestor, ref, cwd) {
+  try {
+    runGitSync(["merge-base", "--is-ancestor", "--end-of-options", ancestor, ref], cwd);
+    return true;
+  } catch (err) {
+    if (err.exitCode === 1) return false;
+    throw err;
+  }
+}
+
+/**
+ * List the files left with conflicts by a failed merge.
+ *
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string[]} Paths relative to the repository root.
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function getConflictedFiles(cwd) {
+  return runGitSync(["diff", "--name-only", "--diff-filter=U"], cwd)
+    .split("\n")
+    .filter(Boolean);
+}
+
+/* ===========================
+ * Write operations
+ * =========================== */
+
+/**
+ * Stage files and commit them.
+ *
+ * @param {string[]} files - Paths relative to `cwd`.
+ * @param {string} message - Commit message.
+ * @param {string} cwd - The working directory in which to run the Git commands.
+ * @returns {string} The hash of the new commit.
+ * @throws {GitError} If staging or committing fails (e.g. nothing to commit, failing hook).
+ */
+export function commitFiles(files, message, cwd) {
+  runGitSync(["add", "--", ...files], cwd);
+  runGitSync(["commit", "-m", message], cwd);
+  return runGitSync(["rev-parse", "HEAD"], cwd);
+}
+
+/**
+ * Create an annotated tag, optionally signed.
+ *
+ * Signing uses Git's own configuration: GPG by default, SSH or X.509 with `gpg.format`, and
+ * `user.signingKey` unless a key is given.
+ *
+ * @param {string} tag - Tag name.
+ * @param {string} message - Tag message.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @param {Object} [options]
+ * @param {string} [options.ref="HEAD"] - Commit to tag.
+ * @param {boolean|string} [options.sign=false] - Sign the tag; a string is the key to use.
+ * @param {'strip'|'whitespace'|'verbatim'} [options.cleanup="strip"] - How Git cleans up the
+ *        message; "strip" drops lines starting with "#", such as Markdown headings.
+ * @throws {GitError} If the tag exists, the ref cannot be resolved or signing fails.
+ */
+export function createAnnotatedTag(
+  tag,
+  message,
+  cwd,
+  { ref = "HEAD", sign = false, cleanup = "strip" } = {}
+) {
+  const mode = typeof sign === "string" ? ["-u", sign] : sign ? ["-s"] : ["-a"];
+  runGitSync(["tag", ...mode, `--cleanup=${cleanup}`, "-m", message, tag, ref], cwd);
+}
+
+/**
+ * Delete a local tag.
+ *
+ * @param {string} tag - Tag name.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @throws {GitError} If the tag does not exist.
+ */
+export function deleteTag(tag, cwd) {
+  runGitSync(["tag", "-d", tag], cwd);
+}
+
+/**
+ * Push refs to a remote atomically: either every ref is updated or none is.
+ *
+ * @param {string} remote - Remote name, e.g. "origin".
+ * @param {string[]} refspecs - Refspecs, e.g. ["HEAD:refs/heads/main", "refs/tags/1.2.0"].
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @throws {GitError} If the push is rejected or the remote cannot be reached.
+ */
+export function pushRefs(remote, refspecs, cwd) {
+  runGitSync(["push", "--atomic", remote, ...refspecs], cwd);
+}
+
+/**
+ * Move the current branch back to a commit, discarding later commits and every change of
+ * the working tree and index.
+ *
+ * @param {string} commit - Commit to reset to.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @throws {GitError} If the commit cannot be resolved.
+ */
+export function resetHard(commit, cwd) {
+  runGitSync(["reset", "--hard", commit], cwd);
+}
+
+/**
+ * Fetch a single ref from a remote, without its tags, e.g. the head of a pull request.
+ *
+ * @param {string} remote - Remote name, e.g. "origin".
+ * @param {string} ref - Ref on the remote, e.g. "refs/pull/42/head".
+ * @param {string} cwd - The working directory in which to run the Git commands.
+ * @returns {string} The hash of the fetched commit.
+ * @throws {GitError} If the remote cannot be reached or does not have the ref.
+ */
+export function fetchRef(remote, ref, cwd) {
+  runGitSync(["fetch", "--no-tags", remote, ref], cwd);
+  return resolveCommit("FETCH_HEAD", cwd);
+}
+
+/**
+ * Check a commit out in a new linked worktree, on a detached HEAD.
+ *
+ * @param {string} dir - Directory of the worktree; must not exist or be empty.
+ * @param {string} commit - Commit to check out.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @throws {GitError} If the directory is not empty or the commit cannot be resolved.
+ */
+export function addWorktree(dir, commit, cwd) {
+  runGitSync(["worktree", "add", "--detach", "--quiet", dir, commit], cwd);
+}
+
+/**
+ * Delete a linked worktree, with its uncommitted changes, and forget it.
+ *
+ * @param {string} dir - Directory of the worktree.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @throws {GitError} If `dir` is not a worktree of the repository.
+ */
+export function removeWorktree(dir, cwd) {
+  runGitSync(["worktree", "remove", "--force", dir], cwd);
+}
+
+/**
+ * Merge a commit into HEAD with a merge commit, even when a fast-forward is possible.
+ *
+ * Hooks are skipped, and the merge commit gets a fallback identity when Git has none
+ * configured (e.g. in CI).
+ *
+ * @param {string} commit - Commit to merge.
+ * @param {string} message - Message of the merge commit.
+ * @param {string} cwd - The working directory in which to run the Git command.
+ * @returns {string} The hash of the merge commit.
+ * @throws {GitError} If the merge fails, e.g. with conflicts (see getConflictedFiles()).
+ */
+export function mergeCommit(commit, message, cwd) {
+  const env = hasIdentity(cwd) ? undefined : FALLBACK_IDENTITY;
+  runGitSync(["merge", "--no-ff", "--no-verify", "-m", message, commit], cwd, { env });
+  return resolveCommit("HEAD", cwd);
+}
+
+const FALLBACK_IDENTITY = {
+  GIT_AUTHOR_NAME: "release-suite",
+  GIT_AUTHOR_EMAIL: "release-suite@localhost",
+  GIT_COMMITTER_NAME: "release-suite",
+  GIT_COMMITTER_EMAIL: "release-suite@localhost",
+};
+
+function hasIdentity(cwd) {
+  try {
+    runGitSync(["var", "GIT_COMMITTER_IDENT"], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,173 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import {
+  getDecoratedHistory,
+  getHeadCommit,
+  getTagRefs,
+  parseCommit,
+  parseVersionTags,
+  selectLatestTag,
+} from "./git.js";
+import { compareVersions } from "./versioning.js";
+
+/** Default cache file of `history.cache: true`, relative to the project directory. */
+export const DEFAULT_HISTORY_CACHE = "node_modules/.cache/release-suite/history.json";
+
+/** Bumped whenever the cached data changes shape, so older cache files are ignored. */
+const CACHE_VERSION = 1;
+
+/* ===========================
+ * Reading
+ * =========================== */
+
+function parseRecord(record) {
+  const fields = record.split("\x1f");
+  const tags = (fields[7] ?? "")
+    .split(", ")
+    .filter(ref => ref.startsWith("tag: "))
+    .map(ref => ref.slice("tag: ".length));
+  return { ...parseCommit(fields.slice(0, 6).join("\x1f")), date: fields[6] || null, tags };
+}
+
+function fingerprint(head, cwd) {
+  const refs = crypto.createHash("sha1").update(getTagRefs(cwd)).digest("hex");
+  return `${head}:${refs}`;
+}
+
+function readCache(file, key) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return data.version === CACHE_VERSION && data.key === key ? data.commits : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(file, key, commits) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ version: CACHE_VERSION, key, commits }), "utf8");
+  } catch {
+    // A read-only checkout still works, only without the cache.
+  }
+}
+
+/**
+ * Read the history reachable from HEAD once and index it, so that version computation and
+ * changelog generation do not run one `git log` per tag.
+ *
+ * With `cache`, the commits are stored in a JSON file and reused while HEAD and the tag refs
+ * are unchanged; any new commit or tag rebuilds it.
+ *
+ * @param {string} cwd - Project directory.
+ * @param {Object} [options]
+ * @param {boolean|string} [options.cache=false] - Cache file path relative to `cwd`, or true
+ *        for DEFAULT_HISTORY_CACHE.
+ * @returns {Object} The history index, see createHistoryIndex().
+ * @throws {GitError} If `cwd` is not a repository.
+ */
+export function readHistoryIndex(cwd, { cache = false } = {}) {
+  const head = getHeadCommit(cwd);
+  if (!head) return createHistoryIndex([], { cwd });
+  if (!cache) return createHistoryIndex(getDecoratedHistory(cwd).map(parseRecord), { cwd });
+
+  const file = path.resolve(cwd, cache === true ? DEFAULT_HISTORY_CACHE : cache);
+  const key = fingerprint(head, cwd);
+  let commits = readCache(file, key);
+  if (!commits) {
+    commits = getDecoratedHistory(cwd).map(parseRecord);
+    writeCache(file, key, commits);
+  }
+  return createHistoryIndex(commits, { cwd });
+}
+
+/* ===========================
+ * Index
+ * =========================== */
+
+/**
+ * Build the history index of a list of commits.
+ *
+ * Ranges are resolved in memory by walking parent hashes, with the same result as
+ * `git log <from>..HEAD`. releases() buckets every commit into the lowest version tag that
+ * contains it, which matches `git log <previous>..<tag>` for each tag, except that commits
+ * already released in an older line (e.g. a maintenance branch merged back) are not listed
+ * again.
+ *
+ * The index exposes:
+ * - `commits`: every commit, in `git log` order;
+ * - `versionTags({ format, name })`: the version tags, like getVersionTags();
+ * - `latestTag({ format, name, preid })`: the latest tag of a channel, like getLatestTag();
+ * - `commitsBetween(from)`: the commits reachable from HEAD but not from the tag `from`
+ *   (every commit when null);
+ * - `releases(tags)`: a Map from each of the `{ name, version }` tags to its commits, and from
+ *   null to the unreleased ones;
+ * - `date(tag)`: the commit date of a tag ("YYYY-MM-DD").
+ *
+ * Commit lists keep the `git log` order.
+ *
+ * @param {Object[]} commits - Commits in `git log` order, as parsed by parseCommit(), with
+ *        `date` and `tags` (names of the tags pointing at the commit).
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Project directory, to detect shallow clones.
+ * @returns {Object} The history index.
+ */
+export function createHistoryIndex(commits, { cwd } = {}) {
+  const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+  const tagged = new Map();
+  for (const commit of commits) {
+    for (const tag of commit.tags) tagged.set(tag, commit);
+  }
+
+  // Every commit reachable from `start` (within the history read).
+  function ancestors(start) {
+    const seen = new Set();
+    const stack = start ? [start.hash] : [];
+    while (stack.length) {
+      const hash = stack.pop();
+      if (seen.has(hash) || !byHash.has(hash)) continue;
+      seen.add(hash);
+      stack.push(...byHash.get(hash).parents);
+    }
+    return seen;
+  }
+
+  function versionTags({ format, name } = {}) {
+    return parseVersionTags([...tagged.keys()], cwd, { format, name });
+  }
+
+  return {
+    commits,
+    versionTags,
+    latestTag: ({ format, name, preid } = {}) =>
+      selectLatestTag(versionTags({ format, name }), { preid }),
+    commitsBetween(from) {
+      if (!from) return commits;
+      if (!tagged.has(from)) throw new Error(`Tag ${from} is not reachable from HEAD.`);
+      const released = ancestors(tagged.get(from));
+      return commits.filter(commit => !released.has(commit.hash));
+    },
+    releases(tags) {
+      // Walk from the lowest version up: each tag claims the commits no lower tag contains.
+      const ordered = tags
+        .filter(tag => tagged.has(tag.name))
+        .sort((a, b) => compareVersions(a.version, b.version));
+      const owner = new Map();
+      for (const tag of ordered) {
+        const stack = [tagged.get(tag.name).hash];
+        while (stack.length) {
+          const hash = stack.pop();
+          if (owner.has(hash) || !byHash.has(hash)) continue;
+          owner.set(hash, tag.name);
+          stack.push(...byHash.get(hash).parents);
+        }
+      }
+
+      const buckets = new Map([[null, []], ...tags.map(tag => [tag.name, []])]);
+      for (const commit of commits) buckets.get(owner.get(commit.hash) ?? null).push(commit);
+      return buckets;
+    },
+    date: tag => tagged.get(tag)?.date ?? null,
+  };
+}
@@ -0,0 +1,106 @@
+import { collectCommitTypes, createCommitPattern, parseHeader } from "./versioning.js";
+
+/* ===========================
+ * Commit message linting
+ * =========================== */
+
+/**
+ * Loose header shape used to tell a malformed header apart from an unknown type:
+ * optional emoji shortcode, a word, optional "(scope)", optional "!", ":" and the description.
+ */
+const LOOSE_HEADER_RE = /^(:\S+: )?([\w-]+)(\([^()]*\))?(!)?:(.*)$/;
+
+/**
+ * Lint rules, keyed by name. Each rule receives the parsed message and returns a problem
+ * description, or null when the message complies.
+ */
+const RULES = {
+  "header-format": ({ header, loose }) =>
+    loose ? null : `Header "${header}" must look like "<type>(<scope>)!: <description>"`,
+
+  "type-enum": ({ loose, parsed, types }) => {
+    if (!loose || parsed) return null;
+    return `Type "${loose[2]}" is not one of: ${types.join(", ")}`;
+  },
+
+  "subject-empty": ({ loose }) =>
+    loose && !loose[5].trim() ? "Description after the type must not be empty" : null,
+
+  "header-max-length": ({ header, config }) => {
+    const max = config.lint.headerMaxLength;
+    return header.length > max ? `Header is ${header.length} characters long (max ${max})` : null;
+  },
+
+  "subject-full-stop": ({ header }) =>
+    header.trimEnd().endsWith(".") ? "Header must not end with a full stop" : null,
+
+  "body-leading-blank": ({ lines }) =>
+    lines.length > 1 && lines[1].trim() !== "" ? "Body must be separated by a blank line" : null,
+};
+
+/**
+ * Remove Git comment lines ("# ...") and the scissors section added by `git commit -v`.
+ *
+ * @param {string} message - Raw message, e.g. the content of .git/COMMIT_EDITMSG.
+ * @returns {string} The message as it will be stored.
+ */
+export function stripMessageComments(message) {
+  const scissors = message.indexOf("# ------------------------ >8 ------------------------");
+  const kept = scissors === -1 ? message : message.slice(0, scissors);
+  return kept
+    .split(/\r?\n/)
+    .filter(line => !line.startsWith("#"))
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Lint a commit message (or a PR title) with the same grammar and type list used by
+ * detectBumpType().
+ *
+ * Messages matching one of the `lint.ignore` patterns (merge commits, reverts, fixups by
+ * default) are reported as ignored. Rules whose severity is "off" are skipped.
+ *
+ * @param {string} message - Full commit message (header, blank line, body) or a single title.
+ * @param {Object} config - Resolved config (see loadConfig()).
+ * @returns {{
+ *   header: string,
+ *   ignored: boolean,
+ *   valid: boolean,
+ *   problems: {rule: string, severity: 'error'|'warn', message: string}[]
+ * }} The lint result; `valid` is false when at least one problem is an error.
+ */
+export function lintMessage(message, config) {
+  const lines = message.split(/\r?\n/);
+  const header = lines[0] ?? "";
+
+  if (config.lint.ignore.some(source => new RegExp(source).test(header))) {
+    return { header, ignored: true, valid: true, problems: [] };
+  }
+
+  const types = collectCommitTypes(config);
+  const context = {
+    header,
+    lines,
+    types,
+    config,
+    loose: header.match(LOOSE_HEADER_RE),
+    parsed: parseHeader(header, createCommitPattern(types)),
+  };
+
+  const problems = [];
+  for (const [rule, check] of Object.entries(RULES)) {
+    const severity = config.lint.rules[rule] ?? "off";
+    if (severity === "off") continue;
+
+    const problem = check(context);
+    if (problem) problems.push({ rule, severity, message: problem });
+  }
+
+  return {
+    header,
+    ignored: false,
+    valid: !problems.some(p => p.severity === "error"),
+    problems,
+  };
+}
@@ -0,0 +1,60 @@
+import { readPullRequestsFromGit } from "../release-notes.js";
+import { ProviderError } from "./http.js";
+
+/* ===========================
+ * Git-only provider
+ * =========================== */
+
+async function unsupported() {
+  throw new ProviderError(
+    "releases need a hosting service; set its API token (e.g. GITHUB_TOKEN)",
+    { provider: "git" }
+  );
+}
+
+/**
+ * Create the offline provider: pull requests are reconstructed from the Git history (see
+ * readPullRequestsFromGit()) and links come from the repository config, if any.
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - Project directory.
+ * @param {RegExp} [options.pattern] - Header pattern, see createCommitPattern().
+ * @param {Object|null} [options.links] - Link helpers, see createRepositoryLinks().
+ * @returns {Object} The provider, see createProvider().
+ */
+export function createGitProvider({ cwd, pattern, links = null }) {
+  const listed = new Map();
+
+  return {
+    name: "git",
+    repository: null,
+    links,
+
+    async listMergedPullRequests({ range = "HEAD" } = {}) {
+      const pullRequests = readPullRequestsFromGit(range, cwd, { pattern }).map(pr => ({
+        ...pr,
+        url: pr.number ? (links?.pullRequest(pr.number) ?? null) : null,
+        labels: [],
+        mergedAt: null,
+        mergeCommit: pr.hash,
+        base: null,
+      }));
+      for (const pr of pullRequests) if (pr.number) listed.set(pr.number, pr);
+      return pullRequests;
+    },
+
+    async listPullRequestCommits(number) {
+      return (listed.get(String(number))?.commits ?? []).map(c => ({
+        hash: c.hash,
+        headline: c.subject,
+        author: c.author ? { ...c.author, login: null } : null,
+      }));
+    },
+
+    getRelease: unsupported,
+    createRelease: unsupported,
+    updateRelease: unsupported,
+    uploadAsset: unsupported,
+    deleteAsset: unsupported,
+  };
+}
@@ -0,0 +1,130 @@
+import { createHttpClient, orNotFound } from "./http.js";
+
+/* ===========================
+ * Gitea REST provider
+ * =========================== */
+
+function toPullRequest(pr) {
+  return {
+    number: String(pr.number),
+    title: pr.title,
+    url: pr.html_url,
+    author: pr.user ? { login: pr.user.login, name: pr.user.full_name || pr.user.login } : null,
+    labels: (pr.labels ?? []).map(label => label.name),
+    mergedAt: pr.merged_at,
+    mergeCommit: pr.merge_commit_sha ?? null,
+    base: pr.base?.ref ?? null,
+  };
+}
+
+function toRelease(release) {
+  return {
+    id: String(release.id),
+    tag: release.tag_name,
+    url: release.html_url,
+    draft: release.draft,
+    prerelease: release.prerelease,
+    assets: (release.assets ?? []).map(asset => ({ id: String(asset.id), name: asset.name })),
+  };
+}
+
+// Gitea has no "latest" override: the newest published release is the latest one.
+function releaseFields({ tag, name = tag, body = "", draft = false, prerelease = false, target }) {
+  return {
+    tag_name: tag,
+    name,
+    body,
+    draft,
+    prerelease,
+    ...(target ? { target_commitish: target } : {}),
+  };
+}
+
+/**
+ * Create the Gitea provider (also Forgejo and Codeberg, which share its API).
+ *
+ * @param {Object} options
+ * @param {string} options.apiUrl - REST API root, e.g. "https://gitea.example.com/api/v1".
+ * @param {string} options.repository - "owner/repo".
+ * @param {string|null} [options.token] - Access token.
+ * @param {Object|null} [options.links] - Link helpers, see createRepositoryLinks().
+ * @returns {Object} The provider, see createProvider().
+ */
+export function createGiteaProvider({ apiUrl, repository, token = null, links = null }) {
+  const http = createHttpClient({
+    provider: "gitea",
+    baseUrl: apiUrl,
+    headers: token ? { Authorization: `token ${token}` } : {},
+  });
+  const repo = `/repos/${repository}`;
+
+  return {
+    name: "gitea",
+    repository,
+    links,
+
+    async listMergedPullRequests({ base, since = null } = {}) {
+      const query = new URLSearchParams({ state: "closed", sort: "recentupdate", limit: "50" });
+      const pulls = await http.paginate(`${repo}/pulls?${query}`, {
+        until: pr => since && Date.parse(pr.updated_at) < Date.parse(since),
+      });
+      return pulls
+        .filter(pr => pr.merged && (!base || pr.base?.ref === base))
+        .filter(pr => !since || Date.parse(pr.merged_at) > Date.parse(since))
+        .map(toPullRequest);
+    },
+
+    async listPullRequestCommits(number) {
+      const commits = await http.paginate(`${repo}/pulls/${number}/commits?limit=50`);
+      return commits.map(c => ({
+        hash: c.sha,
+        headline: c.commit.message.split("\n")[0],
+        author: {
+          name: c.commit.author?.name ?? c.author?.login ?? "",
+          email: c.commit.author?.email ?? "",
+          login: c.author?.login ?? null,
+        },
+      }));
+    },
+
+    async getRelease(tag) {
+      const release = await orNotFound(
+        http.request("GET", `${repo}/releases/tags/${encodeURIComponent(tag)}`)
+      );
+      if (release) return toRelease(release);
+      // Drafts are not attached to their tag yet: look for them in the latest releases.
+      const recent = await http.request("GET", `${repo}/releases?limit=50`);
+      const draft = (recent ?? []).find(r => r.draft && r.tag_name === tag);
+      return draft ? toRelease(draft) : null;
+    },
+
+    async createRelease(fields) {
+      return toRelease(await http.request("POST", `${repo}/releases`, releaseFields(fields)));
+    },
+
+    async updateRelease(release, fields) {
+      const updated = await http.request(
+        "PATCH",
+        `${repo}/releases/${release.id}`,
+        releaseFields(fields)
+      );
+      return toRelease(updated);
+    },
+
+    async uploadAsset(release, { name, data, contentType = "application/octet-stream" }) {
+      const form = new FormData();
+      form.append("attachment", new Blob([data], { type: contentType }), name);
+      const query = new URLSearchParams({ name });
+      const asset = await http.request(
+        "POST",
+        `${repo}/releases/${release.id}/assets?${query}`,
+        form
+      );
+      return { id: String(asset.id), name: asset.name, url: asset.browser_download_url };
+    },
+
+    async deleteAsset(release, asset) {
+      await http.request("DELETE", `${repo}/releases/${release.id}/assets/${asset.id}`);
+    },
+  };
+}
@@ -0,0 +1,152 @@
+import { createHttpClient, orNotFound } from "./http.js";
+
+/* ===========================
+ * GitHub REST provider
+ * =========================== */
+
+function toPullRequest(pr) {
+  return {
+    number: String(pr.number),
+    title: pr.title,
+    url: pr.html_url,
+    author: pr.user ? { login: pr.user.login, name: pr.user.login } : null,
+    labels: (pr.labels ?? []).map(label => label.name),
+    mergedAt: pr.merged_at,
+    mergeCommit: pr.merge_commit_sha ?? null,
+    base: pr.base?.ref ?? null,
+  };
+}
+
+function toRelease(release) {
+  return {
+    id: String(release.id),
+    tag: release.tag_name,
+    url: release.html_url,
+    draft: release.draft,
+    prerelease: release.prerelease,
+    assets: (release.assets ?? []).map(asset => ({ id: String(asset.id), name: asset.name })),
+    // "https://uploads.github.com/repos/o/r/releases/1/assets{?name,label}"
+    uploadUrl: release.upload_url?.replace(/\{[^}]*\}$/, "") ?? null,
+  };
+}
+
+function releaseFields({
+  tag,
+  name = tag,
+  body = "",
+  draft = false,
+  prerelease = false,
+  target,
+  makeLatest,
+}) {
+  return {
+    tag_name: tag,
+    name,
+    body,
+    draft,
+    prerelease,
+    ...(target ? { target_commitish: target } : {}),
+    // Drafts and prereleases can never be "latest"; GitHub rejects the flag on them.
+    ...(makeLatest !== undefined && !draft && !prerelease
+      ? { make_latest: String(makeLatest) }
+      : {}),
+  };
+}
+
+/**
+ * Create the GitHub provider (github.com or GitHub Enterprise Server).
+ *
+ * @param {Object} options
+ * @param {string} options.apiUrl - REST API root ("https://api.github.com", or
+ *        "https://<host>/api/v3" for GitHub Enterprise).
+ * @param {string} options.repository - "owner/repo".
+ * @param {string|null} [options.token] - Token sent as a Bearer token; public repositories
+ *        can be read without one.
+ * @param {Object|null} [options.links] - Link helpers, see createRepositoryLinks().
+ * @returns {Object} The provider, see createProvider().
+ */
+export function createGitHubProvider({ apiUrl, repository, token = null, links = null }) {
+  const http = createHttpClient({
+    provider: "github",
+    baseUrl: apiUrl,
+    headers: {
+      Accept: "application/vnd.github+json",
+      "X-GitHub-Api-Version": "2022-11-28",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+  });
+  const repo = `/repos/${repository}`;
+
+  return {
+    name: "github",
+    repository,
+    links,
+
+    async listMergedPullRequests({ base, since = null } = {}) {
+      const query = new URLSearchParams({
+        state: "closed",
+        sort: "updated",
+        direction: "desc",
+        per_page: "100",
+        ...(base ? { base } : {}),
+      });
+      // Sorted by last update: once a page reaches PRs untouched since `since`, none of the
+      // remaining ones can have been merged after it.
+      const pulls = await http.paginate(`${repo}/pulls?${query}`, {
+        until: pr => since && Date.parse(pr.updated_at) < Date.parse(since),
+      });
+      return pulls
+        .filter(pr => pr.merged_at && (!since || Date.parse(pr.merged_at) > Date.parse(since)))
+        .map(toPullRequest);
+    },
+
+    async listPullRequestCommits(number) {
+      const commits = await http.paginate(`${repo}/pulls/${number}/commits?per_page=100`);
+      return commits.map(c => ({
+        hash: c.sha,
+        headline: c.commit.message.split("\n")[0],
+        author: {
+          name: c.commit.author?.name ?? c.author?.login ?? "",
+          email: c.commit.author?.email ?? "",
+          login: c.author?.login ?? null,
+        },
+      }));
+    },
+
+    async getRelease(tag) {
+      const release = await orNotFound(
+        http.request("GET", `${repo}/releases/tags/${encodeURIComponent(tag)}`)
+      );
+      if (release) return toRelease(release);
+      // Drafts are not attached to their tag yet: look for them in the latest releases.
+      const recent = await http.request("GET", `${repo}/releases?per_page=100`);
+      const draft = (recent ?? []).find(r => r.draft && r.tag_name === tag);
+      return draft ? toRelease(draft) : null;
+    },
+
+    async createRelease(fields) {
+      return toRelease(await http.request("POST", `${repo}/releases`, releaseFields(fields)));
+    },
+
+    async updateRelease(release, fields) {
+      const updated = await http.request(
+        "PATCH",
+        `${repo}/releases/${release.id}`,
+        releaseFields(fields)
+      );
+      return toRelease(updated);
+    },
+
+    async uploadAsset(release, { name, data, contentType = "application/octet-stream" }) {
+      const query = new URLSearchParams({ name });
+      const asset = await http.request("POST", `${release.uploadUrl}?${query}`, data, {
+        headers: { "Content-Type": contentType },
+      });
+      return { id: String(asset.id), name: asset.name, url: asset.browser_download_url };
+    },
+
+    async deleteAsset(release, asset) {
+      await http.request("DELETE", `${repo}/releases/assets/${asset.id}`);
+    },
+  };
+}
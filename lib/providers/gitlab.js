@@ -0,0 +1,140 @@
+import { createHttpClient, orNotFound } from "./http.js";
+
+/* ===========================
+ * GitLab REST provider
+ * =========================== */
+
+function toPullRequest(mr) {
+  return {
+    number: String(mr.iid),
+    title: mr.title,
+    url: mr.web_url,
+    author: mr.author ? { login: mr.author.username, name: mr.author.name } : null,
+    labels: mr.labels ?? [],
+    mergedAt: mr.merged_at,
+    // Fast-forward merges have no merge commit: the source branch head lands as is.
+    mergeCommit: mr.merge_commit_sha ?? mr.squash_commit_sha ?? mr.sha ?? null,
+    base: mr.target_branch ?? null,
+  };
+}
+
+function toRelease(release) {
+  return {
+    id: release.tag_name,
+    tag: release.tag_name,
+    url: release._links?.self ?? null,
+    draft: false,
+    prerelease: false,
+    assets: (release.assets?.links ?? []).map(link => ({ id: String(link.id), name: link.name })),
+  };
+}
+
+/**
+ * Create the GitLab provider (gitlab.com or self-managed).
+ *
+ * Merge requests are exposed with the same shape as pull requests; `number` is the
+ * project-scoped `iid` ("!12"). Release assets are uploaded to the project generic package
+ * registry (package "release", versioned by tag) and attached to the release as links.
+ *
+ * @param {Object} options
+ * @param {string} options.apiUrl - REST API root, e.g. "https://gitlab.com/api/v4".
+ * @param {string} options.repository - Project path, "group/subgroup/project".
+ * @param {string|null} [options.token] - Personal/project access token.
+ * @param {string|null} [options.jobToken] - CI job token (`CI_JOB_TOKEN`), used when no
+ *        `token` is given.
+ * @param {Object|null} [options.links] - Link helpers, see createRepositoryLinks().
+ * @returns {Object} The provider, see createProvider().
+ */
+export function createGitLabProvider({
+  apiUrl,
+  repository,
+  token = null,
+  jobToken = null,
+  links = null,
+}) {
+  const auth = token ? { "PRIVATE-TOKEN": token } : jobToken ? { "JOB-TOKEN": jobToken } : {};
+  const http = createHttpClient({ provider: "gitlab", baseUrl: apiUrl, headers: auth });
+  const project = `/projects/${encodeURIComponent(repository)}`;
+
+  return {
+    name: "gitlab",
+    repository,
+    links,
+
+    async listMergedPullRequests({ base, since = null } = {}) {
+      const query = new URLSearchParams({
+        state: "merged",
+        order_by: "updated_at",
+        sort: "desc",
+        per_page: "100",
+        ...(base ? { target_branch: base } : {}),
+        ...(since ? { updated_after: since } : {}),
+      });
+      const requests = await http.paginate(`${project}/merge_requests?${query}`);
+      return requests
+        .filter(mr => !since || Date.parse(mr.merged_at) > Date.parse(since))
+        .map(toPullRequest);
+    },
+
+    async listPullRequestCommits(number) {
+      const commits = await http.paginate(
+        `${project}/merge_requests/${number}/commits?per_page=100`
+      );
+      return commits.map(c => ({
+        hash: c.id,
+        headline: c.title,
+        author: { name: c.author_name, email: c.author_email, login: null },
+      }));
+    },
+
+    async getRelease(tag) {
+      const release = await orNotFound(
+        http.request("GET", `${project}/releases/${encodeURIComponent(tag)}`)
+      );
+      return release ? toRelease(release) : null;
+    },
+
+    // GitLab releases have no draft, prerelease or "latest" state; those options are ignored.
+    async createRelease({ tag, name = tag, body = "", target }) {
+      const release = await http.request("POST", `${project}/releases`, {
+        tag_name: tag,
+        name,
+        description: body,
+        ...(target ? { ref: target } : {}),
+      });
+      return toRelease(release);
+    },
+
+    async updateRelease(release, { name = release.tag, body = "" }) {
+      const updated = await http.request(
+        "PUT",
+        `${project}/releases/${encodeURIComponent(release.tag)}`,
+        { name, description: body }
+      );
+      return toRelease(updated);
+    },
+
+    async uploadAsset(release, { name, data }) {
+      // Package versions only allow letters, digits, ".", "-", "_" and "+".
+      const version = release.tag.replace(/[^\w.+-]/g, "-");
+      const file = `${project}/packages/generic/release/${version}/${encodeURIComponent(name)}`;
+      await http.request("PUT", file, data, {
+        headers: { "Content-Type": "application/octet-stream" },
+      });
+      const link = await http.request(
+        "POST",
+        `${project}/releases/${encodeURIComponent(release.tag)}/assets/links`,
+        { name, url: `${apiUrl.replace(/\/+$/, "")}${file}`, link_type: "package" }
+      );
+      return { id: String(link.id), name: link.name, url: link.url };
+    },
+
+    // Only the release link is removed; the next upload replaces the package file.
+    async deleteAsset(release, asset) {
+      await http.request(
+        "DELETE",
+        `${project}/releases/${encodeURIComponent(release.tag)}/assets/links/${asset.id}`
+      );
+    },
+  };
+}
@@ -0,0 +1,134 @@
+/* ===========================
+ * HTTP client
+ * =========================== */
+
+/**
+ * Upper bound on followed "next" pages, so a misbehaving API cannot loop forever. Reaching it
+ * is an error rather than a silently truncated list.
+ */
+const MAX_PAGES = 50;
+
+/**
+ * Error raised when a hosting service API call fails.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message - Human readable description of the problem.
+   * @param {Object} [options]
+   * @param {string|null} [options.provider] - Provider name ("github", "gitlab", "gitea").
+   * @param {number|null} [options.status] - HTTP status, or null when no response was received.
+   * @param {unknown} [options.cause] - Underlying error, if any.
+   */
+  constructor(message, { provider = null, status = null, cause } = {}) {
+    super(provider ? `${provider}: ${message}` : message, { cause });
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve to null instead of rejecting when the API answers 404 Not Found.
+ *
+ * @param {Promise<any>} promise - Pending API call.
+ * @returns {Promise<any|null>} The call result, or null for a missing resource.
+ */
+export async function orNotFound(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (err instanceof ProviderError && err.status === 404) return null;
+    throw err;
+  }
+}
+
+function nextPageUrl(linkHeader) {
+  const m = linkHeader?.match(/<([^>]+)>;\s*rel="next"/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Create a small JSON client for a hosting service REST API.
+ *
+ * @param {Object} options
+ * @param {string} options.provider - Provider name, used in error messages.
+ * @param {string} options.baseUrl - API root, e.g. "https://api.github.com".
+ * @param {Object<string, string>} [options.headers] - Headers sent with every request
+ *        (authentication, API version).
+ * @returns {{
+ *   request: (
+ *     method: string,
+ *     path: string,
+ *     body?: Object|Uint8Array|FormData,
+ *     options?: {headers?: Object<string, string>}
+ *   ) => Promise<any>,
+ *   paginate: (path: string, options?: {until?: (item: any) => boolean}) => Promise<any[]>
+ * }} `request` sends plain objects as JSON and binary or form bodies as is, and returns the
+ *    decoded JSON body (null when empty); `paginate` follows `Link: <…>; rel="next"`
+ *    headers and concatenates the pages, stopping early at the first item for which `until`
+ *    returns true (that item is not included), and rejects when there are more than
+ *    MAX_PAGES pages. Paths may also be absolute URLs.
+ */
+export function createHttpClient({ provider, baseUrl, headers = {} }) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function send(method, url, body, extraHeaders = {}) {
+    const json = body !== undefined && !(body instanceof Uint8Array) && !(body instanceof FormData);
+    let response;
+    try {
+      response = await fetch(url.startsWith("http") ? url : `${root}${url}`, {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(json ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+          ...extraHeaders,
+        },
+        body: json ? JSON.stringify(body) : body,
+      });
+    } catch (err) {
+      throw new ProviderError(`${method} ${url} failed: ${err.message}`, { provider, cause: err });
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      let detail = text;
+      try {
+        detail = JSON.parse(text).message ?? text;
+      } catch {
+        // Not JSON: keep the raw body.
+      }
+      throw new ProviderError(
+        `${method} ${url} returned ${response.status}${detail ? `: ${detail}` : ""}`,
+        { provider, status: response.status }
+      );
+    }
+
+    return {
+      data: text ? JSON.parse(text) : null,
+      next: nextPageUrl(response.headers.get("link")),
+    };
+  }
+
+  return {
+    request: async (method, path, body, options = {}) =>
+      (await send(method, path, body, options.headers)).data,
+
+    paginate: async (path, { until } = {}) => {
+      const items = [];
+      let url = path;
+      for (let page = 0; url; page++) {
+        if (page === MAX_PAGES) {
+          throw new ProviderError(`GET ${path} has more than ${MAX_PAGES} pages`, { provider });
+        }
+        const { data, next } = await send("GET", url);
+        for (const item of data ?? []) {
+          if (until?.(item)) return items;
+          items.push(item);
+        }
+        url = next;
+      }
+      return items;
+    },
+  };
+}
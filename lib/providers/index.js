@@ -0,0 +1,135 @@
+import { createRepositoryLinks, detectHost } from "../repository.js";
+import { createGitProvider } from "./git.js";
+import { createGiteaProvider } from "./gitea.js";
+import { createGitHubProvider } from "./github.js";
+import { createGitLabProvider } from "./gitlab.js";
+import { ProviderError } from "./http.js";
+
+export { ProviderError };
+
+/* ===========================
+ * Hosting providers
+ * =========================== */
+
+/** Hosting services with an API implementation. */
+export const HOSTING_PROVIDERS = ["github", "gitlab", "gitea"];
+
+/** Environment variables holding an API token, checked in order. */
+const TOKEN_VARIABLES = {
+  github: ["GITHUB_TOKEN", "GH_TOKEN"],
+  gitlab: ["GITLAB_TOKEN"],
+  gitea: ["GITEA_TOKEN"],
+};
+
+const FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea: createGiteaProvider,
+};
+
+function defaultApiUrl(name, url, env) {
+  const { origin, hostname } = new URL(url);
+  switch (name) {
+    case "github":
+      if (env.GITHUB_API_URL) return env.GITHUB_API_URL;
+      return hostname === "github.com" ? "https://api.github.com" : `${origin}/api/v3`;
+    case "gitlab":
+      return env.CI_API_V4_URL ?? `${origin}/api/v4`;
+    default:
+      return `${origin}/api/v1`;
+  }
+}
+
+/**
+ * Return the API token of a hosting service from the environment.
+ *
+ * @param {'github'|'gitlab'|'gitea'} name - Provider name.
+ * @param {Object<string, string|undefined>} [env=process.env] - Environment variables.
+ * @returns {string|null} The first token found, or null.
+ */
+export function findProviderToken(name, env = process.env) {
+  const variable = (TOKEN_VARIABLES[name] ?? []).find(key => env[key]);
+  return variable ? env[variable] : null;
+}
+
+/**
+ * Create the provider that release notes and releases talk to.
+ *
+ * Every provider exposes the same interface:
+ * - `name`: "github", "gitlab", "gitea" or "git".
+ * - `repository`: "owner/repo" (the project path on GitLab), null for "git".
+ * - `links`: commit, issue, pull request and compare URL builders, see
+ *   createRepositoryLinks(); null when the repository URL is unknown.
+ * - `listMergedPullRequests({ base, since, range })`: merged pull requests, newest first, as
+ *   `{number, title, url, author: {login, name}, labels, mergedAt, mergeCommit, base}`.
+ *   Hosting providers filter by target branch (`base`) and merge date (`since`, ISO 8601);
+ *   the "git" provider reads the `range` Git log range instead.
+ * - `listPullRequestCommits(number)`: `{hash, headline, author: {name, email, login}}[]`.
+ * - `getRelease(tag)`: the release of a tag (drafts included), or null, as
+ *   `{id, tag, url, draft, prerelease, assets: {id, name}[]}`.
+ * - `createRelease({ tag, name, body, draft, prerelease, target, makeLatest })` and
+ *   `updateRelease(release, fields)`: the created or updated release.
+ * - `uploadAsset(release, { name, data, contentType })`: `{id, name, url}`.
+ * - `deleteAsset(release, asset)`.
+ *
+ * Release options a service does not support (GitLab drafts, `makeLatest` outside GitHub) are
+ * ignored; the "git" provider rejects every release operation.
+ *
+ * With `name: "auto"`, the hosting service is detected from the repository URL (or the
+ * `repository.host` config) and used when an API token is available; otherwise the offline
+ * "git" provider is returned. Hosting providers talk to the service REST API over HTTP;
+ * `repository.apiUrl` overrides the API root (self-hosted instances, mock servers).
+ *
+ * @param {Object} options
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} options.config - Resolved config.
+ * @param {'auto'|'github'|'gitlab'|'gitea'|'git'} [options.name="auto"] - Provider to use.
+ * @param {string|null} [options.token] - API token; defaults to the service environment
+ *        variables (`GITHUB_TOKEN`/`GH_TOKEN`, `GITLAB_TOKEN`, `GITEA_TOKEN`).
+ * @param {RegExp} [options.pattern] - Header pattern for the "git" provider, see
+ *        createCommitPattern().
+ * @param {Object<string, string|undefined>} [options.env=process.env] - Environment variables.
+ * @returns {Object} The provider.
+ *
+ * @throws {ProviderError} If the provider is unknown, or a hosting provider is requested but
+ *         the repository URL is unknown.
+ */
+export function createProvider({
+  cwd = process.cwd(),
+  config,
+  name = "auto",
+  token,
+  pattern,
+  env = process.env,
+}) {
+  const links = createRepositoryLinks({ cwd, config });
+
+  if (name === "auto") {
+    const host = links ? (config.repository.host ?? detectHost(links.url)) : null;
+    const usable =
+      HOSTING_PROVIDERS.includes(host) &&
+      Boolean(token ?? findProviderToken(host, env) ?? (host === "gitlab" && env.CI_JOB_TOKEN));
+    name = usable ? host : "git";
+  }
+
+  if (name === "git") return createGitProvider({ cwd, pattern, links });
+  if (!FACTORIES[name]) {
+    const expected = [...HOSTING_PROVIDERS, "git"].join(", ");
+    throw new ProviderError(`unknown provider "${name}" (expected one of: ${expected})`);
+  }
+
+  if (!links) {
+    throw new ProviderError(
+      'repository URL unknown; set "repository.url" or the "repository" field of package.json',
+      { provider: name }
+    );
+  }
+
+  return FACTORIES[name]({
+    apiUrl: config.repository.apiUrl ?? defaultApiUrl(name, links.url, env),
+    repository: new URL(links.url).pathname.replace(/^\/+/, ""),
+    token: token ?? findProviderToken(name, env),
+    jobToken: env.CI_JOB_TOKEN ?? null,
+    links,
+  });
+}
@@ -0,0 +1,158 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ===========================
+ * Release assets
+ * =========================== */
+
+/** Content types of common release artifacts; anything else is sent as binary. */
+const CONTENT_TYPES = {
+  ".gz": "application/gzip",
+  ".tgz": "application/gzip",
+  ".zip": "application/zip",
+  ".json": "application/json",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".sha256": "text/plain",
+  ".asc": "application/pgp-signature",
+  ".sig": "application/pgp-signature",
+};
+
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories, a trailing "**" everything below.
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function listFiles(dir, prefix = "") {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries.flatMap(entry => {
+    if (entry.name === ".git" || entry.name === "node_modules") return [];
+    const relative = `${prefix}${entry.name}`;
+    if (entry.isDirectory()) return listFiles(path.join(dir, entry.name), `${relative}/`);
+    return entry.isFile() ? [relative] : [];
+  });
+}
+
+/**
+ * Resolve release asset globs to files.
+ *
+ * Patterns are relative to `cwd` and support `*`, `?` and `**` (e.g. "dist/**",
+ * "build/*.tgz"); patterns starting with "!" exclude the files they match. `.git` and
+ * `node_modules` are never searched.
+ *
+ * @param {string} cwd - Project directory.
+ * @param {string[]} patterns - Asset globs.
+ * @returns {{name: string, file: string, contentType: string}[]} Matched files, sorted by
+ *          path: `name` is the file name the asset is published under, `file` its absolute
+ *          path.
+ *
+ * @throws {Error} If a pattern matches no file, or two matched files share a name (release
+ *         assets are identified by name).
+ */
+export function findAssets(cwd, patterns) {
+  const include = patterns.filter(p => !p.startsWith("!"));
+  const exclude = patterns.filter(p => p.startsWith("!")).map(p => globToRegExp(p.slice(1)));
+  if (include.length === 0) return [];
+
+  const files = listFiles(cwd);
+  const matched = new Set();
+  for (const pattern of include) {
+    const re = globToRegExp(pattern.replace(/^\.\//, ""));
+    const hits = files.filter(file => re.test(file));
+    if (hits.length === 0) throw new Error(`Asset pattern "${pattern}" matches no file.`);
+    for (const file of hits) matched.add(file);
+  }
+
+  const byName = new Map();
+  for (const file of [...matched].sort()) {
+    if (exclude.some(re => re.test(file))) continue;
+    const name = path.basename(file);
+    if (byName.has(name)) {
+      throw new Error(`Assets "${byName.get(name)}" and "${file}" have the same name "${name}".`);
+    }
+    byName.set(name, file);
+  }
+
+  return [...byName].map(([name, file]) => ({
+    name,
+    file: path.join(cwd, file),
+    contentType: CONTENT_TYPES[path.extname(name).toLowerCase()] ?? "application/octet-stream",
+  }));
+}
+
+/* ===========================
+ * Releases
+ * =========================== */
+
+/**
+ * Create or update the release of a tag and upload its assets.
+ *
+ * Publishing is idempotent: when the tag already has a release (published or draft), it is
+ * updated in place, and assets already attached under the same name are replaced. Other
+ * assets of an existing release are kept.
+ *
+ * @param {Object} provider - Hosting provider, see createProvider().
+ * @param {Object} options
+ * @param {string} options.tag - Release tag.
+ * @param {string} [options.name=options.tag] - Release title.
+ * @param {string} options.body - Release notes.
+ * @param {boolean} [options.draft=false] - Keep the release unpublished.
+ * @param {boolean} [options.prerelease=false] - Mark the release as a prerelease.
+ * @param {boolean} [options.makeLatest] - Whether the release becomes the "latest" one
+ *        (GitHub only); unset leaves the service default.
+ * @param {string} [options.target] - Commit the tag is created on when it does not exist yet.
+ * @param {{name: string, file: string, contentType: string}[]} [options.assets=[]] - Files
+ *        to attach, see findAssets().
+ * @returns {Promise<{
+ *   release: Object,
+ *   created: boolean,
+ *   assets: {name: string, url: string|null}[]
+ * }>} The release, whether it was created (rather than updated) and the uploaded assets.
+ *
+ * @throws {ProviderError} If the hosting service API call fails.
+ */
+export async function publishRelease(
+  provider,
+  { tag, name = tag, body, draft = false, prerelease = false, makeLatest, target, assets = [] }
+) {
+  const fields = { tag, name, body, draft, prerelease, makeLatest, target };
+  const existing = await provider.getRelease(tag);
+  const release = existing
+    ? await provider.updateRelease(existing, fields)
+    : await provider.createRelease(fields);
+
+  const uploaded = [];
+  for (const asset of assets) {
+    const previous = release.assets.find(a => a.name === asset.name);
+    if (previous) await provider.deleteAsset(release, previous);
+    const { url } = await provider.uploadAsset(release, {
+      name: asset.name,
+      data: fs.readFileSync(asset.file),
+      contentType: asset.contentType,
+    });
+    uploaded.push({ name: asset.name, url });
+  }
+
+  return { release, created: !existing, assets: uploaded };
+}
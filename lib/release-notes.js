@@ -0,0 +1,364 @@
+import { collectContributors, parseConventionalCommit, readCommits } from "./commits.js";
+import { getCommits, parseCommit } from "./git.js";
+
+/* ===========================
+ * Pull requests from Git history
+ * =========================== */
+
+/** Merge commit subject written by GitHub: "Merge pull request #12 from org/branch". */
+const GITHUB_MERGE_RE = /^Merge pull request #(\d+) from \S+/;
+
+/** Merge commit trailer written by GitLab: "See merge request group/project!12". */
+const GITLAB_MERGE_RE = /^See merge request \S*!(\d+)$/m;
+
+/** Squash-merge subject: "<PR title> (#12)". */
+const SQUASH_RE = /^(.+?)\s+\(#(\d+)\)$/;
+
+/** Commit list GitHub adds to squash-merge bodies: "* <commit headline>". */
+const SQUASH_ITEM_RE = /^\* (.+)$/gm;
+
+function firstLine(text) {
+  return text.split("\n").find(line => line.trim())?.trim() ?? "";
+}
+
+function fromMergeCommit(commit, { cwd, pattern }) {
+  const [base, head] = commit.parents;
+  const commits = readCommits(`${base}..${head}`, cwd, { pattern }).filter(
+    c => !/^Merge /.test(c.subject)
+  );
+
+  const github = commit.subject.match(GITHUB_MERGE_RE);
+  const gitlab = commit.body.match(GITLAB_MERGE_RE);
+  const bodyTitle = firstLine(commit.body);
+  const title =
+    (github || gitlab) && bodyTitle && !GITLAB_MERGE_RE.test(bodyTitle)
+      ? bodyTitle
+      : commit.subject;
+
+  return {
+    number: github?.[1] ?? gitlab?.[1] ?? null,
+    title,
+    hash: commit.hash,
+    // The merge commit is authored by whoever clicked "merge"; credit the branch author.
+    author: commits.at(-1)?.author ?? commit.author,
+    commits,
+    headlines: commits.map(c => c.subject).reverse(),
+  };
+}
+
+function fromSquashOrDirectCommit(commit) {
+  const squash = commit.subject.match(SQUASH_RE);
+  return {
+    number: squash?.[2] ?? null,
+    title: squash?.[1] ?? commit.subject,
+    hash: commit.hash,
+    author: commit.author,
+    commits: [commit],
+    headlines: squash ? [...commit.text.matchAll(SQUASH_ITEM_RE)].map(m => m[1].trim()) : [],
+  };
+}
+
+/**
+ * Reconstruct the pull requests of a Git range without talking to the hosting service.
+ *
+ * Walks the first-parent history of the range (what landed on the release branch):
+ * - a merge commit is one pull request holding the commits it brought in. The number and
+ *   title are read from GitHub ("Merge pull request #12 from …" + title in the body) and
+ *   GitLab ("See merge request group/project!12") merge messages; other merges keep their
+ *   subject as title and have no number.
+ * - a "<title> (#12)" commit is a squash-merged pull request; the "* <headline>" lines of its
+ *   body are the squashed commits.
+ * - any other commit was pushed directly and is listed on its own, without a number.
+ *
+ * @param {string} range - Git log range, e.g. "v1.0.0..HEAD".
+ * @param {string} [cwd] - Working directory in which to run Git.
+ * @param {Object} [options]
+ * @param {RegExp} [options.pattern] - Header pattern, see createCommitPattern().
+ * @returns {{
+ *   number: string|null,
+ *   title: string,
+ *   hash: string,
+ *   author: {name: string, email: string}|null,
+ *   commits: Object[],
+ *   headlines: string[]
+ * }[]} Pull requests, newest first. `commits` are parsed with parseConventionalCommit() and
+ *      `headlines` are the commit subjects listed under the pull request, oldest first.
+ */
+export function readPullRequestsFromGit(range, cwd, { pattern } = {}) {
+  return getCommits(range, cwd, { firstParent: true })
+    .map(parseCommit)
+    .map(raw => ({ ...parseConventionalCommit(raw, { pattern }), parents: raw.parents }))
+    .map(commit =>
+      commit.parents.length > 1
+        ? fromMergeCommit(commit, { cwd, pattern })
+        : fromSquashOrDirectCommit(commit)
+    );
+}
+
+/* ===========================
+ * Categories and exclusions
+ * =========================== */
+
+/**
+ * Default release notes categories. A pull request goes to the first category sharing one
+ * of its labels; unlabeled pull requests are matched by commit type ("type" or
+ * "type(scope)", "breaking" for breaking changes).
+ */
+export const DEFAULT_RELEASE_NOTES_CATEGORIES = [
+  { title: "💥 Breaking Changes", labels: ["breaking", "breaking-change"], types: ["breaking"] },
+  { title: "✨ Features", labels: ["enhancement", "feature"], types: ["feat"] },
+  { title: "🐛 Fixes", labels: ["bug"], types: ["fix"] },
+  { title: "⚡ Performance", labels: ["performance"], types: ["perf"] },
+  {
+    title: "📦 Dependencies",
+    labels: ["dependencies"],
+    types: ["build(deps)", "chore(deps)", "chore(deps-dev)"],
+  },
+  { title: "📚 Docs", labels: ["documentation"], types: ["docs"] },
+  {
+    title: "🔧 Maintenance",
+    labels: ["chore", "ci"],
+    types: ["refactor", "chore", "build", "ci", "style", "test"],
+  },
+];
+
+/**
+ * Return the release notes categories of a config: `releaseNotes.categories`, or the
+ * defaults.
+ *
+ * @param {Object} config - Resolved config.
+ * @returns {{title: string, labels: string[], types: string[]}[]} Ordered categories.
+ */
+export function resolveReleaseNotesCategories(config) {
+  return (config.releaseNotes.categories ?? DEFAULT_RELEASE_NOTES_CATEGORIES).map(
+    ({ title, labels = [], types = [] }) => ({ title, labels, types })
+  );
+}
+
+function lower(values) {
+  return values.map(value => value.toLowerCase());
+}
+
+/** Author patterns are matched case-insensitively; "*" matches any run of characters. */
+function matchesAuthor(author, patterns) {
+  if (!author) return false;
+  const names = lower([author.login, author.name].filter(Boolean));
+  return patterns.some(pattern => {
+    const source = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    const re = new RegExp(`^${source.replace(/\*/g, ".*")}$`);
+    return names.some(name => re.test(name));
+  });
+}
+
+/**
+ * Drop the pull requests that must not appear in the release notes.
+ *
+ * A pull request is excluded when it has one of the `labels`, its author (login or name)
+ * matches one of the `authors` (e.g. "dependabot[bot]", "*[bot]") or its title matches one of
+ * the `titles` regular expressions (by default the release pull request, titled
+ * "chore(release): x.y.z"). Pull requests listed twice are kept once.
+ *
+ * @param {Object[]} pullRequests - Pull requests, newest first.
+ * @param {{labels: string[], authors: string[], titles: string[]}} exclude - The
+ *        `releaseNotes.exclude` config.
+ * @returns {{included: Object[], excluded: Object[]}} Kept and dropped pull requests.
+ */
+export function filterPullRequests(pullRequests, { labels, authors, titles }) {
+  const excludedLabels = lower(labels);
+  const titleRes = titles.map(source => new RegExp(source));
+  const seen = new Set();
+  const included = [];
+  const excluded = [];
+
+  for (const pr of pullRequests) {
+    const duplicate = pr.number && seen.has(pr.number);
+    if (pr.number) seen.add(pr.number);
+    if (duplicate) continue;
+
+    const skip =
+      lower(pr.labels ?? []).some(label => excludedLabels.includes(label)) ||
+      matchesAuthor(pr.author, authors) ||
+      titleRes.some(re => re.test(pr.title));
+    (skip ? excluded : included).push(pr);
+  }
+
+  return { included, excluded };
+}
+
+function commitKeys(commit) {
+  if (commit.breaking) return ["breaking"];
+  if (!commit.type) return [];
+  return commit.scope ? [`${commit.type}(${commit.scope})`, commit.type] : [commit.type];
+}
+
+/**
+ * Pick the category of a pull request: the first one sharing one of its labels; else the
+ * first one (in configured order) matching the type of its title when the title is a
+ * conventional header, or else the type of one of its commits.
+ */
+function findCategoryIndex(pr, categories, pattern) {
+  const labels = lower(pr.labels ?? []);
+  const byLabel = categories.findIndex(c => lower(c.labels).some(l => labels.includes(l)));
+  if (byLabel !== -1) return byLabel;
+
+  const title = parseConventionalCommit({ subject: pr.title }, { pattern });
+  const candidates = title.type
+    ? [title]
+    : (pr.commits ?? []).map(c =>
+        "type" in c ? c : parseConventionalCommit({ subject: c.headline }, { pattern })
+      );
+
+  const indexes = candidates
+    .flatMap(commitKeys)
+    .map(key => categories.findIndex(category => category.types.includes(key)))
+    .filter(index => index !== -1);
+  return indexes.length ? Math.min(...indexes) : -1;
+}
+
+/* ===========================
+ * New contributors
+ * =========================== */
+
+function authorKey(author) {
+  return (author?.login ?? author?.name ?? "").toLowerCase();
+}
+
+/**
+ * Find the authors whose first contribution is part of this release.
+ *
+ * An author is new when none of the commits of their pull requests is signed with an email
+ * found in the history before the release (see getAuthorEmails()). Pull requests whose
+ * commits are unknown never count as a first contribution.
+ *
+ * @param {Object[]} pullRequests - Pull requests, newest first, with their `commits`.
+ * @param {Set<string>} knownEmails - Lower-cased emails of previous commit authors.
+ * @returns {{author: Object, pullRequest: Object}[]} New contributors with their first pull
+ *          request, oldest first.
+ */
+export function findNewContributors(pullRequests, knownEmails) {
+  const seen = new Set();
+  const found = [];
+
+  for (const pr of [...pullRequests].reverse()) {
+    const key = authorKey(pr.author);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+
+    const emails = (pr.commits ?? []).map(c => c.author?.email?.toLowerCase()).filter(Boolean);
+    if (emails.length && !emails.some(email => knownEmails.has(email))) {
+      found.push({ author: pr.author, pullRequest: pr });
+    }
+  }
+  return found;
+}
+
+/* ===========================
+ * Rendering
+ * =========================== */
+
+function describeAuthor(author) {
+  if (!author) return null;
+  return author.login ? `@${author.login}` : author.name;
+}
+
+function pullRequestRef(pr, links) {
+  if (pr.number) return pr.url ?? links?.pullRequest(pr.number) ?? `#${pr.number}`;
+  return (pr.hash && links?.commit(pr.hash)) ?? pr.hash?.slice(0, 7);
+}
+
+/**
+ * Render release notes as Markdown.
+ *
+ * Pull requests are grouped under the release notes categories (see
+ * resolveReleaseNotesCategories()) by label, then by the type of their title or commits; the
+ * rest go to "Other Changes". Each entry reads "<title> by <author> in <link>", followed by
+ * the headlines of its commits when `releaseNotes.commits` is enabled.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.pullRequests - Pull requests, e.g. from readPullRequestsFromGit().
+ *        Authors may carry a `login` (rendered as "@login") or only a `name`.
+ * @param {Object} options.config - Resolved config.
+ * @param {RegExp} [options.pattern] - Header pattern, see createCommitPattern().
+ * @param {Object|null} [options.links] - Link helpers, see createRepositoryLinks().
+ * @param {string[]} [options.contributors] - Contributor names; defaults to the pull
+ *        request authors.
+ * @param {{author: Object, pullRequest: Object}[]} [options.newContributors] - First-time
+ *        contributors, see findNewContributors().
+ * @param {string|null} [options.compareUrl] - "Full Changelog" link.
+ * @returns {string} The release notes.
+ */
+export function renderReleaseNotes({
+  pullRequests,
+  config,
+  pattern,
+  links = null,
+  contributors,
+  newContributors = [],
+  compareUrl = null,
+}) {
+  const categories = resolveReleaseNotesCategories(config);
+  const groups = categories.map(({ title }) => ({ title, entries: [] }));
+  const other = { title: "Other Changes", entries: [] };
+
+  for (const pr of pullRequests) {
+    const index = findCategoryIndex(pr, categories, pattern);
+    (groups[index] ?? other).entries.push(pr);
+  }
+
+  let notes = `# What's Changed\n\n`;
+
+  if (!pullRequests.length) {
+    notes += "_No changes since last release._\n\n";
+  }
+
+  for (const group of [...groups, other]) {
+    if (!group.entries.length) continue;
+    notes += `## ${group.title}\n\n`;
+
+    for (const pr of group.entries) {
+      const ref = pullRequestRef(pr, links);
+      const author = describeAuthor(pr.author);
+
+      notes += `- ${pr.title}${author ? ` by ${author}` : ""}${ref ? ` in ${ref}` : ""}\n`;
+      if (!config.releaseNotes.commits) continue;
+      for (const headline of pr.headlines ?? []) {
+        notes += `  - ${headline}\n`;
+      }
+    }
+    notes += "\n";
+  }
+
+  if (newContributors.length) {
+    notes += "## 🎉 New Contributors\n\n";
+    for (const { author, pullRequest } of newContributors) {
+      const ref = pullRequestRef(pullRequest, links);
+      const contribution = `${describeAuthor(author)} made their first contribution`;
+      notes += `- ${contribution}${ref ? ` in ${ref}` : ""}\n`;
+    }
+    notes += "\n";
+  }
+
+  const names = contributors ?? [
+    ...new Set(pullRequests.map(pr => describeAuthor(pr.author)).filter(Boolean)),
+  ];
+  if (names.length) {
+    notes += `## 👥 Contributors\n\n${names.map(name => `- ${name}`).join("\n")}\n\n`;
+  }
+
+  if (compareUrl) {
+    notes += `**Full Changelog**: ${compareUrl}\n`;
+  }
+
+  return notes;
+}
+
+/**
+ * List the contributors of Git-reconstructed pull requests: commit authors and
+ * "Co-authored-by" trailers, see collectContributors().
+ *
+ * @param {Object[]} pullRequests - Pull requests from readPullRequestsFromGit().
+ * @returns {string[]} Contributor names.
+ */
+export function listGitContributors(pullRequests) {
+  return collectContributors(pullRequests.flatMap(pr => pr.commits)).map(person => person.name);
+}
@@ -0,0 +1,197 @@
+import fs from "node:fs";
+import path from "node:path";
+import { getRemoteUrl } from "./git.js";
+
+/* ===========================
+ * Repository links
+ * =========================== */
+
+/**
+ * URL templates of the supported hosting services. Placeholders: `${url}` (repository URL),
+ * `${hash}`, `${id}` (issue / pull request number), `${from}` and `${to}` (tag names).
+ */
+export const HOST_TEMPLATES = {
+  github: {
+    commit: "${url}/commit/${hash}",
+    issue: "${url}/issues/${id}",
+    pullRequest: "${url}/pull/${id}",
+    compare: "${url}/compare/${from}...${to}",
+  },
+  gitlab: {
+    commit: "${url}/-/commit/${hash}",
+    issue: "${url}/-/issues/${id}",
+    pullRequest: "${url}/-/merge_requests/${id}",
+    compare: "${url}/-/compare/${from}...${to}",
+  },
+  gitea: {
+    commit: "${url}/commit/${hash}",
+    issue: "${url}/issues/${id}",
+    pullRequest: "${url}/pulls/${id}",
+    compare: "${url}/compare/${from}...${to}",
+  },
+  bitbucket: {
+    commit: "${url}/commits/${hash}",
+    issue: "${url}/issues/${id}",
+    pullRequest: "${url}/pull-requests/${id}",
+    compare: "${url}/branches/compare/${to}%0D${from}",
+  },
+};
+
+const SHORTHAND_HOSTS = { github: "github.com", gitlab: "gitlab.com", bitbucket: "bitbucket.org" };
+
+/** Public instances whose host name does not contain the name of their software. */
+const KNOWN_INSTANCES = { "codeberg.org": "gitea" };
+
+/**
+ * Turn a repository reference into a browsable https URL.
+ *
+ * Accepts the forms found in package.json and Git remotes: "https://host/o/r(.git)",
+ * "git+https://...", "git@host:o/r.git", "ssh://git@host/o/r.git", "github:o/r" and the
+ * npm "o/r" shorthand (GitHub). Credentials and the ".git" suffix are removed.
+ *
+ * @param {string|null|undefined} raw - Repository reference.
+ * @returns {string|null} The repository URL, or null if it cannot be recognized.
+ *
+ * @example
+ * normalizeRepositoryUrl("git@gitlab.com:org/app.git"); // => "https://gitlab.com/org/app"
+ */
+export function normalizeRepositoryUrl(raw) {
+  if (!raw) return null;
+  let url = raw.trim().replace(/^git\+/, "");
+
+  const shorthand = url.match(/^(github|gitlab|bitbucket):([\w.-]+\/[\w.-]+)$/);
+  if (shorthand) url = `https://${SHORTHAND_HOSTS[shorthand[1]]}/${shorthand[2]}`;
+  else if (/^[\w.-]+\/[\w.-]+$/.test(url)) url = `https://github.com/${url}`;
+
+  const scp = url.match(/^(?:[\w.-]+@)?([\w.-]+):(?!\/\/)(.+)$/);
+  if (scp) url = `https://${scp[1]}/${scp[2]}`;
+
+  url = url
+    .replace(/^(?:ssh|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\//, "https://$1/")
+    .replace(/^(https?:\/\/)[^@/]+@/, "$1")
+    .replace(/\.git$/, "")
+    .replace(/\/+$/, "");
+
+  return /^https?:\/\/[^/]+\/.+/.test(url) ? url : null;
+}
+
+function readPackageRepository(cwd) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(cwd, "package.json"), "utf8"));
+    return typeof pkg.repository === "string" ? pkg.repository : pkg.repository?.url;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the repository URL of a project.
+ *
+ * Uses, in order: the `repository.url` config, the `"repository"` field of package.json and
+ * the `origin` Git remote.
+ *
+ * @param {string} cwd - Project directory.
+ * @param {Object} config - Resolved config.
+ * @returns {string|null} The normalized repository URL, or null if none is found.
+ */
+export function getRepositoryUrl(cwd, config) {
+  return normalizeRepositoryUrl(
+    config.repository.url ?? readPackageRepository(cwd) ?? getRemoteUrl(cwd)
+  );
+}
+
+/**
+ * Guess the hosting service of a repository URL from its host name.
+ *
+ * @param {string} url - Repository URL.
+ * @returns {'github'|'gitlab'|'gitea'|'bitbucket'|null} The service, or null for unknown hosts.
+ */
+export function detectHost(url) {
+  const { hostname } = new URL(url);
+  return (
+    KNOWN_INSTANCES[hostname] ??
+    Object.keys(HOST_TEMPLATES).find(host => hostname.includes(host)) ??
+    null
+  );
+}
+
+/** Refs under which the hosting services expose the head of a pull request. */
+export const PULL_REQUEST_REFS = {
+  github: "refs/pull/${id}/head",
+  gitlab: "refs/merge-requests/${id}/head",
+  gitea: "refs/pull/${id}/head",
+};
+
+/**
+ * Name the remote ref holding the head of a pull request, so it can be fetched with Git
+ * alone, without the hosting service API.
+ *
+ * @param {string|number} id - Pull request number.
+ * @param {Object} options
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} options.config - Resolved config.
+ * @returns {{ref: string, host: 'github'|'gitlab'|'gitea'}} The ref and the hosting service
+ *          (detected from the repository URL, or the `repository.host` config).
+ * @throws {Error} If the hosting service is unknown or does not expose pull request refs.
+ */
+export function getPullRequestRef(id, { cwd = process.cwd(), config }) {
+  const url = getRepositoryUrl(cwd, config);
+  const host = config.repository.host ?? (url ? detectHost(url) : null);
+  if (!PULL_REQUEST_REFS[host]) {
+    throw new Error(
+      `Cannot fetch pull request #${id}: ${host ?? "the hosting service"} is not supported ` +
+        `(expected one of: ${Object.keys(PULL_REQUEST_REFS).join(", ")}; see repository.host).`
+    );
+  }
+  return { ref: fillTemplate(PULL_REQUEST_REFS[host], { id }), host };
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\$\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Build the link helpers used to render commits, issues and version comparisons.
+ *
+ * Templates come from the `repository` config (`commitUrl`, `issueUrl`, `pullRequestUrl`,
+ * `compareUrl`) and default to the ones of the detected (or configured `repository.host`)
+ * hosting service, so self-hosted instances only need `host` or explicit templates.
+ *
+ * @param {Object} options
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} options.config - Resolved config.
+ * @returns {{
+ *   url: string,
+ *   commit: (hash: string) => string|null,
+ *   issue: (id: string, repository?: string|null) => string|null,
+ *   pullRequest: (id: string, repository?: string|null) => string|null,
+ *   compare: (from: string, to: string) => string|null
+ * }|null} Link helpers (each returning null when no template applies), or null when the
+ *         repository URL is unknown.
+ */
+export function createRepositoryLinks({ cwd = process.cwd(), config }) {
+  const url = getRepositoryUrl(cwd, config);
+  if (!url) return null;
+
+  const { host, commitUrl, issueUrl, pullRequestUrl, compareUrl } = config.repository;
+  const preset = HOST_TEMPLATES[host ?? detectHost(url)] ?? {};
+  const templates = {
+    commit: commitUrl ?? preset.commit,
+    issue: issueUrl ?? preset.issue,
+    pullRequest: pullRequestUrl ?? preset.pullRequest,
+    compare: compareUrl ?? preset.compare,
+  };
+
+  // "org/other#12" references point to another repository on the same host.
+  const repoUrl = repository => (repository ? `${new URL(url).origin}/${repository}` : url);
+  const link = (kind, values) =>
+    templates[kind] ? fillTemplate(templates[kind], { url, ...values }) : null;
+
+  return {
+    url,
+    commit: hash => link("commit", { hash }),
+    issue: (id, repository) => link("issue", { id, url: repoUrl(repository) }),
+    pullRequest: (id, repository) => link("pullRequest", { id, url: repoUrl(repository) }),
+    compare: (from, to) => link("compare", { from, to }),
+  };
+}
@@ -0,0 +1,80 @@
+/* ===========================
+ * Tag format
+ * =========================== */
+
+/** Default tag format of single-package repositories ("1.2.3"). */
+export const DEFAULT_TAG_FORMAT = "${version}";
+
+/** Default tag format of workspace packages ("@org/pkg@1.2.3"). */
+export const DEFAULT_PACKAGE_TAG_FORMAT = "${name}@${version}";
+
+const PLACEHOLDER_RE = /\$\{(version|name)\}/g;
+
+/**
+ * Check that a tag format contains exactly one `${version}` placeholder and no unknown
+ * placeholder.
+ *
+ * @param {string} format - Tag format such as "v${version}".
+ * @returns {string|null} A description of the problem, or null if the format is valid.
+ */
+export function checkTagFormat(format) {
+  const placeholders = format.match(/\$\{[^}]*\}/g) ?? [];
+  const unknown = placeholders.find(p => !/^\$\{(version|name)\}$/.test(p));
+  if (unknown) return `unknown placeholder ${unknown}`;
+  if (placeholders.filter(p => p === "${version}").length !== 1) {
+    return "must contain ${version} exactly once";
+  }
+  return null;
+}
+
+/**
+ * Build a tag name from a tag format.
+ *
+ * @param {string} format - Tag format, e.g. "v${version}" or "${name}@${version}".
+ * @param {string} version - Version to tag.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Package name, for formats using `${name}`.
+ * @returns {string} The tag name.
+ *
+ * @example
+ * formatTag("v${version}", "1.2.3");                              // => "v1.2.3"
+ * formatTag("${name}@${version}", "1.2.3", { name: "@org/pkg" }); // => "@org/pkg@1.2.3"
+ */
+export function formatTag(format, version, { name = "" } = {}) {
+  return format.replace(PLACEHOLDER_RE, (_, key) => (key === "version" ? version : name));
+}
+
+/**
+ * Extract the version from a tag name following a tag format.
+ *
+ * The tag must match the format exactly; anything else (e.g. "deploy-prod", or "v1.2.3" for
+ * the "${version}" format) yields null. The captured version is not validated, callers
+ * check it with parseVersion().
+ *
+ * @param {string} format - Tag format.
+ * @param {string} tag - Tag name as stored in Git.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Package name, for formats using `${name}`.
+ * @returns {string|null} The version, or null if the tag does not match.
+ *
+ * @example
+ * parseTag("v${version}", "v2.0.0-beta.1"); // => "2.0.0-beta.1"
+ * parseTag("v${version}", "deploy-prod");   // => null
+ */
+export function parseTag(format, tag, { name = "" } = {}) {
+  const source = format
+    .split(PLACEHOLDER_RE)
+    .map((part, i) => {
+      // split() with a capture group alternates literal text and placeholder names.
+      if (i % 2 === 0) return escapeRegExp(part);
+      return part === "version" ? "(.+)" : escapeRegExp(name);
+    })
+    .join("");
+
+  const m = new RegExp(`^${source}$`).exec(tag);
+  return m ? m[1] : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -1,4 +1,3 @@
-import { execSync } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
 
@@ -6,19 +5,6 @@ import path from "node:path";
  * Utilities
  * =========================== */
 
-/**
- * Execute a shell command synchronously and return its stdout as a trimmed UTF-8 string.
- *
- * @param {string} cmd - The command to execute (passed to child_process.execSync).
- * @param {string} [cwd] - Optional working directory in which to run the command.
- * @returns {string} The command's stdout, decoded as UTF-8 and trimmed of surrounding whitespace.
- * @throws {Error|import('child_process').ExecSyncError} If the command fails or exits with a non-zero status.
- * @see {@link https://nodejs.org/api/child_process.html#child_processexecsynccommand-options|child_process.execSync}
- */
-export function run(cmd, cwd) {
-  return execSync(cmd, { encoding: "utf8", cwd }).trim();
-}
-
 /**
  * Read the "version" field from a package.json file in the given directory.
  *
@@ -43,3 +29,24 @@ export function readPackageVersion(cwd) {
     return "0.0.0";
   }
 }
+
+/**
+ * Read the value of a command-line option given as `--name value` or `--name=value`.
+ *
+ * @param {string[]} argv - Array of command-line arguments (e.g. process.argv.slice(2)).
+ * @param {string} name - Option name including dashes (e.g. "--pre").
+ * @returns {string|undefined} The option value, or undefined if the option is absent or
+ *                             has no value.
+ *
+ * @example
+ * getArgValue(["--pre", "beta"], "--pre"); // => "beta"
+ * getArgValue(["--pre=rc"], "--pre");      // => "rc"
+ */
+export function getArgValue(argv, name) {
+  const inline = argv.find(arg => arg.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+
+  const index = argv.indexOf(name);
+  const value = index === -1 ? undefined : argv[index + 1];
+  return value === undefined || value.startsWith("--") ? undefined : value;
+}
@@ -1,39 +1,226 @@
+import { DEFAULT_CONFIG } from "./config.js";
+
 /* ===========================
  * Semver detection
  * =========================== */
 
-const COMMIT_RE =
-  /^(:\S+: )?(feat|fix|refactor|docs|chore|style|test|build|perf|ci|cleanup|remove)(\(.+\))?(!)?:/i;
+/**
+ * Build the conventional-commit header pattern for a list of commit types.
+ *
+ * The returned RegExp matches an optional leading emoji shortcode (e.g. ":sparkles: "),
+ * one of the given types, an optional "(scope)" and an optional "!" marker followed by ":".
+ * Capture groups: 1 = emoji, 2 = type, 3 = scope (with parentheses), 4 = "!".
+ *
+ * @param {string[]} [types=DEFAULT_CONFIG.commitTypes] - Accepted commit types.
+ * @returns {RegExp} Case-insensitive header pattern.
+ *
+ * @example
+ * createCommitPattern(["feat", "fix"]).test("feat(api)!: drop v1"); // => true
+ */
+export function createCommitPattern(types = DEFAULT_CONFIG.commitTypes) {
+  const alternatives = types.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|");
+  return new RegExp(`^(:\\S+: )?(${alternatives})(\\([^()]*\\))?(!)?:`, "i");
+}
+
+const COMMIT_RE = createCommitPattern();
+
+/** Relative weight of each bump, used to pick the highest one. */
+export const BUMP_RANK = { none: 0, patch: 1, minor: 2, major: 3 };
+
+/**
+ * List the commit types a header pattern should accept: the configured `commitTypes`
+ * plus any custom type referenced by a bump rule (e.g. "security").
+ *
+ * @param {Object} config - Resolved config.
+ * @returns {string[]} Unique commit types.
+ */
+export function collectCommitTypes({ commitTypes, bumpRules = [] }) {
+  const types = new Set(commitTypes.map(t => t.toLowerCase()));
+  for (const rule of bumpRules) {
+    for (const t of [].concat(rule.type ?? [])) types.add(t.toLowerCase());
+  }
+  return [...types];
+}
+
+/**
+ * Split a commit subject into its conventional-commit header parts.
+ *
+ * @param {string} subject - Commit subject line.
+ * @param {RegExp} [pattern=COMMIT_RE] - Header pattern, see createCommitPattern().
+ * @returns {{type: string, scope: string|null, breaking: boolean, prefix: string}|null}
+ *          Header parts, or null when the subject is not a conventional commit. `prefix` is
+ *          the matched header up to and including the ":" (e.g. ":sparkles: feat(api):").
+ */
+export function parseHeader(subject, pattern = COMMIT_RE) {
+  const match = subject.match(pattern);
+  if (!match) return null;
+  return {
+    type: match[2].toLowerCase(),
+    scope: match[3] ? match[3].slice(1, -1) : null,
+    breaking: match[4] === "!",
+    prefix: match[0],
+  };
+}
+
+function ruleMatches(rule, header, body) {
+  if (rule.type !== undefined) {
+    const types = [].concat(rule.type).map(t => t.toLowerCase());
+    if (!header || !types.includes(header.type)) return false;
+  }
+  if (rule.scope !== undefined && header?.scope !== rule.scope) return false;
+  if (rule.breaking !== undefined && Boolean(header?.breaking) !== rule.breaking) return false;
+  if (rule.keyword !== undefined && !body.toLowerCase().includes(rule.keyword.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Find the first bump rule matching a commit.
+ *
+ * A rule matches when every field it declares matches the commit:
+ * - `type`: commit type (or list of types) from the header
+ * - `scope`: exact header scope
+ * - `breaking`: presence of the "!" marker in the header, or of a `BREAKING CHANGE` footer
+ *   for commits parsed with parseConventionalCommit()
+ * - `keyword`: text found in the commit body (case-insensitive)
+ *
+ * @param {{subject: string, body: string}} commit - Commit to inspect, raw or already
+ *        parsed with parseConventionalCommit() (its `type`, `scope` and `breaking` are reused).
+ * @param {Object} [options]
+ * @param {RegExp} [options.pattern=COMMIT_RE] - Header pattern, see createCommitPattern().
+ * @param {Object[]} [options.rules=DEFAULT_CONFIG.bumpRules] - Ordered bump rules.
+ * @returns {{bump: 'major'|'minor'|'patch'|'none', rule: Object}|null} The matching rule and
+ *          its bump, or null when no rule matches.
+ */
+export function matchBumpRule(
+  commit,
+  { pattern = COMMIT_RE, rules = DEFAULT_CONFIG.bumpRules } = {}
+) {
+  const { subject, body = "" } = commit;
+  const parsed = "type" in commit;
+  const header = parsed ? (commit.type ? commit : null) : parseHeader(subject, pattern);
+  const rule = rules.find(r => ruleMatches(r, header, body));
+  return rule ? { bump: rule.bump, rule } : null;
+}
 
 /**
  * Determine the semantic version bump implied by a commit message.
  *
- * The function inspects the commit subject and body using a conventional-commit
- * pattern (COMMIT_RE) and the presence of "BREAKING CHANGE":
- * - Returns "major" if the body contains "BREAKING CHANGE" (case-insensitive)
- *   or the commit header contains the conventional "!" breaking-change marker.
- * - Returns "minor" if the header matches COMMIT_RE and the commit type is "feat".
- * - Returns "patch" if the header matches COMMIT_RE and the commit type is "fix".
- * - Returns "none" if no relevant indicators are present.
+ * The commit is checked against the bump rules table in order and the first matching
+ * rule decides. With the default table:
+ * - "major" for a "!" marker in the header or "BREAKING CHANGE" in the body
+ * - "minor" for `feat`
+ * - "patch" for `fix`, `perf` and `refactor`
+ * - "none" for anything else
  *
  * @param {Object} params - Destructured input object.
- * @param {string} params.subject - Commit subject/summary line to be matched against COMMIT_RE.
- * @param {string} params.body - Commit body text used to detect "BREAKING CHANGE".
+ * @param {string} params.subject - Commit subject/summary line.
+ * @param {string} params.body - Commit body text.
+ * @param {Object} [options] - See matchBumpRule().
  * @returns {'major'|'minor'|'patch'|'none'} The semantic version bump type.
  */
-export function detectBumpType({ subject, body }) {
-  const match = subject.match(COMMIT_RE);
-  const breaking =
-    /BREAKING CHANGE/i.test(body) || (match && match[4] === "!");
+export function detectBumpType(commit, options) {
+  return matchBumpRule(commit, options)?.bump ?? "none";
+}
+
+/* ===========================
+ * Semver parsing & precedence
+ * =========================== */
+
+const SEMVER_RE =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+const PREID_RE = /^[0-9A-Za-z-]+$/;
+
+/**
+ * Parse a strict SemVer 2.0 version string.
+ *
+ * @param {string} version - Version such as "2.0.0-beta.3+build.7".
+ * @returns {{
+ *   major: number,
+ *   minor: number,
+ *   patch: number,
+ *   prerelease: string[],
+ *   build: string[]
+ * }|null} The version parts, or null if the string is not valid SemVer.
+ *
+ * @example
+ * parseVersion("2.0.0-beta.3");
+ * // => { major: 2, minor: 0, patch: 0, prerelease: ["beta", "3"], build: [] }
+ */
+export function parseVersion(version) {
+  const m = SEMVER_RE.exec(version);
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    prerelease: m[4] ? m[4].split(".") : [],
+    build: m[5] ? m[5].split(".") : [],
+  };
+}
+
+function compareIdentifiers(a, b) {
+  const aNum = /^\d+$/.test(a);
+  const bNum = /^\d+$/.test(b);
+  if (aNum && bNum) return Math.sign(Number(a) - Number(b));
+  if (aNum) return -1;
+  if (bNum) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareIdentifierLists(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const diff = compareIdentifiers(a[i], b[i]);
+    if (diff) return diff;
+  }
+  return Math.sign(a.length - b.length);
+}
+
+/**
+ * Compare two versions following SemVer 2.0 precedence.
+ *
+ * Core numbers are compared numerically, a prerelease sorts before its release and
+ * prerelease identifiers are compared one by one (numeric < alphanumeric). Build metadata
+ * has no precedence; it is only used as a final tie-breaker so that sorting is stable.
+ *
+ * @param {string} a - First version.
+ * @param {string} b - Second version.
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal.
+ * @throws {Error} If either version is not valid SemVer.
+ *
+ * @example
+ * ["1.0.0", "1.0.0-rc.1", "1.0.0-beta.11", "1.0.0-beta.2"].sort(compareVersions);
+ * // => ["1.0.0-beta.2", "1.0.0-beta.11", "1.0.0-rc.1", "1.0.0"]
+ */
+export function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  if (!va || !vb) throw new Error(`Invalid semantic version: "${va ? b : a}"`);
 
-  if (breaking) return "major";
-  if (!match) return "none";
+  for (const key of ["major", "minor", "patch"]) {
+    if (va[key] !== vb[key]) return Math.sign(va[key] - vb[key]);
+  }
 
-  const type = match[2].toLowerCase();
-  if (type === "feat") return "minor";
-  if (type === "fix") return "patch";
+  const aPre = va.prerelease.length > 0;
+  const bPre = vb.prerelease.length > 0;
+  if (aPre !== bPre) return aPre ? -1 : 1;
 
-  return "none";
+  return (
+    compareIdentifierLists(va.prerelease, vb.prerelease) ||
+    compareIdentifierLists(va.build, vb.build)
+  );
+}
+
+/**
+ * Check whether a string is a valid prerelease identifier (e.g. "alpha", "beta", "rc").
+ *
+ * @param {string} preid - Identifier to check.
+ * @returns {boolean} True if it can be used as a prerelease channel.
+ */
+export function isValidPreid(preid) {
+  return typeof preid === "string" && PREID_RE.test(preid);
 }
 
 /**
@@ -46,14 +233,26 @@ export function detectBumpType({ subject, body }) {
  * - "minor": increments minor, resets patch to 0
  * - any other value (including omitted): increments patch
  *
+ * Prerelease handling:
+ * - When `base` is a prerelease (e.g. "2.0.0-beta.3"), its release version is pending. If
+ *   the requested bump is already covered by it, that version is reused instead of bumped
+ *   again ("2.0.0-beta.3" + "minor" -> "2.0.0").
+ * - With `preid`, the result is a prerelease of that channel: the counter of a matching
+ *   prerelease is incremented ("2.0.0-beta.3" -> "2.0.0-beta.4"), otherwise a new one starts
+ *   at 0 ("1.4.2" + "minor" -> "1.5.0-beta.0").
+ * - Without `preid`, a prerelease graduates to a stable version.
+ * - Build metadata is dropped.
+ *
  * Parsing details:
  * - Each segment is parsed with parseInt(..., 10); if parsing yields NaN,
  *   that segment is treated as 0.
  *
- * @param {string} base - The base version string (e.g. "1.2.3").
+ * @param {string} base - The base version string (e.g. "1.2.3" or "2.0.0-beta.3").
  * @param {string} [bump] - The part to bump: "major", "minor", or "patch".
  *                          If omitted or any other value, the patch is bumped.
- * @returns {string} The new version string in "major.minor.patch" format.
+ * @param {Object} [options]
+ * @param {string} [options.preid] - Prerelease channel such as "alpha", "beta" or "rc".
+ * @returns {string} The new version string in "major.minor.patch[-preid.n]" format.
  *
  * @example
  * bumpVersion("1.2.3", "patch"); // => "1.2.4"
@@ -65,11 +264,87 @@ export function detectBumpType({ subject, body }) {
  * bumpVersion("1", "patch");     // => "1.0.1"  (missing parts treated as 0)
  * @example
  * bumpVersion("a.b.c", "minor"); // => "0.1.0"  (non-numeric parts treated as 0)
+ * @example
+ * bumpVersion("2.0.0-beta.3", "patch", { preid: "beta" }); // => "2.0.0-beta.4"
+ * @example
+ * bumpVersion("2.0.0-beta.3", "major", { preid: "rc" });   // => "2.0.0-rc.0"
+ * @example
+ * bumpVersion("2.0.0-beta.3", "major");                    // => "2.0.0"
  */
-export function bumpVersion(base, bump) {
-  const [major, minor, patch] = base.split(".").map(n => parseInt(n, 10) || 0);
+export function bumpVersion(base, bump, { preid } = {}) {
+  const [core, ...rest] = base.split("+")[0].split("-");
+  const prerelease = rest.length ? rest.join("-").split(".") : [];
+  const [major, minor, patch] = core.split(".").map(n => parseInt(n, 10) || 0);
+
+  let next;
+  if (prerelease.length && coversBump({ minor, patch }, bump)) {
+    next = `${major}.${minor}.${patch}`;
+  } else if (bump === "major") {
+    next = `${major + 1}.0.0`;
+  } else if (bump === "minor") {
+    next = `${major}.${minor + 1}.0`;
+  } else {
+    next = `${major}.${minor}.${patch + 1}`;
+  }
 
-  if (bump === "major") return `${major + 1}.0.0`;
-  if (bump === "minor") return `${major}.${minor + 1}.0`;
-  return `${major}.${minor}.${patch + 1}`;
+  if (!preid) return next;
+
+  const sameRelease = next === `${major}.${minor}.${patch}`;
+  const counter = prerelease.length === 2 ? parseInt(prerelease[1], 10) : NaN;
+  if (sameRelease && prerelease[0] === preid && Number.isInteger(counter)) {
+    return `${next}-${preid}.${counter + 1}`;
+  }
+  return `${next}-${preid}.0`;
+}
+
+/**
+ * Whether the pending release of a prerelease already includes a bump of the given size,
+ * e.g. "2.0.0-beta.1" already is a major release, "1.3.0-rc.0" a minor one.
+ */
+function coversBump({ minor, patch }, bump) {
+  if (bump === "major") return minor === 0 && patch === 0;
+  if (bump === "minor") return patch === 0;
+  return true;
+}
+
+/**
+ * Downgrade a bump while a version is in initial development (major version 0).
+ *
+ * SemVer treats 0.x as unstable, so breaking changes bump the minor and features bump
+ * the patch; fixes still bump the patch. Versions >= 1.0.0 are left untouched.
+ *
+ * @param {string} base - The base version.
+ * @param {'major'|'minor'|'patch'} bump - The bump implied by the commits.
+ * @returns {'major'|'minor'|'patch'} The bump to apply.
+ *
+ * @example
+ * adjustForInitialDevelopment("0.4.2", "major"); // => "minor"
+ * adjustForInitialDevelopment("0.4.2", "minor"); // => "patch"
+ * adjustForInitialDevelopment("1.4.2", "major"); // => "major"
+ */
+export function adjustForInitialDevelopment(base, bump) {
+  if ((parseInt(base, 10) || 0) !== 0) return bump;
+  if (bump === "major") return "minor";
+  if (bump === "minor") return "patch";
+  return bump;
+}
+
+/**
+ * Describe the step between two versions as a bump type.
+ *
+ * @param {string} from - The lower version.
+ * @param {string} to - The higher version.
+ * @returns {'major'|'minor'|'patch'} The highest core part that changed; "patch" when only
+ *          the prerelease part differs.
+ *
+ * @example
+ * diffBump("0.9.3", "1.0.0");        // => "major"
+ * diffBump("2.0.0-rc.1", "2.0.0");   // => "patch"
+ */
+export function diffBump(from, to) {
+  const a = parseVersion(from);
+  const b = parseVersion(to);
+  if (a.major !== b.major) return "major";
+  if (a.minor !== b.minor) return "minor";
+  return "patch";
 }
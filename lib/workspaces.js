@@ -0,0 +1,173 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ===========================
+ * Workspace discovery
+ * =========================== */
+
+/** Dependency fields that make a package a dependent of another workspace package. */
+const DEPENDENCY_FIELDS = ["dependencies", "optionalDependencies", "peerDependencies"];
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the `packages:` list of a pnpm-workspace.yaml file.
+ *
+ * Only the flat list form used by pnpm is supported:
+ *   packages:
+ *     - "packages/*"
+ *     - "!**\/test/**"
+ */
+function readPnpmWorkspace(cwd) {
+  const file = path.join(cwd, "pnpm-workspace.yaml");
+  if (!fs.existsSync(file)) return null;
+
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages) continue;
+    if (/^\S/.test(line)) break;
+
+    const m = line.match(/^\s*-\s*(.+?)\s*$/);
+    if (m) patterns.push(m[1].replace(/^(['"])(.*)\1$/, "$2"));
+  }
+
+  return patterns;
+}
+
+/**
+ * Return the workspace glob patterns declared by the project.
+ *
+ * Looks at the `"workspaces"` field of package.json (npm / yarn, array or
+ * `{ packages: [...] }` form) and at pnpm-workspace.yaml.
+ *
+ * @param {string} cwd - Repository root.
+ * @returns {string[]} Workspace patterns (possibly with "!" negations), empty if none.
+ */
+export function getWorkspacePatterns(cwd) {
+  const pkg = readJSON(path.join(cwd, "package.json"));
+  const declared = pkg?.workspaces;
+
+  if (Array.isArray(declared)) return declared;
+  if (Array.isArray(declared?.packages)) return declared.packages;
+
+  return readPnpmWorkspace(cwd) ?? [];
+}
+
+function segmentToRegExp(segment) {
+  const source = segment.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+function listDirs(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== "node_modules")
+      .filter(entry => !entry.name.startsWith("."))
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Expand a workspace glob ("packages/*", "apps/**", "tools/cli") into relative directories.
+ */
+function expandPattern(cwd, pattern) {
+  const segments = pattern.replace(/\/+$/, "").split("/").filter(s => s && s !== ".");
+  let current = [""];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const rel of current) {
+      const abs = path.join(cwd, rel);
+      if (segment === "**") {
+        const stack = [rel];
+        while (stack.length) {
+          const dir = stack.pop();
+          next.push(dir);
+          for (const name of listDirs(path.join(cwd, dir))) {
+            stack.push(path.posix.join(dir, name));
+          }
+        }
+      } else if (segment.includes("*")) {
+        const re = segmentToRegExp(segment);
+        for (const name of listDirs(abs)) {
+          if (re.test(name)) next.push(path.posix.join(rel, name));
+        }
+      } else if (fs.existsSync(path.join(abs, segment))) {
+        next.push(path.posix.join(rel, segment));
+      }
+    }
+    current = next;
+  }
+
+  return current;
+}
+
+/**
+ * Discover the packages of a npm, yarn or pnpm workspace.
+ *
+ * @param {string} cwd - Repository root.
+ * @param {boolean|string[]} [patterns=true] - `true` to use the patterns declared by the
+ *        project (see getWorkspacePatterns()), or an explicit list of globs.
+ * @returns {{
+ *   name: string,
+ *   version: string,
+ *   dir: string,
+ *   manifest: Object
+ * }[]} Packages sorted by directory; `dir` is relative to `cwd` with "/" separators.
+ *       Private packages are included, packages without a name are skipped.
+ */
+export function discoverWorkspaces(cwd, patterns = true) {
+  const globs = Array.isArray(patterns) ? patterns : getWorkspacePatterns(cwd);
+  const include = new Set();
+  const exclude = new Set();
+
+  for (const glob of globs) {
+    const negated = glob.startsWith("!");
+    for (const dir of expandPattern(cwd, negated ? glob.slice(1) : glob)) {
+      (negated ? exclude : include).add(dir);
+    }
+  }
+
+  const packages = [];
+  for (const dir of [...include].sort()) {
+    if (exclude.has(dir)) continue;
+    const manifest = readJSON(path.join(cwd, dir, "package.json"));
+    if (!manifest?.name) continue;
+    packages.push({ name: manifest.name, version: manifest.version ?? "0.0.0", dir, manifest });
+  }
+
+  return packages;
+}
+
+/**
+ * List the workspace packages a package depends on.
+ *
+ * @param {{manifest: Object}} pkg - Package from discoverWorkspaces().
+ * @param {Set<string>|string[]} names - Names of all workspace packages.
+ * @returns {string[]} Names of internal dependencies.
+ */
+export function getInternalDependencies(pkg, names) {
+  const internal = new Set(names);
+  const deps = new Set();
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const dep of Object.keys(pkg.manifest[field] ?? {})) {
+      if (internal.has(dep) && dep !== pkg.name) deps.add(dep);
+    }
+  }
+  return [...deps];
+}
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { computeVersion } from "../bin/compute-version.js";
+import { isInRange, parseMaintenanceRange, resolveBranch } from "../lib/branches.js";
+import { DEFAULT_CONFIG, validateConfig } from "../lib/config.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+describe("resolveBranch", () => {
+  const branches = [
+    { name: "main" },
+    { name: "next", channel: "next" },
+    { name: "beta", prerelease: "beta" },
+    { name: "support/*", range: "2.1.x" },
+    { name: "*.x" },
+  ];
+
+  it("resolves the channel of each kind of branch", () => {
+    assert.deepEqual(resolveBranch("main", branches), {
+      name: "main",
+      channel: "latest",
+      prerelease: null,
+      range: null,
+    });
+    assert.equal(resolveBranch("next", branches).channel, "next");
+    assert.equal(resolveBranch("beta", branches).channel, "beta");
+    assert.equal(resolveBranch("beta", branches).prerelease, "beta");
+  });
+
+  it("takes the range from the entry or the branch name", () => {
+    assert.deepEqual(resolveBranch("1.x", branches).range, { min: "1.0.0", max: "2.0.0" });
+    assert.equal(resolveBranch("1.x", branches).channel, "release-1.x");
+    assert.deepEqual(resolveBranch("support/old", branches).range, {
+      min: "2.1.0",
+      max: "2.2.0",
+    });
+  });
+
+  it("returns null for other branches", () => {
+    assert.equal(resolveBranch("feature/x", branches), null);
+    assert.equal(resolveBranch(null, branches), null);
+  });
+});
+
+describe("maintenance ranges", () => {
+  it("parses and checks ranges", () => {
+    assert.deepEqual(parseMaintenanceRange("1.2.x"), { min: "1.2.0", max: "1.3.0" });
+    assert.equal(parseMaintenanceRange("1.x.x"), null);
+    assert.equal(isInRange("1.9.9", { min: "1.0.0", max: "2.0.0" }), true);
+    assert.equal(isInRange("2.0.0-beta.0", { min: "1.0.0", max: "2.0.0" }), false);
+  });
+
+  it("validates the range option", () => {
+    assert.throws(
+      () => validateConfig({ branches: [{ name: "old", range: "1.*" }] }),
+      /"branches\[0\]\.range" must look like "1.x" or "1.2.x"/
+    );
+  });
+});
+
+describe("computeVersion on release branches", () => {
+  const config = DEFAULT_CONFIG;
+
+  it("blocks a version outside the maintenance range", () => {
+    const repo = createRepo({ "package.json": { name: "x", version: "1.0.0" } });
+    repo.commit("chore: init");
+    repo.git("tag", "1.4.0");
+    repo.commit("feat!: drop node 16");
+
+    const result = computeVersion({ cwd: repo.dir, config, branch: "1.x" });
+    assert.equal(result.hasRelease, false);
+    assert.equal(result.reason, "out-of-range");
+    assert.equal(result.blockedVersion, "2.0.0");
+    assert.equal(result.distTag, "release-1.x");
+  });
+
+  it("releases prereleases on a prerelease branch", () => {
+    const repo = createRepo({ "package.json": { name: "x", version: "1.0.0" } });
+    repo.commit("chore: init");
+    repo.git("tag", "1.0.0");
+    repo.commit("feat: add login");
+
+    const branches = [...config.branches, { name: "beta", prerelease: "beta" }];
+    const result = computeVersion({
+      cwd: repo.dir,
+      config: { ...config, branches },
+      branch: "beta",
+    });
+    assert.equal(result.nextVersion, "1.1.0-beta.0");
+    assert.equal(result.distTag, "beta");
+  });
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import {
+  planVersionFiles,
+  readVersion,
+  resolveWorkspaceVersionFiles,
+  writeVersion,
+} from "../lib/bump.js";
+
+describe("yamlKey version files", () => {
+  const chart = [
+    "dependencies:",
+    "  - name: a",
+    "    version: 1.0.0",
+    "version: 2.0.0 # chart",
+    "",
+  ].join("\n");
+
+  it("reads a top-level key, not a nested one with the same name", () => {
+    assert.equal(readVersion(chart, { path: "Chart.yaml", yamlKey: "version" }), "2.0.0");
+  });
+
+  it("rewrites only the top-level key", () => {
+    const spec = { path: "Chart.yaml", yamlKey: "version" };
+    assert.equal(
+      writeVersion(chart, spec, "2.1.0"),
+      chart.replace("version: 2.0.0 # chart", "version: 2.1.0 # chart")
+    );
+  });
+
+  it("matches nested paths from the top level only", () => {
+    const values = [
+      "sidecar:",
+      "  image:",
+      "    tag: 0.1.0",
+      "image:",
+      "  repository: app",
+      '  tag: "1.0.0"',
+      "",
+    ].join("\n");
+    const spec = { path: "values.yaml", yamlKey: "image.tag" };
+
+    assert.equal(readVersion(values, spec), "1.0.0");
+    assert.equal(writeVersion(values, spec, "1.1.0"), values.replace('"1.0.0"', '"1.1.0"'));
+  });
+
+  it("matches direct children only", () => {
+    const values = ["image:", "  nested:", "    tag: 0.1.0", "  tag: 1.0.0", ""].join("\n");
+    assert.equal(readVersion(values, { path: "values.yaml", yamlKey: "image.tag" }), "1.0.0");
+  });
+
+  it("returns null when the key only exists nested", () => {
+    const values = ["sidecar:", "  version: 1.0.0", ""].join("\n");
+    assert.equal(readVersion(values, { path: "values.yaml", yamlKey: "version" }), null);
+  });
+});
+
+describe("workspace version files", () => {
+  it("bumps each package and its lockfile entry to its own version", () => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), "release-suite-bump-"));
+    try {
+      fs.mkdirSync(path.join(cwd, "packages/core"), { recursive: true });
+      fs.writeFileSync(path.join(cwd, "packages/core/package.json"), '{ "version": "1.0.0" }');
+      const lock = { packages: { "": {}, "packages/core": { version: "1.0.0" } } };
+      fs.writeFileSync(path.join(cwd, "package-lock.json"), JSON.stringify(lock, null, 2));
+
+      const specs = resolveWorkspaceVersionFiles(cwd, [{ dir: "packages/core", version: "1.1.0" }]);
+      const planned = planVersionFiles(cwd, specs);
+
+      assert.deepEqual(
+        planned.map(entry => [entry.file, JSON.parse(entry.after)]),
+        [
+          ["packages/core/package.json", { version: "1.1.0" }],
+          ["package-lock.json", { packages: { "": {}, "packages/core": { version: "1.1.0" } } }],
+        ]
+      );
+      assert.equal(planned[1].versions[0].expected, "1.1.0");
+    } finally {
+      fs.rmSync(cwd, { recursive: true, force: true });
+    }
+  });
+});
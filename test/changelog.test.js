@@ -0,0 +1,214 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { generateChangelog } from "../bin/generate-changelog.js";
+import {
+  CHANGELOG_PRESETS,
+  createRelease,
+  mergeChangelog,
+  renderTemplate,
+  resolveChangelogRenderer,
+  serializeRelease,
+} from "../lib/changelog.js";
+import { parseConventionalCommit } from "../lib/commits.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+// Keep the progress output of generateChangelog() out of the test report.
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+after(removeRepos);
+
+function project(changelog = {}) {
+  const repo = createRepo({
+    "package.json": { name: "x", version: "1.0.0", repository: "github:o/r" },
+  });
+  repo.commit("chore: init");
+  repo.git("tag", "1.0.0");
+  repo.commit("feat(api): add search (#12)\n\nCloses #45");
+  repo.commit("fix: typo");
+
+  const config = { ...DEFAULT_CONFIG, changelog: { ...DEFAULT_CONFIG.changelog, ...changelog } };
+  const result = generateChangelog({ cwd: repo.dir, config });
+  const text = fs.readFileSync(path.join(repo.dir, "CHANGELOG.md"), "utf8");
+  return { repo, result, text };
+}
+
+describe("generateChangelog", () => {
+  it("links pull requests, commits, closed issues and the version comparison", () => {
+    const { repo, text } = project();
+    const hash = repo.git("rev-parse", "HEAD~1").trim();
+    const url = "https://github.com/o/r";
+
+    assert.match(
+      text,
+      /^## \[1\.1\.0\]\(https:\/\/github\.com\/o\/r\/compare\/1\.0\.0\.\.\.1\.1\.0\) \(\d{4}-\d\d-\d\d\)$/m
+    );
+    assert.ok(
+      text.includes(
+        `- Add search ([#12](${url}/pull/12)) ([${hash.slice(0, 7)}](${url}/commit/${hash})), ` +
+          `closes [#45](${url}/issues/45)`
+      )
+    );
+  });
+
+  it("renders plain entries without links or dates", () => {
+    const { text } = project({ links: false, date: false, scopes: "bold" });
+    assert.match(text, /^## 1\.1\.0$/m);
+    assert.match(text, /^- \*\*api:\*\* Add search \(#12\)$/m);
+  });
+
+  it("groups entries by scope", () => {
+    const { text } = project({ links: false, scopes: "group" });
+    assert.match(text, /^- \*\*api:\*\*\n {2}- Add search \(#12\)$/m);
+  });
+});
+
+describe("JSON changelog", () => {
+  it("writes every version and returns the same data", () => {
+    const { repo, result } = project({ json: true, jsonFile: "changes.json" });
+    const written = JSON.parse(fs.readFileSync(path.join(repo.dir, "changes.json"), "utf8"));
+
+    assert.equal(result.file, "CHANGELOG.md");
+    assert.equal(result.jsonFile, "changes.json");
+    assert.deepEqual(written, { versions: result.versions });
+
+    const [next, first] = result.versions;
+    assert.equal(next.version, "1.1.0");
+    assert.equal(next.tag, "1.1.0");
+    assert.equal(next.previousTag, "1.0.0");
+    assert.equal(next.bump, "minor");
+    assert.equal(first.previousTag, null);
+    assert.equal(next.sections[0].commits[0].description, "Add search (#12)");
+  });
+
+  it("drops Markdown-only fields", () => {
+    const release = createRelease({
+      version: "1.0.0",
+      commits: [parseConventionalCommit({ hash: "a".repeat(40), subject: "feat: x" })],
+      sections: CHANGELOG_PRESETS.emoji.sections,
+    });
+    const json = serializeRelease(release);
+    assert.equal(json.commits, undefined);
+    assert.equal(json.sections[0].commits[0].text, undefined);
+    assert.equal(json.sections[0].commits[0].line, undefined);
+    assert.equal(json.sections[0].commits[0].shortHash, "aaaaaaa");
+  });
+});
+
+describe("createRelease", () => {
+  const commits = [
+    { hash: "a".repeat(40), subject: "feat!: drop v1" },
+    { hash: "b".repeat(40), subject: "fix(ui): align" },
+    { hash: "c".repeat(40), subject: "wip" },
+  ].map(commit => parseConventionalCommit(commit));
+
+  it("sorts commits into the keep-a-changelog sections", () => {
+    const release = createRelease({
+      version: "2.0.0",
+      commits,
+      sections: CHANGELOG_PRESETS["keep-a-changelog"].sections,
+    });
+    const summary = release.sections.map(s => [s.title, s.commits.map(c => c.text)]);
+    assert.deepEqual(summary, [
+      ["Changed", ["Drop v1"]],
+      ["Fixed", ["Align"]],
+    ]);
+    assert.equal(
+      CHANGELOG_PRESETS["keep-a-changelog"].render({ ...release, date: "2026-01-31" }, {}),
+      "## [2.0.0] - 2026-01-31\n\n### Changed\n\n- **BREAKING:** Drop v1\n\n" +
+        "### Fixed\n\n- Align\n"
+    );
+  });
+
+  it("falls back to the chore section for unknown types", () => {
+    const release = createRelease({
+      version: "2.0.0",
+      commits,
+      sections: CHANGELOG_PRESETS.plain.sections,
+    });
+    const chore = release.sections.find(s => s.title === "Chore");
+    const subjects = chore.commits.map(c => c.subject);
+    assert.deepEqual(subjects, ["wip"]);
+  });
+});
+
+describe("renderTemplate", () => {
+  it("renders values, each, if/else and parent lookups", () => {
+    const template = [
+      "# {{version}}",
+      "{{#each items}}",
+      "{{@index}}. {{name}} of {{version}}{{#if @last}}.{{else}},{{/if}}",
+      "{{/each}}",
+      "{{#unless items}}none{{/unless}}",
+    ].join("\n");
+    const out = renderTemplate(template, {
+      version: "1.0.0",
+      items: [{ name: "a" }, { name: "b" }],
+    });
+    assert.equal(out, "# 1.0.0\n0. a of 1.0.0,\n1. b of 1.0.0.\n");
+  });
+
+  it("rejects unknown helpers", () => {
+    assert.throws(() => renderTemplate("{{#loop x}}{{/loop}}", {}), /Unknown helper/);
+  });
+});
+
+describe("resolveChangelogRenderer", () => {
+  const withChangelog = changelog => ({
+    ...DEFAULT_CONFIG,
+    changelog: { ...DEFAULT_CONFIG.changelog, ...changelog },
+  });
+  const release = { version: "1.0.0", sections: [], commits: [] };
+
+  it("prefers a template over the preset", () => {
+    const render = resolveChangelogRenderer({
+      config: withChangelog({ template: "v{{version}} ({{scopes}})", scopes: "bold" }),
+    });
+    assert.equal(render(release), "v1.0.0 (bold)");
+  });
+
+  it("reports unreadable template files", () => {
+    const config = withChangelog({ template: "missing.hbs" });
+    assert.throws(() => resolveChangelogRenderer({ cwd: "/nonexistent", config }), {
+      name: "ConfigError",
+      message: /Cannot read "changelog.template"/,
+    });
+  });
+});
+
+const EXISTING = [
+  "# Changelog",
+  "",
+  "## Unreleased",
+  "",
+  "- Hand-written note",
+  "",
+  "## 1.0.0",
+  "",
+  "- First release",
+  "",
+].join("\n");
+
+describe("mergeChangelog", () => {
+  it("keeps an existing Unreleased block when no upcoming section replaces it", () => {
+    const merged = mergeChangelog(EXISTING, [{ version: "1.0.0", text: "## 1.0.0\n\n- New\n" }]);
+    assert.match(merged, /## Unreleased\n\n- Hand-written note\n/);
+    assert.match(merged, /- First release/);
+  });
+
+  it("replaces an existing Unreleased block with the upcoming version", () => {
+    const sections = [{ version: "1.1.0", text: "## 1.1.0\n\n- Added\n", replace: true }];
+    const merged = mergeChangelog(EXISTING, sections);
+    assert.doesNotMatch(merged, /## Unreleased|Hand-written note/);
+    assert.match(merged, /## 1\.1\.0\n\n- Added\n\n## 1\.0\.0\n\n- First release\n/);
+  });
+
+  it("replaces the Unreleased block with a regenerated one", () => {
+    const sections = [{ version: "Unreleased", text: "## Unreleased\n\n- Fresh\n", replace: true }];
+    const merged = mergeChangelog(EXISTING, sections);
+    assert.match(merged, /## Unreleased\n\n- Fresh\n/);
+    assert.doesNotMatch(merged, /Hand-written note/);
+  });
+});
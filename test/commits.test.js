@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseConventionalCommit } from "../lib/commits.js";
+
+describe("parseConventionalCommit", () => {
+  it("splits a conventional header", () => {
+    const commit = parseConventionalCommit({ subject: "feat(api)!: drop v1" });
+    assert.equal(commit.type, "feat");
+    assert.equal(commit.scope, "api");
+    assert.equal(commit.breaking, true);
+    assert.equal(commit.description, "drop v1");
+  });
+
+  it("strips a leading emoji shortcode from the description", () => {
+    const commit = parseConventionalCommit({ subject: ":sparkles: feat(api): add thing" });
+    assert.equal(commit.type, "feat");
+    assert.equal(commit.scope, "api");
+    assert.equal(commit.description, "add thing");
+  });
+
+  it("keeps colons that belong to the description", () => {
+    const commit = parseConventionalCommit({ subject: ":bug: fix: handle a: b" });
+    assert.equal(commit.description, "handle a: b");
+  });
+
+  it("ends the scope at the first closing parenthesis", () => {
+    const commit = parseConventionalCommit({ subject: "fix(ui): handle (a): b" });
+    assert.equal(commit.type, "fix");
+    assert.equal(commit.scope, "ui");
+    assert.equal(commit.description, "handle (a): b");
+  });
+
+  it("strips the emoji of a non-conventional subject", () => {
+    const commit = parseConventionalCommit({ subject: ":tada: initial commit" });
+    assert.equal(commit.type, null);
+    assert.equal(commit.description, "initial commit");
+  });
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { computeVersion } from "../bin/compute-version.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { adjustForInitialDevelopment, diffBump } from "../lib/versioning.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+function tagged(version, ...subjects) {
+  const repo = createRepo({ "package.json": { name: "x", version } });
+  repo.commit("chore: init");
+  repo.git("tag", version);
+  for (const subject of subjects) repo.commit(subject);
+  return repo;
+}
+
+describe("initialDevelopment", () => {
+  it("downgrades bumps while the major version is 0", () => {
+    assert.equal(adjustForInitialDevelopment("0.4.2", "major"), "minor");
+    assert.equal(adjustForInitialDevelopment("0.4.2", "minor"), "patch");
+    assert.equal(adjustForInitialDevelopment("0.4.2", "patch"), "patch");
+    assert.equal(adjustForInitialDevelopment("1.4.2", "major"), "major");
+  });
+
+  it("applies to computeVersion only when enabled", () => {
+    const repo = tagged("0.4.2", "feat!: drop the old api");
+    const config = { ...DEFAULT_CONFIG, initialDevelopment: true };
+    assert.equal(computeVersion({ cwd: repo.dir, config, branch: "main" }).nextVersion, "0.5.0");
+    const regular = computeVersion({ cwd: repo.dir, config: DEFAULT_CONFIG, branch: "main" });
+    assert.equal(regular.nextVersion, "1.0.0");
+  });
+});
+
+describe("releaseAs", () => {
+  it("forces the next version, even without bumping commits", () => {
+    const repo = tagged("0.9.3", "docs: readme");
+    const result = computeVersion({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      branch: "main",
+      releaseAs: "1.0.0",
+    });
+    assert.equal(result.hasRelease, true);
+    assert.equal(result.nextVersion, "1.0.0");
+    assert.equal(result.bump, "major");
+    assert.deepEqual(result.decidedBy, { releaseAs: "1.0.0" });
+  });
+
+  it("rejects invalid or lower versions", () => {
+    const repo = tagged("1.2.0", "fix: x");
+    const compute = releaseAs =>
+      computeVersion({ cwd: repo.dir, config: DEFAULT_CONFIG, branch: "main", releaseAs });
+    assert.throws(() => compute("2.0"), /Invalid release-as version "2.0"/);
+    assert.throws(() => compute("1.2.0"), /must be greater than 1.2.0/);
+  });
+
+  it("does not report a blocked forced version as deciding", () => {
+    const repo = tagged("1.4.0", "fix: x");
+    const result = computeVersion({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      branch: "1.x",
+      releaseAs: "2.0.0",
+    });
+    assert.equal(result.hasRelease, false);
+    assert.equal(result.reason, "out-of-range");
+    assert.equal(result.decidedBy, undefined);
+  });
+
+  it("describes the forced step as a bump", () => {
+    assert.equal(diffBump("0.9.3", "1.0.0"), "major");
+    assert.equal(diffBump("1.2.3", "1.3.0"), "minor");
+    assert.equal(diffBump("2.0.0-rc.1", "2.0.0"), "patch");
+  });
+});
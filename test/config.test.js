@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import {
+  ConfigError,
+  DEFAULT_CONFIG,
+  loadConfig,
+  loadConfigSync,
+  validateConfig,
+} from "../lib/config.js";
+
+const dirs = [];
+after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function project(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "release-suite-config-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+describe("validateConfig", () => {
+  it("accepts a partial config", () => {
+    const config = { changelog: { file: "HISTORY.md" } };
+    assert.equal(validateConfig(config), config);
+  });
+
+  it("rejects unknown options with their path", () => {
+    assert.throws(() => validateConfig({ changelog: { fil: "x" } }, "rc.json"), {
+      name: "ConfigError",
+      message: 'Unknown option "changelog.fil" (in rc.json)',
+    });
+  });
+
+  it("rejects wrong types with the offending key", () => {
+    assert.throws(
+      () => validateConfig({ changelog: { sections: [{ type: "feat", title: 1 }] } }),
+      err => err instanceof ConfigError && /"changelog\.sections\[0\]\.title"/.test(err.message)
+    );
+    assert.throws(() => validateConfig({ commitTypes: "feat" }), ConfigError);
+  });
+});
+
+describe("loadConfig", () => {
+  it("returns the defaults without a config", async () => {
+    const config = await loadConfig({ cwd: project({}) });
+    assert.equal(config.configFile, null);
+    assert.deepEqual(config.changelog, DEFAULT_CONFIG.changelog);
+  });
+
+  it("merges a JSON config onto the defaults", () => {
+    const cwd = project({ ".releasesuiterc": JSON.stringify({ changelog: { file: "H.md" } }) });
+    const config = loadConfigSync({ cwd });
+    assert.equal(config.changelog.file, "H.md");
+    assert.equal(config.changelog.previewFile, DEFAULT_CONFIG.changelog.previewFile);
+    assert.equal(config.configFile, path.join(cwd, ".releasesuiterc"));
+  });
+
+  it("reads the releaseSuite field of package.json", () => {
+    const pkg = { name: "x", releaseSuite: { commitTypes: ["feat"] } };
+    const config = loadConfigSync({ cwd: project({ "package.json": JSON.stringify(pkg) }) });
+    assert.deepEqual(config.commitTypes, ["feat"]);
+  });
+
+  it("loads JS configs exporting a function", async () => {
+    const cwd = project({
+      "release-suite.config.mjs": 'export default async () => ({ commitTypes: ["fix"] });',
+    });
+    assert.deepEqual((await loadConfig({ cwd })).commitTypes, ["fix"]);
+    assert.throws(() => loadConfigSync({ cwd }), ConfigError);
+  });
+
+  it("reports unreadable JSON as a ConfigError", () => {
+    const cwd = project({ ".releasesuiterc.json": "{ nope" });
+    assert.throws(() => loadConfigSync({ cwd }), /Failed to parse config/);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import { createTag } from "../bin/create-tag.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+// Keep the progress output of createTag() out of the test report.
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+after(removeRepos);
+
+const CHANGELOG = [
+  "# Changelog",
+  "",
+  "## 1.1.0 (2026-01-31)",
+  "",
+  "### ✨ Features",
+  "",
+  "- Add search",
+  "",
+  "## 1.0.0",
+  "",
+  "- First release",
+  "",
+].join("\n");
+
+function project() {
+  const repo = createRepo({ "package.json": { name: "x", version: "1.0.0" } });
+  repo.commit("chore: init");
+  repo.commit("chore(release): 1.1.0", {
+    "package.json": { name: "x", version: "1.1.0" },
+    "CHANGELOG.md": CHANGELOG,
+  });
+  return repo;
+}
+
+const options = repo => ({ cwd: repo.dir, config: DEFAULT_CONFIG, push: false });
+
+describe("createTag", () => {
+  it("tags HEAD with the package.json version and the commit subject", () => {
+    const repo = project();
+    const result = createTag(options(repo));
+
+    assert.equal(result.created, true);
+    assert.equal(result.pushed, false);
+    assert.deepEqual(result.tags, [
+      { name: "1.1.0", version: "1.1.0", dir: ".", message: "chore(release): 1.1.0" },
+    ]);
+    assert.equal(
+      repo.git("tag", "-l", "--format=%(contents:subject)", "1.1.0"),
+      result.tags[0].message
+    );
+  });
+
+  it("uses the changelog section as message, keeping its headings", () => {
+    const repo = project();
+    createTag({ ...options(repo), message: "changelog" });
+    assert.equal(
+      repo.git("tag", "-l", "--format=%(contents)", "1.1.0"),
+      "1.1.0\n\n### ✨ Features\n\n- Add search"
+    );
+  });
+
+  it("tags another ref after verifying its package.json", () => {
+    const repo = project();
+    const first = repo.git("rev-parse", "HEAD~1");
+
+    assert.throws(
+      () => createTag({ ...options(repo), ref: "HEAD~1", verify: true }),
+      /package.json in HEAD~1 has version 1\.0\.0, expected 1\.1\.0/
+    );
+    createTag({ ...options(repo), ref: "HEAD~1", version: "1.0.0", verify: true });
+    assert.equal(repo.git("rev-parse", "1.0.0^{commit}"), first);
+  });
+
+  it("creates nothing in dry-run mode and refuses existing tags", () => {
+    const repo = project();
+    const result = createTag({ ...options(repo), dryRun: true });
+    assert.equal(result.created, false);
+    assert.equal(result.tags[0].name, "1.1.0");
+    assert.equal(repo.git("tag", "-l"), "");
+
+    repo.git("tag", "1.1.0");
+    assert.throws(() => createTag(options(repo)), /Tag 1\.1\.0 already exists/);
+  });
+
+  it("pushes the tag, and deletes it again when the push fails", () => {
+    const remote = createRepo();
+    const repo = project();
+    repo.git("remote", "add", "upstream", remote.dir);
+
+    assert.throws(() => createTag({ ...options(repo), push: true, remote: "missing" }));
+    assert.equal(repo.git("tag", "-l"), "");
+
+    const result = createTag({ ...options(repo), push: true, remote: "upstream" });
+    assert.equal(result.pushed, true);
+    assert.equal(remote.git("tag", "-l"), "1.1.0");
+  });
+});
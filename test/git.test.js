@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import {
+  commitFiles,
+  getCommitHashes,
+  getCommits,
+  getCommitSubject,
+  getHeadCommit,
+  getRefDate,
+  getTagsPointingAt,
+  getVersionTags,
+  GitError,
+  isAncestor,
+  pushRefs,
+  runGit,
+} from "../lib/git.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+const withCode = code => err => {
+  assert.ok(err instanceof GitError);
+  assert.equal(err.code, code);
+  return true;
+};
+
+describe("GitError", () => {
+  it("reports directories outside a repository", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "release-suite-test-"));
+    try {
+      assert.throws(() => getHeadCommit(dir), withCode("not-a-repo"));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    assert.throws(() => getHeadCommit(path.join(dir, "gone")), {
+      name: "GitError",
+      code: "git-failed",
+      message: /does not exist/,
+    });
+  });
+
+  it("reports unknown refs, synchronously and asynchronously", async () => {
+    const repo = createRepo();
+    repo.commit("chore: init");
+    assert.throws(() => getRefDate("nope", repo.dir), withCode("unknown-ref"));
+    await assert.rejects(runGit(["rev-parse", "--verify", "nope^{commit}"], repo.dir), {
+      name: "GitError",
+      args: ["rev-parse", "--verify", "nope^{commit}"],
+      exitCode: 128,
+    });
+  });
+
+  it("points shallow clones at the missing history", () => {
+    const source = createRepo();
+    source.commit("chore: init");
+    source.git("tag", "1.0.0");
+    source.commit("feat: x");
+
+    const clone = createRepo();
+    clone.git("fetch", "-q", "--depth=1", `file://${source.dir}`, "main");
+    clone.git("reset", "-q", "--hard", "FETCH_HEAD");
+    // The tagged commit is fetched too, but as a separate root the history does not reach.
+    clone.git("fetch", "-q", "--depth=1", `file://${source.dir}`, "tag", "1.0.0");
+
+    assert.throws(() => getVersionTags(clone.dir), withCode("shallow-clone"));
+    assert.throws(() => getRefDate("HEAD~1", clone.dir), withCode("shallow-clone"));
+  });
+
+  it("keeps the whole output of other failures", () => {
+    const repo = createRepo();
+    repo.commit("chore: init");
+    assert.throws(
+      () => pushRefs("missing", ["HEAD:refs/heads/main"], repo.dir),
+      err => {
+        assert.equal(err.code, "git-failed");
+        assert.match(err.message, /^git push failed: /);
+        assert.ok(err.stderr.length > 0);
+        return true;
+      }
+    );
+  });
+});
+
+describe("git commands", () => {
+  it("treat an unborn HEAD as an empty history", () => {
+    const repo = createRepo();
+    assert.deepEqual(getCommits("HEAD", repo.dir), []);
+    assert.equal(getHeadCommit(repo.dir), null);
+    assert.deepEqual(getVersionTags(repo.dir), []);
+  });
+
+  it("pass arguments without a shell", () => {
+    const repo = createRepo({ "a b.txt": "x" });
+    const message = 'feat: quote " and $(touch pwned) `x`';
+    commitFiles(["a b.txt"], message, repo.dir);
+    assert.equal(repo.git("log", "-1", "--format=%s"), message);
+    assert.equal(fs.existsSync(path.join(repo.dir, "pwned")), false);
+  });
+
+  it("never read a ref as an option", () => {
+    const repo = createRepo();
+    repo.commit("chore: init");
+    const output = path.join(repo.dir, "out.txt");
+    const ref = `--output=${output}`;
+    assert.throws(() => getCommitSubject(ref, repo.dir), withCode("unknown-ref"));
+    assert.throws(() => getRefDate(ref, repo.dir), withCode("unknown-ref"));
+    assert.throws(() => getCommitHashes(ref, repo.dir), withCode("unknown-ref"));
+    assert.throws(() => isAncestor(ref, "HEAD", repo.dir), GitError);
+    assert.throws(() => getTagsPointingAt(ref, repo.dir), GitError);
+    assert.equal(fs.existsSync(output), false);
+  });
+});
@@ -0,0 +1,75 @@
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/* ===========================
+ * Temporary Git repositories
+ * =========================== */
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Ada",
+  GIT_AUTHOR_EMAIL: "ada@example.com",
+  GIT_COMMITTER_NAME: "Ada",
+  GIT_COMMITTER_EMAIL: "ada@example.com",
+  GIT_CONFIG_NOSYSTEM: "1",
+  GIT_CONFIG_GLOBAL: "/dev/null",
+};
+
+const created = [];
+
+/**
+ * Create a Git repository on branch `main` in a temporary directory, with `files` written
+ * (objects are stored as JSON) but not committed. Call removeRepos() once the tests are done.
+ *
+ * @param {Object<string, string|Object>} [files] - Files to write, relative to the repository.
+ * @returns {{
+ *   dir: string,
+ *   git: (...args: string[]) => string,
+ *   write: (files: Object<string, string|Object>) => void,
+ *   commit: (message: string, files?: Object<string, string|Object>) => string
+ * }} The repository; `commit` writes the files, commits every change and returns the hash.
+ */
+export function createRepo(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "release-suite-test-"));
+  created.push(dir);
+
+  const git = (...args) => {
+    const { status, stdout, stderr } = spawnSync("git", args, {
+      cwd: dir,
+      env: GIT_ENV,
+      encoding: "utf8",
+    });
+    if (status !== 0) throw new Error(`git ${args.join(" ")} failed: ${stderr}`);
+    return stdout.trim();
+  };
+
+  const write = entries => {
+    for (const [name, content] of Object.entries(entries)) {
+      const file = path.join(dir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const text = typeof content === "string" ? content : `${JSON.stringify(content, null, 2)}\n`;
+      fs.writeFileSync(file, text);
+    }
+  };
+
+  const commit = (message, entries = {}) => {
+    write(entries);
+    git("add", "-A");
+    git("commit", "--allow-empty", "-q", "-m", message);
+    return git("rev-parse", "HEAD");
+  };
+
+  git("init", "-q", "-b", "main");
+  // Commands run by the code under test do not get GIT_ENV.
+  git("config", "user.name", "Ada");
+  git("config", "user.email", "ada@example.com");
+  write(files);
+  return { dir, git, write, commit };
+}
+
+/** Delete the repositories created by createRepo(). */
+export function removeRepos() {
+  for (const dir of created.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { DEFAULT_HISTORY_CACHE, readHistoryIndex } from "../lib/history.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+const subjects = commits => commits.map(commit => commit.subject);
+
+// 1.0.0 <- 1.0.1 (maintenance branch, merged back) and 1.1.0 <- 1.2.0-beta.0 <- unreleased.
+function project() {
+  const repo = createRepo();
+  repo.commit("feat: a");
+  repo.git("tag", "1.0.0");
+  repo.git("checkout", "-q", "-b", "maint");
+  repo.commit("fix: m");
+  repo.git("tag", "1.0.1");
+  repo.git("checkout", "-q", "main");
+  repo.commit("feat: b");
+  repo.git("merge", "-q", "--no-ff", "-m", "chore: merge maint", "maint");
+  repo.git("tag", "1.1.0");
+  repo.commit("feat: c");
+  repo.git("tag", "1.2.0-beta.0");
+  repo.commit("fix: d");
+  return repo;
+}
+
+describe("readHistoryIndex", () => {
+  const repo = project();
+  const index = readHistoryIndex(repo.dir);
+
+  it("lists the commits reachable from HEAD in git log order", () => {
+    const log = repo.git("log", "--format=%s").split("\n");
+    assert.deepEqual(subjects(index.commits), log);
+    assert.equal(index.commits[0].hash, repo.git("rev-parse", "HEAD"));
+  });
+
+  it("lists the version tags and the latest tag of a channel", () => {
+    const names = index.versionTags().map(tag => tag.name);
+    assert.deepEqual(names, ["1.2.0-beta.0", "1.1.0", "1.0.1", "1.0.0"]);
+    assert.equal(index.latestTag().name, "1.1.0");
+    assert.equal(index.latestTag({ preid: "beta" }).name, "1.2.0-beta.0");
+    assert.equal(index.latestTag({ preid: "rc" }).name, "1.1.0");
+  });
+
+  it("resolves the commits since a tag like git log <tag>..HEAD", () => {
+    assert.deepEqual(subjects(index.commitsBetween("1.1.0")), ["fix: d", "feat: c"]);
+    const sinceMaint = repo.git("log", "--format=%s", "1.0.1..HEAD").split("\n");
+    assert.deepEqual(subjects(index.commitsBetween("1.0.1")), sinceMaint);
+    assert.equal(index.commitsBetween(null), index.commits);
+    assert.throws(() => index.commitsBetween("9.9.9"), /Tag 9.9.9 is not reachable from HEAD/);
+  });
+
+  it("buckets each commit into the lowest tag containing it", () => {
+    const releases = index.releases(index.versionTags());
+    const buckets = Object.fromEntries(
+      [...releases].map(([name, commits]) => [name, subjects(commits)])
+    );
+    assert.deepEqual(buckets, {
+      null: ["fix: d"],
+      "1.2.0-beta.0": ["feat: c"],
+      "1.1.0": ["chore: merge maint", "feat: b"],
+      "1.0.1": ["fix: m"],
+      "1.0.0": ["feat: a"],
+    });
+  });
+
+  it("returns the commit date of a tag", () => {
+    assert.equal(index.date("1.0.0"), repo.git("log", "-1", "--format=%cs", "1.0.0"));
+    assert.equal(index.date("9.9.9"), null);
+  });
+
+  it("returns an empty index on an unborn HEAD", () => {
+    const empty = readHistoryIndex(createRepo().dir);
+    assert.deepEqual(empty.commits, []);
+    assert.equal(empty.latestTag(), null);
+  });
+});
+
+describe("history cache", () => {
+  // Mark the cached commits, to tell a reused cache from a rebuilt one.
+  const tamper = file => {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    data.commits[0].subject = "from cache";
+    fs.writeFileSync(file, JSON.stringify(data));
+  };
+
+  it("writes the cache and reuses it while HEAD and the tags are unchanged", () => {
+    const repo = project();
+    const file = path.join(repo.dir, DEFAULT_HISTORY_CACHE);
+    assert.equal(readHistoryIndex(repo.dir, { cache: true }).commits[0].subject, "fix: d");
+    assert.ok(fs.existsSync(file));
+
+    tamper(file);
+    assert.equal(readHistoryIndex(repo.dir, { cache: true }).commits[0].subject, "from cache");
+    assert.equal(readHistoryIndex(repo.dir).commits[0].subject, "fix: d");
+  });
+
+  it("rebuilds the cache when a tag or a commit is added", () => {
+    const repo = project();
+    const options = { cache: ".cache/history.json" };
+    const file = path.join(repo.dir, ".cache/history.json");
+    readHistoryIndex(repo.dir, options);
+
+    tamper(file);
+    repo.git("tag", "1.2.0");
+    const retagged = readHistoryIndex(repo.dir, options);
+    assert.equal(retagged.commits[0].subject, "fix: d");
+    assert.equal(retagged.latestTag().name, "1.2.0");
+
+    tamper(file);
+    repo.commit("fix: e");
+    assert.equal(readHistoryIndex(repo.dir, options).commits[0].subject, "fix: e");
+  });
+
+  it("ignores an unreadable cache file", () => {
+    const repo = project();
+    const options = { cache: "history.json" };
+    repo.write({ "history.json": "not json" });
+    assert.equal(readHistoryIndex(repo.dir, options).commits[0].subject, "fix: d");
+  });
+});
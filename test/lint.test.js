@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { lintCommits } from "../bin/lint-commits.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { lintMessage, stripMessageComments } from "../lib/lint.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+const rulesOf = result => result.problems.map(p => p.rule);
+
+describe("lintMessage", () => {
+  it("accepts a conventional header with scope and breaking marker", () => {
+    const result = lintMessage("feat(api)!: drop v1 endpoints\n\nBody text", DEFAULT_CONFIG);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.problems, []);
+  });
+
+  it("tells a malformed header apart from an unknown type", () => {
+    assert.deepEqual(rulesOf(lintMessage("update stuff", DEFAULT_CONFIG)), ["header-format"]);
+    const unknown = lintMessage("feature: add x", DEFAULT_CONFIG);
+    assert.deepEqual(rulesOf(unknown), ["type-enum"]);
+    assert.match(unknown.problems[0].message, /Type "feature" is not one of: /);
+  });
+
+  it("reports warnings without failing the message", () => {
+    const result = lintMessage("fix: trailing dot.\nno blank line", DEFAULT_CONFIG);
+    assert.equal(result.valid, true);
+    assert.deepEqual(rulesOf(result), ["subject-full-stop", "body-leading-blank"]);
+    assert.ok(result.problems.every(p => p.severity === "warn"));
+  });
+
+  it("flags empty descriptions and long headers", () => {
+    assert.deepEqual(rulesOf(lintMessage("fix: ", DEFAULT_CONFIG)), ["subject-empty"]);
+    const long = lintMessage(`fix: ${"x".repeat(100)}`, DEFAULT_CONFIG);
+    assert.deepEqual(rulesOf(long), ["header-max-length"]);
+  });
+
+  it("ends the scope at the first closing parenthesis", () => {
+    const result = lintMessage("docs(api): list the options (defaults first):", DEFAULT_CONFIG);
+    assert.deepEqual(result.problems, []);
+  });
+
+  it("skips ignored messages and rules turned off", () => {
+    assert.equal(lintMessage('Revert "feat: x"', DEFAULT_CONFIG).ignored, true);
+    const config = {
+      ...DEFAULT_CONFIG,
+      lint: { ...DEFAULT_CONFIG.lint, rules: { ...DEFAULT_CONFIG.lint.rules, "type-enum": "off" } },
+    };
+    assert.equal(lintMessage("feature: add x", config).valid, true);
+  });
+});
+
+describe("stripMessageComments", () => {
+  it("removes comment lines and the scissors section", () => {
+    const raw = [
+      "feat: x",
+      "# Please enter the commit message",
+      "",
+      "body",
+      "# ------------------------ >8 ------------------------",
+      "diff --git a/x b/x",
+    ].join("\n");
+    assert.equal(stripMessageComments(raw), "feat: x\n\nbody");
+  });
+});
+
+describe("lintCommits", () => {
+  it("lints every commit in a range", () => {
+    const repo = createRepo({ "a.txt": "a" });
+    repo.commit("chore: init");
+    repo.git("tag", "base");
+    repo.commit("feat: good");
+    repo.commit("oops");
+
+    const report = lintCommits({ cwd: repo.dir, config: DEFAULT_CONFIG, from: "base" });
+    assert.equal(report.valid, false);
+    assert.equal(report.errorCount, 1);
+    assert.deepEqual(
+      report.results.map(r => r.header),
+      ["oops", "feat: good"]
+    );
+  });
+
+  it("lints the messages of a range as stored", () => {
+    const repo = createRepo();
+    repo.commit("chore: init");
+    repo.git("tag", "1.0.0");
+    repo.commit("feat: add search\nwith a body glued to the header");
+
+    const report = lintCommits({ cwd: repo.dir, config: DEFAULT_CONFIG, to: "HEAD" });
+    assert.equal(report.results.length, 1);
+    assert.equal(report.results[0].header, "feat: add search");
+    assert.deepEqual(rulesOf(report.results[0]), ["body-leading-blank"]);
+  });
+
+  it("requires a source", () => {
+    assert.throws(() => lintCommits({ config: DEFAULT_CONFIG }), /Nothing to lint/);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { createPreview, removePreview } from "../bin/preview.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+// Keep the progress output of the preview out of the test report.
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+after(removeRepos);
+
+// 1.0.0 on main, with a feature branch adding a feature.
+function project() {
+  const repo = createRepo();
+  repo.commit("chore: init", { "a.txt": "a\n" });
+  repo.git("tag", "1.0.0");
+  repo.git("checkout", "-q", "-b", "feature");
+  repo.commit("feat: add search", { "b.txt": "b\n" });
+  repo.git("checkout", "-q", "main");
+  return repo;
+}
+
+const read = (repo, file) => fs.readFileSync(path.join(repo.dir, file), "utf8");
+const exists = (repo, file) => fs.existsSync(path.join(repo.dir, file));
+
+describe("createPreview", () => {
+  it("previews the release of HEAD", async () => {
+    const repo = project();
+    repo.git("merge", "-q", "--ff-only", "feature");
+
+    const preview = await createPreview({ cwd: repo.dir, config: DEFAULT_CONFIG });
+    assert.equal(preview.head, null);
+    assert.equal(preview.base.branch, "main");
+    assert.equal(preview.version.nextVersion, "1.1.0");
+    assert.deepEqual(preview.files, ["CHANGELOG.preview.md", "RELEASE_NOTES.preview.md"]);
+    assert.match(read(repo, "CHANGELOG.preview.md"), /1\.1\.0/);
+  });
+
+  it("previews a branch merged into the current branch in a worktree", async () => {
+    const repo = project();
+    const head = repo.git("rev-parse", "HEAD");
+
+    const preview = await createPreview({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      branch: "feature",
+    });
+    assert.deepEqual(preview.head, {
+      ref: "feature",
+      commit: repo.git("rev-parse", "feature"),
+    });
+    assert.equal(preview.version.nextVersion, "1.1.0");
+    assert.match(read(repo, "CHANGELOG.preview.md"), /Add search/);
+
+    assert.equal(repo.git("rev-parse", "HEAD"), head);
+    assert.equal(repo.git("status", "--porcelain", "--untracked-files=no"), "");
+    assert.equal(repo.git("worktree", "list").split("\n").length, 1);
+  });
+
+  it("previews a pull request fetched from the remote", async () => {
+    const origin = project();
+    origin.git("update-ref", "refs/pull/3/head", "feature");
+    origin.git("branch", "-q", "-D", "feature");
+    const repo = createRepo();
+    repo.git("remote", "add", "origin", origin.dir);
+    repo.git("fetch", "-q", "origin", "main", "--tags");
+    repo.git("reset", "-q", "--hard", "FETCH_HEAD");
+
+    const config = {
+      ...DEFAULT_CONFIG,
+      repository: { ...DEFAULT_CONFIG.repository, host: "github" },
+    };
+    const preview = await createPreview({ cwd: repo.dir, config, pr: 3 });
+    assert.equal(preview.head.ref, "refs/pull/3/head");
+    assert.equal(preview.version.nextVersion, "1.1.0");
+    assert.match(read(repo, "RELEASE_NOTES.preview.md"), /feat: add search.*#3/);
+  });
+
+  it("rejects a branch that is already merged", async () => {
+    const repo = project();
+    repo.git("merge", "-q", "--ff-only", "feature");
+    await assert.rejects(
+      createPreview({ cwd: repo.dir, config: DEFAULT_CONFIG, branch: "feature" }),
+      { message: "feature is already merged into main." }
+    );
+  });
+
+  it("reports the files in conflict and leaves no worktree behind", async () => {
+    const repo = project();
+    repo.commit("fix: change b", { "b.txt": "other\n" });
+
+    await assert.rejects(
+      createPreview({ cwd: repo.dir, config: DEFAULT_CONFIG, branch: "feature" }),
+      /feature does not merge cleanly into main; conflicts in: b\.txt/
+    );
+    assert.equal(repo.git("worktree", "list").split("\n").length, 1);
+    assert.equal(exists(repo, "CHANGELOG.preview.md"), false);
+  });
+
+  it("rejects an unknown branch and a branch given with a pull request", async () => {
+    const repo = project();
+    const options = { cwd: repo.dir, config: DEFAULT_CONFIG };
+    await assert.rejects(createPreview({ ...options, branch: "nope" }), {
+      message: "Branch nope not found, locally or on origin.",
+    });
+    await assert.rejects(createPreview({ ...options, branch: "feature", pr: 3 }), {
+      message: "Preview either a branch or a pull request, not both.",
+    });
+  });
+});
+
+describe("removePreview", () => {
+  it("deletes the preview files that exist", async () => {
+    const repo = project();
+    repo.write({ "CHANGELOG.preview.md": "x", "RELEASE_NOTES.preview.md": "y" });
+    const removed = removePreview({ cwd: repo.dir, config: DEFAULT_CONFIG });
+    assert.deepEqual(removed, ["CHANGELOG.preview.md", "RELEASE_NOTES.preview.md"]);
+    assert.equal(exists(repo, "CHANGELOG.preview.md"), false);
+  });
+});
@@ -0,0 +1,316 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, beforeEach, describe, it, mock } from "node:test";
+import { generateReleaseNotes } from "../bin/generate-release-notes.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createProvider, ProviderError } from "../lib/providers/index.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+/* ===========================
+ * Mock API server
+ * =========================== */
+
+// Routes are keyed by "METHOD /path?query" and answer {status, body, headers}.
+let routes = {};
+let requests = [];
+let server;
+let baseUrl;
+
+// Keep the progress output of generateReleaseNotes() out of the test report.
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const route = routes[`${req.method} ${req.url}`];
+      if (!route) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ message: "Not Found" }));
+        return;
+      }
+      const {
+        status = 200,
+        body: reply = null,
+        headers = {},
+      } = typeof route === "function" ? route(body) : route;
+      res.writeHead(status, headers);
+      res.end(typeof reply === "string" ? reply : JSON.stringify(reply));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+after(removeRepos);
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+});
+
+function mockConfig(url) {
+  return {
+    ...DEFAULT_CONFIG,
+    repository: { ...DEFAULT_CONFIG.repository, url, apiUrl: `${baseUrl}/api` },
+  };
+}
+
+function provider(name, { token = "secret", url, env = {} } = {}) {
+  return createProvider({ config: mockConfig(url), name, token, env });
+}
+
+const nextPage = path => ({ link: `<${baseUrl}${path}>; rel="next"` });
+
+/* ===========================
+ * GitHub
+ * =========================== */
+
+describe("GitHub provider", () => {
+  const github = options => provider("github", { url: "https://github.com/o/r", ...options });
+
+  it("sends the token and API version headers", async () => {
+    routes["GET /api/repos/o/r/pulls/7/commits?per_page=100"] = {
+      body: [{ sha: "abc", commit: { message: "feat: x\n\nbody", author: { name: "Ada" } } }],
+    };
+    const commits = await github().listPullRequestCommits(7);
+    assert.deepEqual(commits, [
+      { hash: "abc", headline: "feat: x", author: { name: "Ada", email: "", login: null } },
+    ]);
+    assert.equal(requests[0].headers.authorization, "Bearer secret");
+    assert.equal(requests[0].headers["x-github-api-version"], "2022-11-28");
+  });
+
+  it("follows pagination and keeps merged pull requests only", async () => {
+    const query = "state=closed&sort=updated&direction=desc&per_page=100&base=main";
+    routes[`GET /api/repos/o/r/pulls?${query}`] = {
+      body: [{ number: 2, title: "b", merged_at: "2026-01-02T00:00:00Z" }],
+      headers: nextPage("/api/repos/o/r/pulls?page=2"),
+    };
+    routes["GET /api/repos/o/r/pulls?page=2"] = {
+      body: [
+        { number: 1, title: "a", merged_at: null },
+        { number: 0, title: "z", merged_at: "2026-01-01T00:00:00Z" },
+      ],
+    };
+    const pulls = await github().listMergedPullRequests({ base: "main" });
+    assert.deepEqual(
+      pulls.map(pr => pr.number),
+      ["2", "0"]
+    );
+  });
+
+  it("fails instead of truncating endless pagination", async () => {
+    const path = "/api/repos/o/r/pulls?state=closed&sort=updated&direction=desc&per_page=100";
+    routes[`GET ${path}`] = {
+      body: [{ number: 1, title: "a", merged_at: "2026-01-01T00:00:00Z" }],
+      headers: nextPage(path),
+    };
+    await assert.rejects(github().listMergedPullRequests(), err => {
+      assert.ok(err instanceof ProviderError);
+      assert.match(err.message, /^github: GET .* has more than 50 pages$/);
+      return true;
+    });
+    assert.equal(requests.length, 50);
+  });
+
+  it("raises a ProviderError with the API message", async () => {
+    routes["POST /api/repos/o/r/releases"] = {
+      status: 422,
+      body: { message: "Validation Failed" },
+    };
+    await assert.rejects(github().createRelease({ tag: "1.0.0" }), err => {
+      assert.ok(err instanceof ProviderError);
+      assert.equal(err.status, 422);
+      assert.match(err.message, /^github: POST .* returned 422: Validation Failed$/);
+      return true;
+    });
+  });
+
+  it("returns null for a missing release without a draft", async () => {
+    routes["GET /api/repos/o/r/releases?per_page=100"] = { body: [] };
+    assert.equal(await github().getRelease("1.0.0"), null);
+  });
+
+  it("uploads assets to the release upload URL", async () => {
+    routes["POST /uploads/1/assets?name=app.zip"] = {
+      status: 201,
+      body: { id: 9, name: "app.zip", browser_download_url: "https://dl/app.zip" },
+    };
+    const release = { id: "1", uploadUrl: `${baseUrl}/uploads/1/assets` };
+    const data = new Uint8Array([1, 2, 3]);
+    const asset = await github().uploadAsset(release, { name: "app.zip", data });
+    assert.deepEqual(asset, { id: "9", name: "app.zip", url: "https://dl/app.zip" });
+    assert.equal(requests[0].headers["content-type"], "application/octet-stream");
+    assert.deepEqual([...requests[0].body], [1, 2, 3]);
+  });
+});
+
+/* ===========================
+ * GitLab
+ * =========================== */
+
+describe("GitLab provider", () => {
+  const project = "/api/projects/g%2Fp";
+  const gitlab = options => provider("gitlab", { url: "https://gitlab.com/g/p", ...options });
+
+  it("sends a private token, or the CI job token without one", async () => {
+    routes[`GET ${project}/merge_requests/3/commits?per_page=100`] = { body: [] };
+    await gitlab().listPullRequestCommits(3);
+    await gitlab({ token: null, env: { CI_JOB_TOKEN: "job" } }).listPullRequestCommits(3);
+    assert.equal(requests[0].headers["private-token"], "secret");
+    assert.equal(requests[1].headers["job-token"], "job");
+    assert.equal(requests[1].headers["private-token"], undefined);
+  });
+
+  it("follows pagination of merged merge requests", async () => {
+    const query = "state=merged&order_by=updated_at&sort=desc&per_page=100";
+    routes[`GET ${project}/merge_requests?${query}`] = {
+      body: [{ iid: 5, title: "b", merged_at: "2026-01-02T00:00:00Z", merge_commit_sha: "s5" }],
+      headers: nextPage(`${project}/merge_requests?page=2`),
+    };
+    routes[`GET ${project}/merge_requests?page=2`] = {
+      // Fast-forward merges only report the head commit.
+      body: [{ iid: 4, title: "a", merged_at: "2026-01-01T00:00:00Z", sha: "s4" }],
+    };
+    const merged = await gitlab().listMergedPullRequests();
+    assert.deepEqual(
+      merged.map(mr => mr.number),
+      ["5", "4"]
+    );
+    assert.deepEqual(
+      merged.map(mr => mr.mergeCommit),
+      ["s5", "s4"]
+    );
+  });
+
+  it("keeps a non-JSON error body in the message", async () => {
+    routes[`POST ${project}/releases`] = { status: 500, body: "Internal error" };
+    await assert.rejects(gitlab().createRelease({ tag: "1.0.0" }), {
+      name: "ProviderError",
+      status: 500,
+      message: `gitlab: POST ${project.slice(4)}/releases returned 500: Internal error`,
+    });
+  });
+
+  it("uploads assets to the package registry and links them", async () => {
+    const file = `${project}/packages/generic/release/v1.0.0/app.zip`;
+    routes[`PUT ${file}`] = { status: 201, body: { message: "201 Created" } };
+    routes[`POST ${project}/releases/v1.0.0/assets/links`] = body => ({
+      status: 201,
+      body: { id: 3, ...JSON.parse(body) },
+    });
+    const data = new Uint8Array([4, 5]);
+    const asset = await gitlab().uploadAsset({ tag: "v1.0.0" }, { name: "app.zip", data });
+    assert.deepEqual(asset, { id: "3", name: "app.zip", url: `${baseUrl}${file}` });
+    assert.deepEqual([...requests[0].body], [4, 5]);
+    assert.equal(JSON.parse(requests[1].body).link_type, "package");
+  });
+});
+
+/* ===========================
+ * Gitea
+ * =========================== */
+
+describe("Gitea provider", () => {
+  const gitea = options => provider("gitea", { url: "https://gitea.example.com/o/r", ...options });
+
+  it("sends the token header", async () => {
+    routes["GET /api/repos/o/r/pulls/1/commits?limit=50"] = { body: [] };
+    await gitea().listPullRequestCommits(1);
+    assert.equal(requests[0].headers.authorization, "token secret");
+  });
+
+  it("follows pagination and filters merged pull requests by base", async () => {
+    routes["GET /api/repos/o/r/pulls?state=closed&sort=recentupdate&limit=50"] = {
+      body: [{ number: 3, merged: true, merged_at: "2026-01-03T00:00:00Z", base: { ref: "dev" } }],
+      headers: nextPage("/api/repos/o/r/pulls?page=2"),
+    };
+    routes["GET /api/repos/o/r/pulls?page=2"] = {
+      body: [
+        { number: 2, merged: false, base: { ref: "main" } },
+        { number: 1, merged: true, merged_at: "2026-01-01T00:00:00Z", base: { ref: "main" } },
+      ],
+    };
+    const pulls = await gitea().listMergedPullRequests({ base: "main" });
+    assert.deepEqual(
+      pulls.map(pr => pr.number),
+      ["1"]
+    );
+  });
+
+  it("rejects failed requests", async () => {
+    routes["POST /api/repos/o/r/releases"] = { status: 403, body: "" };
+    await assert.rejects(gitea().createRelease({ tag: "1.0.0" }), {
+      name: "ProviderError",
+      status: 403,
+    });
+  });
+
+  it("returns null for a missing release and rejects other errors", async () => {
+    routes["GET /api/repos/o/r/releases?limit=50"] = { body: [] };
+    assert.equal(await gitea().getRelease("1.0.0"), null);
+
+    routes["DELETE /api/repos/o/r/releases/1/assets/2"] = { status: 403, body: "" };
+    await assert.rejects(gitea().deleteAsset({ id: "1" }, { id: "2" }), {
+      name: "ProviderError",
+      status: 403,
+    });
+  });
+
+  it("uploads assets as a multipart attachment", async () => {
+    routes["POST /api/repos/o/r/releases/1/assets?name=app.zip"] = {
+      status: 201,
+      body: { id: 8, name: "app.zip", browser_download_url: "https://dl/app.zip" },
+    };
+    const data = new Uint8Array([104, 105]);
+    const asset = await gitea().uploadAsset({ id: "1" }, { name: "app.zip", data });
+    assert.deepEqual(asset, { id: "8", name: "app.zip", url: "https://dl/app.zip" });
+    assert.match(requests[0].headers["content-type"], /^multipart\/form-data; boundary=/);
+    const form = requests[0].body.toString("utf8");
+    assert.match(form, /name="attachment"; filename="app.zip"/);
+    assert.match(form, /\r\n\r\nhi\r\n/);
+  });
+});
+
+/* ===========================
+ * Release range
+ * =========================== */
+
+describe("generateReleaseNotes with a hosting provider", () => {
+  it("keeps the pull requests merged within the release range", async () => {
+    const repo = createRepo({ "package.json": { name: "x", version: "1.1.0" } });
+    repo.commit("chore: init");
+    repo.git("tag", "1.0.0");
+    const first = repo.commit("feat: a (#1)");
+    repo.git("tag", "1.1.0");
+    const second = repo.commit("fix: b (#2)");
+
+    const merged = "2999-01-01T00:00:00Z";
+    routes["GET /api/repos/o/r/pulls?state=closed&sort=updated&direction=desc&per_page=100"] = {
+      body: [
+        { number: 3, title: "other branch", merged_at: merged, merge_commit_sha: "f00" },
+        { number: 2, title: "fix: b", merged_at: merged, merge_commit_sha: second },
+        { number: 1, title: "feat: a", merged_at: merged, merge_commit_sha: first },
+      ],
+    };
+    routes["GET /api/repos/o/r/pulls/1/commits?per_page=100"] = { body: [] };
+
+    const result = await generateReleaseNotes({
+      cwd: repo.dir,
+      config: mockConfig("https://github.com/o/r"),
+      source: "github",
+      token: "secret",
+      to: "1.1.0",
+    });
+    assert.equal(result.from, "1.0.0");
+    assert.equal(result.tag, "1.1.0");
+    assert.match(result.notes, /^- feat: a in https:\/\/github\.com\/o\/r\/pull\/1$/m);
+    assert.doesNotMatch(result.notes, /fix: b|other branch/);
+    assert.match(result.notes, /compare\/1\.0\.0\.\.\.1\.1\.0/);
+  });
+});
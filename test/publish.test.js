@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { generateReleaseNotes } from "../bin/generate-release-notes.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { findAssets, publishRelease } from "../lib/publish.js";
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "release-suite-test-"));
+  const files = [
+    "dist/app.tgz",
+    "dist/app.tgz.sha256",
+    "dist/deep/notes.md",
+    "build/app.zip",
+    "other/app.tgz",
+  ];
+  for (const file of [...files, "node_modules/x/app.zip"]) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), file);
+  }
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("findAssets", () => {
+  it("expands globs, applies exclusions and guesses content types", () => {
+    const assets = findAssets(dir, ["dist/**", "./build/*.zip", "!**/*.md"]);
+    assert.deepEqual(
+      assets.map(({ name, file, contentType }) => [name, path.relative(dir, file), contentType]),
+      [
+        ["app.zip", "build/app.zip", "application/zip"],
+        ["app.tgz", "dist/app.tgz", "application/gzip"],
+        ["app.tgz.sha256", "dist/app.tgz.sha256", "text/plain"],
+      ]
+    );
+  });
+
+  it("rejects patterns matching nothing and duplicate names", () => {
+    assert.throws(() => findAssets(dir, ["out/*"]), /Asset pattern "out\/\*" matches no file/);
+    assert.throws(() => findAssets(dir, ["**/*.tgz"]), /Assets .* have the same name "app.tgz"/);
+    assert.deepEqual(findAssets(dir, []), []);
+  });
+});
+
+describe("publishRelease", () => {
+  function fakeProvider(existing) {
+    const calls = [];
+    const release = { id: "1", url: "https://example.com/r/1", assets: existing?.assets ?? [] };
+    return {
+      calls,
+      async getRelease(tag) {
+        calls.push(["get", tag]);
+        return existing ? release : null;
+      },
+      async createRelease(fields) {
+        calls.push(["create", fields.tag, fields.prerelease]);
+        return release;
+      },
+      async updateRelease(current, fields) {
+        calls.push(["update", current.id, fields.body]);
+        return release;
+      },
+      async deleteAsset(current, asset) {
+        calls.push(["delete", asset.name]);
+      },
+      async uploadAsset(current, { name, data }) {
+        calls.push(["upload", name, data.toString()]);
+        return { url: `https://example.com/${name}` };
+      },
+    };
+  }
+
+  const assets = () => findAssets(dir, ["build/app.zip"]);
+
+  it("creates a missing release with its assets", async () => {
+    const provider = fakeProvider(null);
+    const result = await publishRelease(provider, {
+      tag: "v1.0.0",
+      body: "notes",
+      prerelease: true,
+      assets: assets(),
+    });
+    assert.equal(result.created, true);
+    assert.deepEqual(result.assets, [{ name: "app.zip", url: "https://example.com/app.zip" }]);
+    assert.deepEqual(provider.calls, [
+      ["get", "v1.0.0"],
+      ["create", "v1.0.0", true],
+      ["upload", "app.zip", "build/app.zip"],
+    ]);
+  });
+
+  it("updates an existing release and replaces assets with the same name", async () => {
+    const provider = fakeProvider({ assets: [{ id: "7", name: "app.zip" }] });
+    const result = await publishRelease(provider, {
+      tag: "v1.0.0",
+      body: "new notes",
+      assets: assets(),
+    });
+    assert.equal(result.created, false);
+    assert.deepEqual(provider.calls, [
+      ["get", "v1.0.0"],
+      ["update", "1", "new notes"],
+      ["delete", "app.zip"],
+      ["upload", "app.zip", "build/app.zip"],
+    ]);
+  });
+});
+
+describe("generateReleaseNotes --publish", () => {
+  it("refuses to publish in preview mode", async () => {
+    await assert.rejects(
+      generateReleaseNotes({ cwd: dir, config: DEFAULT_CONFIG, isPreview: true, publish: true }),
+      /cannot be published in preview mode/
+    );
+  });
+});
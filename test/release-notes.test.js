@@ -0,0 +1,225 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import { generateReleaseNotes } from "../bin/generate-release-notes.js";
+import { DEFAULT_CONFIG, validateConfig } from "../lib/config.js";
+import {
+  filterPullRequests,
+  findNewContributors,
+  readPullRequestsFromGit,
+  renderReleaseNotes,
+} from "../lib/release-notes.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+// Keep the progress output of generateReleaseNotes() out of the test report.
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+after(removeRepos);
+
+function history() {
+  const repo = createRepo({ "package.json": { name: "x", version: "1.1.0" } });
+  repo.commit("chore: init");
+  repo.git("tag", "1.0.0");
+
+  repo.git("checkout", "-q", "-b", "login");
+  repo.commit("feat: add form");
+  repo.commit("test: cover form\n\nCo-authored-by: Grace <grace@example.com>");
+  repo.git("checkout", "-q", "main");
+  repo.git(
+    "merge",
+    "--no-ff",
+    "-q",
+    "login",
+    "-m",
+    "Merge pull request #7 from o/login",
+    "-m",
+    "feat: add login"
+  );
+
+  repo.commit("fix: trim input (#8)\n\n* fix: trim\n* fix: trim more");
+  repo.commit("docs: readme");
+  return repo;
+}
+
+describe("readPullRequestsFromGit", () => {
+  it("rebuilds merged, squashed and direct changes", () => {
+    const repo = history();
+    const prs = readPullRequestsFromGit("1.0.0..HEAD", repo.dir);
+    const summary = prs.map(({ number, title, headlines }) => ({ number, title, headlines }));
+
+    assert.deepEqual(summary, [
+      { number: null, title: "docs: readme", headlines: [] },
+      { number: "8", title: "fix: trim input", headlines: ["fix: trim", "fix: trim more"] },
+      { number: "7", title: "feat: add login", headlines: ["feat: add form", "test: cover form"] },
+    ]);
+    assert.equal(prs[2].commits.length, 2);
+  });
+});
+
+describe("renderReleaseNotes", () => {
+  it("groups pull requests by section and lists contributors", () => {
+    const notes = renderReleaseNotes({
+      pullRequests: [
+        { number: "3", title: "fix: b", author: { login: "bob" }, headlines: [] },
+        { number: null, title: "wip", hash: "a".repeat(40), author: { name: "Ann" } },
+        { number: "2", title: "Big change", author: null, commits: [{ type: "feat" }] },
+      ],
+      config: DEFAULT_CONFIG,
+      compareUrl: "https://example.com/compare",
+    });
+
+    assert.equal(
+      notes,
+      [
+        "# What's Changed",
+        "",
+        "## ✨ Features",
+        "",
+        "- Big change in #2",
+        "",
+        "## 🐛 Fixes",
+        "",
+        "- fix: b by @bob in #3",
+        "",
+        "## Other Changes",
+        "",
+        "- wip by Ann in aaaaaaa",
+        "",
+        "## 👥 Contributors",
+        "",
+        "- @bob",
+        "- Ann",
+        "",
+        "**Full Changelog**: https://example.com/compare",
+        "",
+      ].join("\n")
+    );
+  });
+});
+
+describe("filterPullRequests", () => {
+  const { exclude } = DEFAULT_CONFIG.releaseNotes;
+
+  it("drops excluded labels, authors and titles, and duplicates", () => {
+    const pullRequests = [
+      { number: "5", title: "chore(release): 1.2.0" },
+      { number: "4", title: "Bump x", author: { login: "dependabot[bot]" } },
+      { number: "3", title: "fix: a", labels: ["Skip-Changelog"] },
+      { number: "2", title: "feat: b" },
+      { number: "2", title: "feat: b" },
+    ];
+    const { included, excluded } = filterPullRequests(pullRequests, {
+      ...exclude,
+      authors: ["*[bot]"],
+    });
+    const numbers = list => list.map(pr => pr.number);
+    assert.deepEqual(numbers(included), ["2"]);
+    assert.deepEqual(numbers(excluded), ["5", "4", "3"]);
+  });
+
+  it("validates the title patterns", () => {
+    assert.throws(
+      () => validateConfig({ releaseNotes: { exclude: { titles: ["("] } } }),
+      /"releaseNotes.exclude.titles\[0\]" is not a valid RegExp/
+    );
+  });
+});
+
+describe("release notes categories", () => {
+  const config = {
+    ...DEFAULT_CONFIG,
+    releaseNotes: {
+      ...DEFAULT_CONFIG.releaseNotes,
+      commits: false,
+      categories: [
+        { title: "Security", labels: ["security"] },
+        { title: "UI", types: ["fix(ui)"] },
+        { title: "Fixes", types: ["fix"] },
+      ],
+    },
+  };
+
+  it("prefers labels, then scoped types, then types", () => {
+    const notes = renderReleaseNotes({
+      config,
+      pullRequests: [
+        { number: "3", title: "fix: b", labels: ["security"], headlines: ["fix: b"] },
+        { number: "2", title: "Polish", commits: [{ headline: "fix(ui): align" }] },
+        { number: "1", title: "fix(api): c" },
+      ],
+    });
+    const headings = notes.match(/^## .*$/gm);
+    assert.deepEqual(headings, ["## Security", "## UI", "## Fixes"]);
+    assert.doesNotMatch(notes, /^ {2}- fix: b$/m);
+  });
+});
+
+describe("findNewContributors", () => {
+  it("lists authors without known emails, oldest first", () => {
+    const pr = (number, login, email) => ({
+      number,
+      author: { login },
+      commits: [{ author: { email } }],
+    });
+    const found = findNewContributors(
+      [pr("4", "eve", "EVE@x.io"), pr("3", "bob", "bob@x.io"), pr("2", "eve", "eve@x.io")],
+      new Set(["bob@x.io"])
+    );
+    const summary = found.map(({ author, pullRequest }) => [author.login, pullRequest.number]);
+    assert.deepEqual(summary, [["eve", "2"]]);
+
+    const notes = renderReleaseNotes({
+      config: DEFAULT_CONFIG,
+      pullRequests: [],
+      newContributors: found,
+    });
+    assert.match(notes, /## 🎉 New Contributors\n\n- @eve made their first contribution in #2\n/);
+  });
+});
+
+describe("generateReleaseNotes", () => {
+  it("writes notes from the Git history with commit and co-author contributors", async () => {
+    const repo = history();
+    const result = await generateReleaseNotes({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      source: "git",
+    });
+
+    assert.equal(result.source, "git");
+    assert.equal(result.file, "RELEASE_NOTES.md");
+    assert.match(result.notes, /^- feat: add login by Ada in #7$/m);
+    assert.match(result.notes, /## 👥 Contributors\n\n- Ada\n- Grace\n/);
+  });
+
+  it("covers the previous tag of the same channel up to a release tag", async () => {
+    const repo = createRepo({ "package.json": { name: "x", version: "2.0.0" } });
+    repo.commit("chore: init");
+    repo.git("tag", "1.0.0");
+    repo.commit("feat: a");
+    repo.git("tag", "2.0.0-beta.0");
+    repo.commit("fix: b");
+    repo.git("tag", "2.0.0");
+    repo.commit("docs: after");
+
+    const result = await generateReleaseNotes({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      source: "git",
+      to: "2.0.0",
+    });
+    assert.deepEqual([result.from, result.version, result.tag], ["1.0.0", "2.0.0", "2.0.0"]);
+    assert.match(result.notes, /feat: a/);
+    assert.match(result.notes, /fix: b/);
+    assert.doesNotMatch(result.notes, /docs: after/);
+
+    const explicit = await generateReleaseNotes({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      source: "git",
+      from: "2.0.0",
+    });
+    assert.equal(explicit.to, "HEAD");
+    assert.match(explicit.notes, /docs: after/);
+    assert.doesNotMatch(explicit.notes, /fix: b/);
+  });
+});
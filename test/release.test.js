@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import { release, ReleaseError } from "../bin/release.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+// Keep the progress output of the release steps out of the test report.
+before(() => mock.method(console, "log", () => {}));
+after(() => mock.restoreAll());
+after(removeRepos);
+
+function project() {
+  const repo = createRepo({
+    "package.json": { name: "x", version: "1.0.0" },
+    "package-lock.json": { name: "x", version: "1.0.0", packages: { "": { version: "1.0.0" } } },
+  });
+  repo.commit("chore: init");
+  repo.git("tag", "1.0.0");
+  repo.commit("feat: add search", { "a.txt": "a" });
+  return repo;
+}
+
+const read = (repo, file) => JSON.parse(fs.readFileSync(path.join(repo.dir, file), "utf8"));
+const options = repo => ({ cwd: repo.dir, config: DEFAULT_CONFIG, source: "git" });
+
+describe("release", () => {
+  it("reports the release without changing anything in dry-run mode", async () => {
+    const repo = project();
+    const head = repo.git("rev-parse", "HEAD");
+
+    const result = await release({ ...options(repo), dryRun: true });
+    assert.equal(result.released, true);
+    assert.equal(result.version, "1.1.0");
+    assert.equal(result.commit, null);
+    assert.deepEqual(result.files, ["package.json", "package-lock.json", "CHANGELOG.md"]);
+    assert.match(result.notes, /feat: add search/);
+
+    assert.equal(repo.git("rev-parse", "HEAD"), head);
+    assert.equal(repo.git("tag", "-l", "1.1.0"), "");
+    assert.equal(read(repo, "package.json").version, "1.0.0");
+    assert.equal(fs.existsSync(path.join(repo.dir, "CHANGELOG.md")), false);
+  });
+
+  it("commits and tags the release", async () => {
+    const repo = project();
+    const result = await release({ ...options(repo), push: false });
+
+    assert.equal(result.pushed, false);
+    assert.equal(repo.git("log", "-1", "--format=%s"), "chore(release): 1.1.0");
+    assert.equal(repo.git("rev-parse", "1.1.0^{commit}"), result.commit);
+    assert.equal(repo.git("cat-file", "-t", "1.1.0"), "tag");
+    assert.equal(read(repo, "package.json").version, "1.1.0");
+    assert.equal(read(repo, "package-lock.json").packages[""].version, "1.1.0");
+    assert.equal(repo.git("status", "--porcelain", "--untracked-files=no"), "");
+  });
+
+  it("pushes the branch and the tag", async () => {
+    const remote = createRepo();
+    remote.git("config", "receive.denyCurrentBranch", "ignore");
+    const repo = project();
+    repo.git("remote", "add", "origin", remote.dir);
+
+    const result = await release(options(repo));
+    assert.equal(result.pushed, true);
+    assert.equal(remote.git("rev-parse", "main"), result.commit);
+    assert.equal(remote.git("rev-parse", "1.1.0^{commit}"), result.commit);
+  });
+
+  it("rolls back the commit and tag when the push fails", async () => {
+    const repo = project();
+    const head = repo.git("rev-parse", "HEAD");
+
+    await assert.rejects(release(options(repo)), err => {
+      assert.ok(err instanceof ReleaseError);
+      assert.equal(err.step, "push");
+      assert.equal(err.rolledBack, true);
+      return true;
+    });
+    assert.equal(repo.git("rev-parse", "HEAD"), head);
+    assert.equal(repo.git("tag", "-l", "1.1.0"), "");
+    assert.equal(read(repo, "package.json").version, "1.0.0");
+  });
+
+  it("keeps the error of the failed step when the rollback fails too", async () => {
+    const remote = createRepo();
+    const repo = project();
+    repo.git("remote", "add", "origin", remote.dir);
+    // Fail the push and leave the index locked, so that `git reset` fails.
+    repo.git("config", "remote.origin.receivepack", "touch .git/index.lock; false");
+    const errors = mock.method(console, "error", () => {});
+
+    await assert.rejects(release(options(repo)), err => {
+      assert.ok(err instanceof ReleaseError);
+      assert.equal(err.step, "push");
+      assert.equal(err.rolledBack, false);
+      assert.match(err.cause.message, /git push/);
+      return true;
+    });
+    errors.mock.restore();
+    const messages = errors.mock.calls.map(call => call.arguments[0]);
+    assert.match(messages.at(-1), /^⚠ Could not roll back to [0-9a-f]{7}: .*index\.lock/s);
+  });
+
+  it("stops before any change when the working tree is dirty or nothing is pending", async () => {
+    const repo = project();
+    repo.write({ "a.txt": "changed" });
+    await assert.rejects(release(options(repo)), { name: "ReleaseError", step: "preflight" });
+
+    repo.git("checkout", "--", "a.txt");
+    repo.commit("docs: readme");
+    repo.git("tag", "1.1.0");
+    const result = await release(options(repo));
+    assert.deepEqual(result, { released: false, dryRun: false, reason: "no-commits" });
+  });
+});
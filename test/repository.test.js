@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createRepositoryLinks, detectHost, normalizeRepositoryUrl } from "../lib/repository.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+const withRepository = repository => ({
+  ...DEFAULT_CONFIG,
+  repository: { ...DEFAULT_CONFIG.repository, ...repository },
+});
+
+describe("normalizeRepositoryUrl", () => {
+  it("accepts package.json and Git remote forms", () => {
+    const forms = [
+      "https://github.com/o/r.git",
+      "git+https://github.com/o/r.git",
+      "git@github.com:o/r.git",
+      "ssh://git@github.com:22/o/r.git",
+      "https://token@github.com/o/r",
+      "github:o/r",
+      "o/r",
+    ];
+    for (const form of forms) assert.equal(normalizeRepositoryUrl(form), "https://github.com/o/r");
+    assert.equal(normalizeRepositoryUrl("gitlab:g/app"), "https://gitlab.com/g/app");
+  });
+
+  it("returns null for unknown references", () => {
+    assert.equal(normalizeRepositoryUrl(""), null);
+    assert.equal(normalizeRepositoryUrl("not a url"), null);
+  });
+});
+
+describe("createRepositoryLinks", () => {
+  it("uses the templates of the detected host", () => {
+    assert.equal(detectHost("https://gitlab.example.com/g/app"), "gitlab");
+    const links = createRepositoryLinks({
+      cwd: "/nonexistent",
+      config: withRepository({ url: "git@gitlab.com:g/app.git" }),
+    });
+    assert.equal(links.commit("abc"), "https://gitlab.com/g/app/-/commit/abc");
+    assert.equal(links.pullRequest("7"), "https://gitlab.com/g/app/-/merge_requests/7");
+    assert.equal(links.issue("3", "g/other"), "https://gitlab.com/g/other/-/issues/3");
+    assert.equal(links.compare("v1", "v2"), "https://gitlab.com/g/app/-/compare/v1...v2");
+  });
+
+  it("prefers configured templates and the configured host", () => {
+    const links = createRepositoryLinks({
+      cwd: "/nonexistent",
+      config: withRepository({
+        url: "https://git.example.com/o/r",
+        host: "bitbucket",
+        commitUrl: "${url}/c/${hash}",
+      }),
+    });
+    assert.equal(links.commit("abc"), "https://git.example.com/o/r/c/abc");
+    assert.equal(links.issue("3"), "https://git.example.com/o/r/issues/3");
+  });
+
+  it("returns null helpers for unknown hosts and null without a URL", () => {
+    const links = createRepositoryLinks({
+      cwd: "/nonexistent",
+      config: withRepository({ url: "https://git.example.com/o/r" }),
+    });
+    assert.equal(links.commit("abc"), null);
+    const { dir } = createRepo();
+    assert.equal(createRepositoryLinks({ cwd: dir, config: DEFAULT_CONFIG }), null);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { computeVersion } from "../bin/compute-version.js";
+import { cancelReverts, parseConventionalCommit } from "../lib/commits.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+// Newest first, as returned by readCommits().
+const parse = commits => commits.map(commit => parseConventionalCommit(commit)).reverse();
+const subjects = result => result.commits.map(c => c.subject);
+
+describe("cancelReverts", () => {
+  it("drops a commit and its revert, matched by hash", () => {
+    const result = cancelReverts(
+      parse([
+        { hash: "aaa1111", subject: "feat: a" },
+        { hash: "bbb2222", subject: "fix: b" },
+        {
+          hash: "ccc3333",
+          subject: 'Revert "feat: something else"',
+          body: "This reverts commit aaa1111.",
+        },
+      ])
+    );
+    assert.deepEqual(subjects(result), ["fix: b"]);
+    assert.deepEqual(result.reverted, [
+      {
+        hash: "aaa1111",
+        subject: "feat: a",
+        revertedBy: { hash: "ccc3333", subject: 'Revert "feat: something else"' },
+      },
+    ]);
+  });
+
+  it("falls back to the subject and restores reverted reverts", () => {
+    const result = cancelReverts(
+      parse([
+        { hash: "aaa1111", subject: "feat: a" },
+        { hash: "bbb2222", subject: 'Revert "feat: a"' },
+        { hash: "ccc3333", subject: `Revert "Revert "feat: a""` },
+      ])
+    );
+    assert.deepEqual(subjects(result), ["feat: a"]);
+    assert.deepEqual(result.reverted, []);
+  });
+
+  it("keeps reverts of commits outside the list", () => {
+    const result = cancelReverts(parse([{ hash: "bbb2222", subject: 'Revert "feat: old"' }]));
+    assert.deepEqual(subjects(result), ['Revert "feat: old"']);
+  });
+});
+
+describe("computeVersion with reverts", () => {
+  it("ignores a feature reverted within the range", () => {
+    const repo = createRepo({ "package.json": { name: "x", version: "1.0.0" } });
+    repo.commit("chore: init");
+    repo.git("tag", "1.0.0");
+    repo.commit("fix: y");
+    repo.commit("feat: x", { "x.txt": "x" });
+    repo.git("revert", "--no-edit", "HEAD");
+
+    const result = computeVersion({ cwd: repo.dir, config: DEFAULT_CONFIG, branch: "main" });
+    assert.equal(result.nextVersion, "1.0.1");
+    assert.equal(result.reverted.length, 1);
+    assert.equal(result.reverted[0].subject, "feat: x");
+  });
+});
@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { validateConfig } from "../lib/config.js";
+import { getVersionTags } from "../lib/git.js";
+import { checkTagFormat, formatTag, parseTag } from "../lib/tags.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+describe("formatTag / parseTag", () => {
+  it("round-trips versions through a format", () => {
+    assert.equal(formatTag("v${version}", "1.2.3"), "v1.2.3");
+    assert.equal(parseTag("v${version}", "v2.0.0-beta.1"), "2.0.0-beta.1");
+    assert.equal(parseTag("${version}", "1.2.3"), "1.2.3");
+  });
+
+  it("only matches tags of the exact format", () => {
+    assert.equal(parseTag("v${version}", "deploy-prod"), null);
+    assert.equal(parseTag("${version}", "v1.2.3"), "v1.2.3");
+    assert.equal(parseTag("release-${version}", "release+1.0.0"), null);
+  });
+
+  it("fills and matches the package name literally", () => {
+    const format = "${name}@${version}";
+    assert.equal(formatTag(format, "1.0.0", { name: "@o/core" }), "@o/core@1.0.0");
+    assert.equal(parseTag(format, "@o/core@1.0.0", { name: "@o/core" }), "1.0.0");
+    assert.equal(parseTag(format, "@o/cli@1.0.0", { name: "@o/core" }), null);
+  });
+
+  it("checks tag formats", () => {
+    assert.equal(checkTagFormat("v${version}"), null);
+    assert.equal(checkTagFormat("v"), "must contain ${version} exactly once");
+    assert.equal(checkTagFormat("${version}-${ver}"), "unknown placeholder ${ver}");
+    assert.throws(() => validateConfig({ tagFormat: "release" }), /"tagFormat" must contain/);
+  });
+});
+
+describe("getVersionTags", () => {
+  it("keeps the tags of the format, highest version first", () => {
+    const repo = createRepo();
+    repo.commit("chore: init");
+    for (const tag of ["v1.0.0", "v1.10.0", "v1.2.0", "v2.0.0-rc.1", "1.5.0", "deploy-prod"]) {
+      repo.git("tag", tag);
+    }
+
+    const tags = getVersionTags(repo.dir, { format: "v${version}" });
+    assert.deepEqual(
+      tags.map(tag => tag.name),
+      ["v2.0.0-rc.1", "v1.10.0", "v1.2.0", "v1.0.0"]
+    );
+    assert.equal(tags[0].version, "2.0.0-rc.1");
+  });
+});
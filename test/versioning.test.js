@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateConfig } from "../lib/config.js";
+import {
+  bumpVersion,
+  collectCommitTypes,
+  compareVersions,
+  createCommitPattern,
+  detectBumpType,
+  isValidPreid,
+  matchBumpRule,
+  parseVersion,
+} from "../lib/versioning.js";
+
+describe("detectBumpType", () => {
+  it("applies the default bump rules", () => {
+    assert.equal(detectBumpType({ subject: "feat: add login", body: "" }), "minor");
+    assert.equal(detectBumpType({ subject: "fix(api): handle 404", body: "" }), "patch");
+    assert.equal(detectBumpType({ subject: "perf: cache", body: "" }), "patch");
+    assert.equal(detectBumpType({ subject: "docs: typo", body: "" }), "none");
+    assert.equal(detectBumpType({ subject: "update things", body: "" }), "none");
+  });
+
+  it("detects breaking changes from the marker or the body", () => {
+    assert.equal(detectBumpType({ subject: "refactor!: drop v1", body: "" }), "major");
+    const body = "BREAKING CHANGE: the config moved";
+    assert.equal(detectBumpType({ subject: "chore: move config", body }), "major");
+  });
+
+  it("lets the first matching rule decide", () => {
+    const rules = [
+      { type: "feat", scope: "internal", bump: "patch" },
+      { type: ["feat", "security"], bump: "minor" },
+      { keyword: "[skip release]", bump: "none" },
+    ];
+    const pattern = createCommitPattern(
+      collectCommitTypes({ commitTypes: ["feat"], bumpRules: rules })
+    );
+    const options = { pattern, rules };
+
+    assert.equal(detectBumpType({ subject: "feat(internal): x", body: "" }, options), "patch");
+    assert.equal(detectBumpType({ subject: "security: patch CVE", body: "" }, options), "minor");
+    assert.equal(detectBumpType({ subject: "chore: x", body: "[Skip Release]" }, options), "none");
+    assert.deepEqual(matchBumpRule({ subject: "fix: x", body: "" }, options), null);
+  });
+});
+
+describe("bumpRules config", () => {
+  it("requires a valid bump", () => {
+    assert.throws(
+      () => validateConfig({ bumpRules: [{ type: "feat" }] }),
+      /"bumpRules\[0\]\.bump" is required/
+    );
+    assert.throws(
+      () => validateConfig({ bumpRules: [{ type: "feat", bump: "huge" }] }),
+      /"bumpRules\[0\]\.bump" must be one of/
+    );
+  });
+});
+
+describe("compareVersions", () => {
+  it("follows SemVer precedence", () => {
+    const versions = [
+      "1.0.0",
+      "1.0.0-rc.1",
+      "1.0.0-beta.11",
+      "1.0.0-beta.2",
+      "0.9.9",
+      "1.0.0-beta",
+    ];
+    assert.deepEqual(versions.sort(compareVersions), [
+      "0.9.9",
+      "1.0.0-beta",
+      "1.0.0-beta.2",
+      "1.0.0-beta.11",
+      "1.0.0-rc.1",
+      "1.0.0",
+    ]);
+  });
+
+  it("rejects invalid versions", () => {
+    assert.equal(parseVersion("1.2"), null);
+    assert.throws(() => compareVersions("1.0.0", "v1"), /Invalid semantic version: "v1"/);
+  });
+});
+
+describe("bumpVersion", () => {
+  it("bumps stable versions", () => {
+    assert.equal(bumpVersion("1.2.3", "patch"), "1.2.4");
+    assert.equal(bumpVersion("1.2.3", "minor"), "1.3.0");
+    assert.equal(bumpVersion("1.2.3", "major"), "2.0.0");
+  });
+
+  it("continues or starts a prerelease channel", () => {
+    assert.equal(bumpVersion("1.4.2", "minor", { preid: "beta" }), "1.5.0-beta.0");
+    assert.equal(bumpVersion("2.0.0-beta.3", "patch", { preid: "beta" }), "2.0.0-beta.4");
+    assert.equal(bumpVersion("2.0.0-beta.3", "major", { preid: "rc" }), "2.0.0-rc.0");
+    assert.equal(bumpVersion("1.3.0-beta.1", "major", { preid: "beta" }), "2.0.0-beta.0");
+  });
+
+  it("graduates a prerelease without a channel", () => {
+    assert.equal(bumpVersion("2.0.0-beta.3", "minor"), "2.0.0");
+    assert.equal(bumpVersion("2.0.0-rc.1+build.5", "patch"), "2.0.0");
+  });
+
+  it("validates prerelease identifiers", () => {
+    assert.equal(isValidPreid("beta"), true);
+    assert.equal(isValidPreid("beta.1"), false);
+    assert.equal(isValidPreid(""), false);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { after, describe, it } from "node:test";
+import { computeWorkspaceVersions } from "../bin/compute-version.js";
+import { DEFAULT_CONFIG } from "../lib/config.js";
+import { discoverWorkspaces, getInternalDependencies } from "../lib/workspaces.js";
+import { createRepo, removeRepos } from "./helpers/repo.js";
+
+after(removeRepos);
+
+function monorepo() {
+  return createRepo({
+    "package.json": { name: "root", private: true, workspaces: ["packages/*", "!packages/skip"] },
+    "packages/core/package.json": { name: "@o/core", version: "1.0.0" },
+    "packages/cli/package.json": {
+      name: "@o/cli",
+      version: "2.0.0",
+      dependencies: { "@o/core": "^1.0.0", chalk: "^5.0.0" },
+    },
+    "packages/docs/package.json": { name: "@o/docs", version: "0.1.0" },
+    "packages/skip/package.json": { name: "@o/skip", version: "1.0.0" },
+  });
+}
+
+describe("discoverWorkspaces", () => {
+  it("expands npm workspace globs and negations", () => {
+    const packages = discoverWorkspaces(monorepo().dir);
+    assert.deepEqual(
+      packages.map(pkg => [pkg.name, pkg.dir, pkg.version]),
+      [
+        ["@o/cli", "packages/cli", "2.0.0"],
+        ["@o/core", "packages/core", "1.0.0"],
+        ["@o/docs", "packages/docs", "0.1.0"],
+      ]
+    );
+  });
+
+  it("reads pnpm-workspace.yaml", () => {
+    const repo = createRepo({
+      "package.json": { name: "root" },
+      "pnpm-workspace.yaml": 'packages:\n  - "apps/*"\n',
+      "apps/web/package.json": { name: "web" },
+    });
+    const [web] = discoverWorkspaces(repo.dir);
+    assert.deepEqual([web.name, web.dir, web.version], ["web", "apps/web", "0.0.0"]);
+  });
+
+  it("lists internal dependencies only", () => {
+    const packages = discoverWorkspaces(monorepo().dir);
+    const cli = packages.find(pkg => pkg.name === "@o/cli");
+    const names = packages.map(pkg => pkg.name);
+    assert.deepEqual(getInternalDependencies(cli, names), ["@o/core"]);
+  });
+});
+
+describe("computeWorkspaceVersions", () => {
+  it("versions each package from its own commits and tags", () => {
+    const repo = monorepo();
+    repo.commit("chore: init");
+    repo.git("tag", "@o/core@1.0.0");
+    repo.git("tag", "@o/docs@0.1.0");
+    repo.commit("feat(core): add api", { "packages/core/index.js": "export {};\n" });
+    repo.commit("docs: readme", { "packages/docs/README.md": "# docs\n" });
+
+    const { packages } = computeWorkspaceVersions({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      branch: "main",
+    });
+    const byName = Object.fromEntries(packages.map(pkg => [pkg.name, pkg]));
+
+    assert.equal(byName["@o/core"].nextVersion, "1.1.0");
+    assert.equal(byName["@o/core"].tag, "@o/core@1.1.0");
+    assert.equal(byName["@o/docs"].hasRelease, false);
+    assert.equal(byName["@o/docs"].reason, "no-bump-detected");
+  });
+
+  it("releases dependents of a released package with a patch", () => {
+    const repo = monorepo();
+    repo.commit("chore: init");
+    repo.git("tag", "@o/core@1.0.0");
+    repo.git("tag", "@o/cli@2.0.0");
+    repo.commit("fix(core): handle null", { "packages/core/index.js": "export {};\n" });
+
+    const { packages } = computeWorkspaceVersions({
+      cwd: repo.dir,
+      config: DEFAULT_CONFIG,
+      branch: "main",
+    });
+    const cli = packages.find(pkg => pkg.name === "@o/cli");
+    assert.equal(cli.nextVersion, "2.0.1");
+    assert.deepEqual(cli.decidedBy, { dependency: "@o/core" });
+  });
+});